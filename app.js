@@ -1,4 +1,4 @@
-const { useState, useEffect, useRef } = React;
+const { useState, useEffect, useRef, useMemo } = React;
 const { Play, Database, FileCode, Image, AlertCircle, CheckCircle, Loader } = lucide;
 
 const SQL_KEYWORDS = [
@@ -14,6 +14,7 @@ const DATASETS = [
     id: 'co2_data',
     name: 'CO2 & Greenhouse Gas Emissions',
     url: 'https://raw.githubusercontent.com/owid/co2-data/master/owid-co2-data.csv',
+    codebookUrl: 'https://raw.githubusercontent.com/owid/co2-data/master/owid-co2-codebook.csv',
     description: 'CO2 emissions, greenhouse gases, and climate data by country',
     tableName: 'co2_data'
   },
@@ -21,6 +22,7 @@ const DATASETS = [
     id: 'energy_data',
     name: 'Energy Data',
     url: 'https://raw.githubusercontent.com/owid/energy-data/master/owid-energy-data.csv',
+    codebookUrl: 'https://raw.githubusercontent.com/owid/energy-data/master/owid-energy-codebook.csv',
     description: 'Energy production, consumption, and mix by country',
     tableName: 'energy_data'
   },
@@ -28,6 +30,7 @@ const DATASETS = [
     id: 'covid_data',
     name: 'COVID-19 Data',
     url: 'https://raw.githubusercontent.com/owid/covid-19-data/master/public/data/owid-covid-data.csv',
+    codebookUrl: 'https://raw.githubusercontent.com/owid/covid-19-data/master/public/data/owid-covid-codebook.csv',
     description: 'COVID-19 cases, deaths, testing, and vaccinations',
     tableName: 'covid_data'
   },
@@ -40,465 +43,5076 @@ const DATASETS = [
   }
 ];
 
+// Turn a file name, URL or title into a plain identifier usable without quoting
+function sanitizeTableName(raw, takenNames = []) {
+  const base = raw
+    .split(/[?#]/)[0]
+    .split('/').pop()
+    .replace(/\.(csv|tsv|tab|json)$/i, '');
+  let name = decodeURIComponent(base)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 48)
+    .replace(/_+$/, '') || 'dataset';
+  if (/^\d/.test(name) || SQL_RESERVED_WORDS.has(name)) name = `t_${name}`;
+  
+  const taken = new Set(takenNames.map(t => t.toLowerCase()));
+  let unique = name;
+  for (let i = 2; taken.has(unique); i++) unique = `${name}_${i}`;
+  return unique;
+}
+
+const STORAGE_KEYS = {
+  customDatasets: 'owid-sqlmate.customDatasets',
+  history: 'owid-sqlmate.history',
+  savedQueries: 'owid-sqlmate.savedQueries',
+  snippets: 'owid-sqlmate.snippets',
+  chartConfigs: 'owid-sqlmate.chartConfigs',
+  safeguards: 'owid-sqlmate.safeguards',
+  dashboard: 'owid-sqlmate.dashboard',
+  sqlEngine: 'owid-sqlmate.sqlEngine',
+  imageExport: 'owid-sqlmate.imageExport',
+  assistant: 'owid-sqlmate.assistant'
+};
+
+function readStored(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// A full or disabled localStorage should never break the action that triggered the save
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`Could not save ${key}:`, e);
+  }
+}
+
+const MAX_HISTORY_ENTRIES = 200;
+
+// Starting snippet library, the example queries from the README
+const DEFAULT_SNIPPETS = [
+  {
+    id: 'snippet_simple',
+    name: 'Simple query',
+    tags: ['energy_data', 'filter'],
+    sql: "SELECT * FROM energy_data WHERE country = 'United States' LIMIT 100"
+  },
+  {
+    id: 'snippet_countries',
+    name: 'List countries',
+    tags: ['energy_data', 'group by'],
+    sql: 'SELECT country FROM energy_data GROUP BY country'
+  },
+  {
+    id: 'snippet_avg_coal',
+    name: 'Average coal consumption by country',
+    tags: ['energy_data', 'aggregation', 'countries only'],
+    sql: `SELECT country, AVG(coal_consumption) as avg_coal
+FROM energy_data
+WHERE year >= 2010
+AND iso_code IS NOT NULL
+AND LENGTH(iso_code) = 3
+AND iso_code NOT LIKE '%OWID%'
+GROUP BY country
+ORDER BY avg_coal DESC
+LIMIT 20`
+  },
+  {
+    id: 'snippet_moving_avg',
+    name: 'GDP moving average (window function)',
+    tags: ['energy_data', 'window'],
+    sql: `SELECT country, year, gdp,
+       AVG(gdp) OVER (PARTITION BY country ORDER BY year ROWS BETWEEN 2 PRECEDING AND CURRENT ROW) as moving_avg
+FROM energy_data
+WHERE country IN ('United States', 'China', 'Germany')`
+  },
+  {
+    id: 'snippet_literacy',
+    name: 'Literacy in India',
+    tags: ['literacy', 'filter'],
+    sql: "SELECT * FROM literacy WHERE Entity = 'India'"
+  },
+  {
+    id: 'snippet_co2_growth',
+    name: 'CO2 growth in India',
+    tags: ['co2_data', 'time series'],
+    sql: "SELECT year, co2_growth_prct FROM co2_data WHERE country = 'India'"
+  }
+];
+
+// Starter query written into the editor when a dataset is loaded
+const DEFAULT_QUERY_PATTERN = /^SELECT \* FROM \w+ LIMIT 100$/i;
+
+// 1-based line number of a character offset
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+const READ_ONLY_STATEMENTS = ['SELECT', 'WITH', 'VALUES', 'EXPLAIN'];
+const WRITE_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'DROP', 'ALTER', 'CREATE', 'ATTACH', 'DETACH', 'PRAGMA', 'VACUUM', 'REINDEX'];
+
+// Keywords that make a script more than a read-only query, e.g. ['DROP'] for
+// `DROP TABLE co2_data`. An empty list means every statement only reads.
+function findWriteKeywords(sql) {
+  const found = new Set();
+  stripSqlLiterals(sql).split(';').forEach(statement => {
+    const words = statement.toUpperCase().match(/[A-Z_]+/g) || [];
+    if (words.length === 0) return;
+    if (!READ_ONLY_STATEMENTS.includes(words[0])) found.add(words[0]);
+    words.forEach(word => {
+      if (WRITE_KEYWORDS.includes(word)) found.add(word);
+    });
+  });
+  return [...found];
+}
+
+// Core SQLite functions offered by autocomplete, with their call signatures
+const SQL_FUNCTIONS = [
+  ['abs', 'abs(X)'], ['avg', 'avg(X)'], ['coalesce', 'coalesce(X, Y, ...)'], ['count', 'count(X) / count(*)'],
+  ['date', 'date(time, modifier, ...)'], ['datetime', 'datetime(time, modifier, ...)'],
+  ['dense_rank', 'dense_rank() OVER (...)'], ['first_value', 'first_value(expr) OVER (...)'],
+  ['group_concat', 'group_concat(X, separator)'], ['ifnull', 'ifnull(X, Y)'], ['iif', 'iif(condition, X, Y)'],
+  ['instr', 'instr(text, search)'], ['json_extract', 'json_extract(json, path, ...)'], ['julianday', 'julianday(time, modifier, ...)'],
+  ['lag', 'lag(expr, offset, default) OVER (...)'], ['last_value', 'last_value(expr) OVER (...)'],
+  ['lead', 'lead(expr, offset, default) OVER (...)'], ['length', 'length(X)'], ['lower', 'lower(X)'], ['ltrim', 'ltrim(X, chars)'],
+  ['max', 'max(X) / max(X, Y, ...)'], ['min', 'min(X) / min(X, Y, ...)'], ['ntile', 'ntile(N) OVER (...)'], ['nullif', 'nullif(X, Y)'],
+  ['printf', 'printf(format, ...)'], ['rank', 'rank() OVER (...)'], ['replace', 'replace(X, Y, Z)'], ['round', 'round(X, digits)'],
+  ['row_number', 'row_number() OVER (...)'], ['rtrim', 'rtrim(X, chars)'], ['strftime', 'strftime(format, time, modifier, ...)'],
+  ['substr', 'substr(X, start, length)'], ['sum', 'sum(X)'], ['time', 'time(time, modifier, ...)'], ['total', 'total(X)'],
+  ['trim', 'trim(X, chars)'], ['typeof', 'typeof(X)'], ['upper', 'upper(X)']
+].map(([name, signature]) => ({ name, signature }));
+
+const MAX_COMPLETIONS = 12;
+const MAX_DISTINCT_VALUES = 1000;
+const TABLE_CONTEXT_KEYWORDS = ['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE'];
+const ALIAS_STOP_WORDS = new Set([...SQL_RESERVED_WORDS, 'left', 'right', 'inner', 'outer', 'cross', 'full', 'natural', 'using', 'window']);
+
+// The quote still open at the end of `text` with its position, { comment: true }
+// inside an unfinished comment, or null
+function openQuoteAt(text) {
+  let quote = null;
+  let start = -1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch !== quote) continue;
+      if (text[i + 1] === quote) i++;
+      else quote = null;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      start = i;
+    } else if (ch === '-' && text[i + 1] === '-') {
+      const end = text.indexOf('\n', i);
+      if (end < 0) return { comment: true };
+      i = end;
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      if (end < 0) return { comment: true };
+      i = end + 1;
+    }
+  }
+  return quote ? { quote, start } : null;
+}
+
+// Tables a statement reads from, and the aliases it gives them (`co2_data c`)
+function statementScope(statement, tables) {
+  const byName = new Map(tables.map(table => [table.dataset.tableName.toLowerCase(), table]));
+  const aliases = new Map();
+  const inScope = [];
+  const pattern = /\b(?:FROM|JOIN)\s+(\w+)(?:\s+(?:AS\s+)?(\w+))?|,\s*(\w+)(?:\s+(?:AS\s+)?(\w+))?/gi;
+  for (const match of stripSqlLiterals(statement).matchAll(pattern)) {
+    const name = (match[1] || match[3]).toLowerCase();
+    const alias = match[2] || match[4];
+    const table = byName.get(name);
+    if (!table) continue;
+    if (!inScope.includes(table)) inScope.push(table);
+    aliases.set(name, table);
+    if (alias && !ALIAS_STOP_WORDS.has(alias.toLowerCase())) aliases.set(alias.toLowerCase(), table);
+  }
+  return { tables: inScope, aliases };
+}
+
+// Work out what is being typed at `cursor`: a table name, a (qualified) column,
+// a value inside a string literal, or anything
+function completionContext(text, cursor) {
+  const stripped = stripSqlLiterals(text);
+  const statementStart = stripped.lastIndexOf(';', cursor - 1) + 1;
+  const statementEnd = stripped.indexOf(';', cursor) < 0 ? text.length : stripped.indexOf(';', cursor);
+  const statement = text.slice(statementStart, statementEnd);
+  const before = text.slice(statementStart, cursor);
+  const open = openQuoteAt(before);
+  if (open && open.comment) return null;
+
+  if (open && open.quote === "'") {
+    // `country = 'Fr`, `c.country LIKE 'Fr`, `"Entity" IN ('France', 'Ge`
+    const head = before.slice(0, open.start);
+    const match = head.match(/(?:(\w+)\.)?("(?:[^"]|"")*"|\w+)\s*(?:=|<>|!=|\bLIKE|\bIN\s*\([^()]*)\s*$/i);
+    if (!match) return null;
+    return {
+      kind: 'value',
+      qualifier: match[1] || null,
+      column: unquoteIdentifier(match[2]),
+      prefix: before.slice(open.start + 1).replace(/''/g, "'"),
+      from: statementStart + open.start + 1,
+      to: cursor,
+      closed: text[cursor] === "'",
+      statement
+    };
+  }
+
+  if (open && open.quote === '"') {
+    const qualifier = (before.slice(0, open.start).match(/(\w+)\.$/) || [])[1] || null;
+    return {
+      kind: qualifier ? 'column' : 'any',
+      qualifier,
+      quoted: true,
+      prefix: before.slice(open.start + 1).replace(/""/g, '"'),
+      from: statementStart + open.start,
+      to: cursor + (text[cursor] === '"' ? 1 : 0),
+      statement
+    };
+  }
+
+  const word = before.match(/(?:(\w+)\.)?(\w*)$/);
+  const qualifier = word[1] || null;
+  const prefix = word[2];
+  const preceding = stripSqlLiterals(before.slice(0, before.length - word[0].length));
+  const previousWord = ((preceding.match(/(\w+)\s*$/) || [])[1] || '').toUpperCase();
+  const inTableList = /\bFROM\s+[\w\s,]*,\s*$/i.test(preceding);
+
+  return {
+    kind: qualifier ? 'column' : TABLE_CONTEXT_KEYWORDS.includes(previousWord) || inTableList ? 'table' : 'any',
+    qualifier,
+    quoted: false,
+    prefix,
+    from: cursor - prefix.length,
+    to: cursor,
+    statement
+  };
+}
+
+// Table and column a value completion draws from, or null when it can't be told
+function resolveValueSource(context, tables) {
+  const scope = statementScope(context.statement, tables);
+  const column = context.column.toLowerCase();
+  const candidates = context.qualifier
+    ? [scope.aliases.get(context.qualifier.toLowerCase())].filter(Boolean)
+    : [...scope.tables, ...tables];
+  const table = candidates.find(t => t.columns.some(col => col.name.toLowerCase() === column));
+  if (!table) return null;
+  return { table: table.dataset.tableName, column: table.columns.find(col => col.name.toLowerCase() === column).name };
+}
+
+const SQL_IDENTIFIER = '(?:\\w+|"(?:[^"]|"")+")';
+const COLUMN_BEFORE_PATTERN = new RegExp(`(?:(${SQL_IDENTIFIER})\\.)?(${SQL_IDENTIFIER})\\s*(?:\\bNOT\\s*)?$`, 'i');
+const COLUMN_AFTER_PATTERN = new RegExp(`^\\s*(?:(${SQL_IDENTIFIER})\\.)?(${SQL_IDENTIFIER})`);
+const COMPARISON_OPERATOR = '(<=|>=|<>|!=|==|=|<|>|\\bLIKE|\\bGLOB|\\bIS(?:\\s+NOT)?)';
+// What can stand between a column and a parameter, with the end of the column's
+// range the parameter starts at
+const PARAMETER_USES = [
+  { pattern: /\bIN\s*\(\s*$/i, multi: true },
+  { pattern: /\bBETWEEN\s*$/i, bound: 'min' },
+  { pattern: /\bBETWEEN\s+:\w+\s+AND\s*$/i, bound: 'max' },
+  { pattern: new RegExp(`${COMPARISON_OPERATOR}\\s*$`, 'i') }
+];
+
+// An input for every named parameter, chosen by how the parameter is used:
+// `country IN (:countries)` gets a multi-select of the column's values, a comparison
+// with a numeric column a slider over its range (starting at the low end for
+// `year >= :start_year`), with any other column a dropdown of its values, and
+// anything else a plain input. Controls come in order of first use.
+function parameterControls(sql, tables) {
+  const stripped = stripSqlLiterals(sql);
+  const controls = [];
+  for (const { start, end, name } of parameterMatches(sql)) {
+    const statementStart = stripped.lastIndexOf(';', start) + 1;
+    const statementEnd = stripped.indexOf(';', end);
+    const statement = sql.slice(statementStart, statementEnd < 0 ? sql.length : statementEnd);
+
+    // The column is usually on the left (`year >= :start_year`), sometimes on the right
+    const before = stripped.slice(statementStart, start);
+    const use = PARAMETER_USES.find(({ pattern }) => pattern.test(before));
+    let column = null;
+    let bound = 'max';
+    if (use) {
+      const operator = before.match(use.pattern);
+      column = sql.slice(statementStart, start - operator[0].length).match(COLUMN_BEFORE_PATTERN);
+      bound = use.bound || (/^>/.test(operator[1] || '') ? 'min' : 'max');
+    } else {
+      const operator = stripped.slice(end).match(new RegExp(`^\\s*${COMPARISON_OPERATOR}`, 'i'));
+      if (operator) {
+        column = sql.slice(end + operator[0].length).match(COLUMN_AFTER_PATTERN);
+        bound = /^<(?!>)/.test(operator[1]) ? 'min' : 'max';
+      }
+    }
+
+    const source = column && resolveValueSource({
+      statement,
+      column: unquoteIdentifier(column[2]),
+      qualifier: column[1] ? unquoteIdentifier(column[1]) : null
+    }, tables);
+    const type = source && tables
+      .find(table => table.dataset.tableName === source.table).columns
+      .find(col => col.name === source.column).type;
+    const control = {
+      name,
+      kind: use && use.multi ? 'multi' : !source ? 'input' : ['INTEGER', 'REAL'].includes(type) ? 'range' : 'select',
+      table: source ? source.table : null,
+      column: source ? source.column : null,
+      integer: type === 'INTEGER',
+      bound
+    };
+
+    // A later use that names a column beats an earlier one that doesn't
+    const existing = controls.findIndex(c => c.name === name);
+    if (existing < 0) controls.push(control);
+    else if (!controls[existing].column && control.column) controls[existing] = control;
+  }
+  return controls;
+}
+
+// Values of a stored or shared query's parameters: numbers, text or lists of them
+function sanitizeParameterValues(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  const isValue = value => typeof value === 'string' || Number.isFinite(value);
+  return Object.fromEntries(Object.entries(raw).filter(([name, value]) =>
+    /^[A-Za-z_]\w*$/.test(name) && (value === null || isValue(value) || (Array.isArray(value) && value.every(isValue)))
+  ));
+}
+
+// The values of the parameters a piece of SQL uses, or undefined when it has none
+function parameterValuesFor(sql, values) {
+  const used = findParameters(sql).filter(name => name in values);
+  return used.length > 0 ? Object.fromEntries(used.map(name => [name, values[name]])) : undefined;
+}
+
+// Prefix matches first, then names that only contain the typed text
+function rankMatches(items, prefix, nameOf) {
+  const lower = prefix.toLowerCase();
+  const starts = items.filter(item => nameOf(item).toLowerCase().startsWith(lower));
+  const contains = lower ? items.filter(item => !starts.includes(item) && nameOf(item).toLowerCase().includes(lower)) : [];
+  return [...starts, ...contains];
+}
+
+function computeCompletions(context, tables, values = []) {
+  const { from, to } = context;
+  const identifier = (name) => context.quoted ? `"${name.replace(/"/g, '""')}"` : quoteIdentifier(name);
+  const columnItems = (table, showTable) => table.columns.map(col => ({
+    label: col.name,
+    insert: identifier(col.name),
+    detail: showTable ? `${col.type} · ${table.dataset.tableName}` : col.type,
+    description: col.description,
+    from,
+    to
+  }));
+
+  if (context.kind === 'value') {
+    return rankMatches(values, context.prefix, String).slice(0, MAX_COMPLETIONS).map(value => ({
+      label: String(value),
+      insert: String(value).replace(/'/g, "''") + (context.closed ? '' : "'"),
+      detail: 'value',
+      from,
+      to
+    }));
+  }
+
+  const scope = statementScope(context.statement, tables);
+
+  if (context.kind === 'column') {
+    const table = scope.aliases.get(context.qualifier.toLowerCase())
+      || tables.find(t => t.dataset.tableName.toLowerCase() === context.qualifier.toLowerCase());
+    if (!table) return [];
+    return rankMatches(columnItems(table, false), context.prefix, item => item.label).slice(0, MAX_COMPLETIONS);
+  }
+
+  const tableItems = tables.map(table => ({
+    label: table.dataset.tableName,
+    insert: identifier(table.dataset.tableName),
+    detail: `table · ${table.rowCount.toLocaleString()} rows`,
+    from,
+    to
+  }));
+  if (context.kind === 'table') {
+    return rankMatches(tableItems, context.prefix, item => item.label).slice(0, MAX_COMPLETIONS);
+  }
+
+  // Columns of the tables the statement uses come first, all loaded tables if it uses none yet
+  const columnSource = scope.tables.length > 0 ? scope.tables : tables;
+  const columns = [];
+  columnSource.forEach(table => columnItems(table, columnSource.length > 1).forEach(item => {
+    if (!columns.some(existing => existing.label === item.label)) columns.push(item);
+  }));
+  if (context.quoted) {
+    return rankMatches([...columns, ...tableItems], context.prefix, item => item.label).slice(0, MAX_COMPLETIONS);
+  }
+  const functions = [...SQL_FUNCTIONS, ...OWID_FUNCTIONS].map(fn => ({
+    label: `${fn.name}()`,
+    insert: `${fn.name}(`,
+    detail: fn.signature,
+    description: fn.description,
+    from,
+    to
+  }));
+  const keywords = SQL_KEYWORDS.map(kw => ({ label: kw, insert: kw, detail: 'keyword', from, to }));
+
+  return rankMatches([...columns, ...functions, ...keywords, ...tableItems], context.prefix, item => item.label)
+    .slice(0, MAX_COMPLETIONS);
+}
+
+// Selected values as removable chips, with a dropdown to add the others
+function ValueChips({ values, options, onChange, placeholder }) {
+  const remaining = options.filter(option => !values.includes(option));
+  return (
+    <div className="flex flex-wrap gap-1">
+      {values.map(value => (
+        <span key={value} className="inline-flex items-center gap-1 px-2 py-0.5 bg-blue-50 text-blue-800 rounded-full">
+          {value}
+          <button onClick={() => onChange(values.filter(v => v !== value))} className="text-blue-400 hover:text-blue-700">
+            ✕
+          </button>
+        </span>
+      ))}
+      <select
+        value=""
+        onChange={(e) => e.target.value !== '' && onChange([...values, remaining[Number(e.target.value)]])}
+        className="px-2 py-0.5 border border-gray-300 rounded-full text-gray-600 bg-white"
+      >
+        <option value="">{placeholder}</option>
+        {remaining.map((option, i) => <option key={option} value={i}>{option}</option>)}
+      </select>
+    </div>
+  );
+}
+
+function distinctValuesSql(table, column) {
+  const quoted = quoteIdentifier(column);
+  return `SELECT DISTINCT ${quoted} FROM ${quoteIdentifier(table)} WHERE ${quoted} IS NOT NULL ORDER BY 1 LIMIT ${MAX_DISTINCT_VALUES}`;
+}
+
+// Typed values that look like numbers are bound as numbers, so `year >= :from` compares numerically
+function coerceParameterValue(text) {
+  return /^-?\d+(\.\d+)?$/.test(text.trim()) ? Number(text) : text;
+}
+
+function QueryParameters({ controls, values, engine, tables, onChange }) {
+  const [options, setOptions] = useState({});
+  const requestedRef = useRef({ tables: null, keys: new Set() });
+  const optionKey = (control) => `${control.kind}:${control.table}.${control.column}`;
+  const sourcesKey = controls.map(optionKey).join('|');
+
+  // Each column's values or range is read once, and again after the tables change
+  useEffect(() => {
+    if (!engine) return;
+    if (requestedRef.current.tables !== tables) {
+      requestedRef.current = { tables, keys: new Set() };
+      setOptions({});
+    }
+    const requested = requestedRef.current.keys;
+    controls.filter(control => control.column && !requested.has(optionKey(control))).forEach(control => {
+      const key = optionKey(control);
+      requested.add(key);
+      const column = quoteIdentifier(control.column);
+      const sql = control.kind === 'range'
+        ? `SELECT MIN(${column}), MAX(${column}) FROM ${quoteIdentifier(control.table)}`
+        : distinctValuesSql(control.table, control.column);
+      engine.request('query', { sql })
+        .then(({ values: rows }) => {
+          if (requestedRef.current.keys !== requested) return;
+          const loaded = control.kind === 'range' ? { min: rows[0][0], max: rows[0][1] } : rows.map(row => row[0]);
+          setOptions(prev => ({ ...prev, [key]: loaded }));
+        })
+        .catch(() => requested.delete(key));
+    });
+  }, [engine, tables, sourcesKey]);
+
+  // New parameters start at the first value, or the end of the range they bound
+  useEffect(() => {
+    const defaults = {};
+    controls.forEach(control => {
+      const loaded = options[optionKey(control)];
+      if (control.name in values || !loaded) return;
+      if (control.kind === 'range' && loaded.min !== null) defaults[control.name] = control.bound === 'min' ? loaded.min : loaded.max;
+      else if (control.kind === 'select' && loaded.length > 0) defaults[control.name] = loaded[0];
+      else if (control.kind === 'multi' && loaded.length > 0) defaults[control.name] = [loaded[0]];
+    });
+    if (Object.keys(defaults).length > 0) onChange(defaults);
+  }, [options, sourcesKey]);
+
+  const inputClass = 'px-3 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none';
+
+  const renderInput = (control) => {
+    const value = values[control.name];
+    const loaded = options[optionKey(control)];
+    const set = (next) => onChange({ [control.name]: next });
+
+    if (control.kind === 'multi') {
+      const selected = Array.isArray(value) ? value : value === undefined || value === null ? [] : [value];
+      return loaded
+        ? <ValueChips values={selected} options={loaded} onChange={set} placeholder="+ Add value" />
+        : (
+          <input
+            value={selected.join(', ')}
+            onChange={(e) => set(e.target.value.split(',').map(item => item.trim()).filter(Boolean).map(coerceParameterValue))}
+            placeholder="Comma-separated values"
+            className={`w-full ${inputClass}`}
+          />
+        );
+    }
+    if (control.kind === 'range') {
+      const number = (
+        <input
+          type="number"
+          value={value ?? ''}
+          onChange={(e) => set(e.target.value === '' ? null : Number(e.target.value))}
+          className={`w-28 ${inputClass}`}
+        />
+      );
+      if (!loaded || loaded.min === null || loaded.min === loaded.max) return number;
+      return (
+        <div className="flex items-center gap-3">
+          <input
+            type="range"
+            min={loaded.min}
+            max={loaded.max}
+            step={control.integer ? 1 : (loaded.max - loaded.min) / 100}
+            value={value ?? loaded.min}
+            onChange={(e) => set(Number(e.target.value))}
+            className="flex-1"
+          />
+          {number}
+        </div>
+      );
+    }
+    if (control.kind === 'select' && loaded) {
+      // A value restored from the library may no longer be among the column's values
+      const choices = value === undefined || value === null || loaded.includes(value) ? loaded : [value, ...loaded];
+      return (
+        <select
+          value={choices.indexOf(value)}
+          onChange={(e) => set(choices[Number(e.target.value)])}
+          className={`w-full ${inputClass} bg-white`}
+        >
+          {choices.map((choice, i) => <option key={i} value={i}>{choice}</option>)}
+        </select>
+      );
+    }
+    return (
+      <input
+        value={value ?? ''}
+        onChange={(e) => set(e.target.value === '' ? null : coerceParameterValue(e.target.value))}
+        className={`w-full ${inputClass}`}
+      />
+    );
+  };
+
+  return (
+    <div className="mb-4 p-3 border border-gray-200 rounded-lg bg-gray-50 text-sm">
+      <div className="font-semibold text-gray-700 mb-2">Parameters</div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {controls.map(control => (
+          <div key={control.name}>
+            <div className="mb-1">
+              <span className="font-mono text-gray-800">:{control.name}</span>
+              {control.column && <span className="text-xs text-gray-400 ml-2">{control.table}.{control.column}</span>}
+            </div>
+            {renderInput(control)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Limits applied to every query run from the editor, 0 turns a limit off
+const DEFAULT_SAFEGUARDS = { maxSeconds: 30, maxRows: 100000, confirmWrites: true };
+
+function SafeguardsPanel({ settings, onChange }) {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const numberInput = (key, label, hint) => (
+    <label className="flex flex-col gap-1">
+      <span className="text-xs font-semibold text-gray-600">{label}</span>
+      <input
+        type="number"
+        min="0"
+        value={settings[key]}
+        onChange={(e) => update(key, Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+        className="w-32 px-2 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+      />
+      <span className="text-xs text-gray-400">{hint}</span>
+    </label>
+  );
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg bg-gray-50 p-3 text-sm flex flex-wrap items-start gap-6">
+      {numberInput('maxSeconds', 'Time limit (seconds)', 'Stops the query, 0 for none')}
+      {numberInput('maxRows', 'Row limit per result', 'Fetch more on demand, 0 for none')}
+      <label className="flex items-center gap-2 text-gray-700 pt-5">
+        <input type="checkbox" checked={settings.confirmWrites} onChange={(e) => update('confirmWrites', e.target.checked)} />
+        Ask before changing or dropping a loaded dataset
+      </label>
+    </div>
+  );
+}
+
+// Which model answers the Ask box, see assistant.js. Saved in localStorage with the API key.
+function AssistantSettings({ settings, onChange }) {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const textInput = (key, label, props = {}) => (
+    <label className="flex flex-col gap-1">
+      <span className="text-xs font-semibold text-gray-600">{label}</span>
+      <input
+        value={settings[key]}
+        onChange={(e) => update(key, e.target.value)}
+        className="w-64 px-2 py-1 border-2 border-gray-300 rounded-lg font-mono text-xs focus:border-blue-500 focus:outline-none"
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="mt-2 border border-gray-200 rounded-lg bg-white p-3 flex flex-wrap items-end gap-3">
+      <label className="flex flex-col gap-1">
+        <span className="text-xs font-semibold text-gray-600">Backend</span>
+        <select
+          value={settings.backend}
+          onChange={(e) => update('backend', e.target.value)}
+          className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+        >
+          {Object.entries(ASSISTANT_BACKENDS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      {settings.backend === 'openai' && (
+        <>
+          {textInput('baseUrl', 'Server URL', { placeholder: DEFAULT_ASSISTANT_SETTINGS.baseUrl })}
+          {textInput('model', 'Model', { placeholder: DEFAULT_ASSISTANT_SETTINGS.model })}
+          {textInput('apiKey', 'API key', { type: 'password', placeholder: 'Not needed for local servers', autoComplete: 'off' })}
+        </>
+      )}
+      <span className="text-xs text-gray-400 pb-1">
+        {settings.backend === 'openai'
+          ? 'The question, the column names and their statistics are sent to this server.'
+          : 'Answers rankings, changes, rolling averages and time series of a column named in the question.'}
+      </span>
+    </div>
+  );
+}
+
+// A question goes to the assistant, the query it writes waits here until the user runs it
+function AskPanel({ settings, onSettingsChange, onAsk, onUse, onRun, disabled }) {
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [answer, setAnswer] = useState(null);
+  const [failure, setFailure] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const ask = async () => {
+    if (!question.trim()) return;
+    setAsking(true);
+    setAnswer(null);
+    setFailure(null);
+    try {
+      setAnswer(await onAsk(question.trim()));
+    } catch (err) {
+      setFailure(err.message);
+    }
+    setAsking(false);
+  };
+
+  return (
+    <div className="mb-4 border border-indigo-200 rounded-lg bg-indigo-50 p-3 text-sm">
+      <div className="flex gap-2">
+        <input
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') ask(); }}
+          placeholder="Ask a question, e.g. top 10 countries by coal consumption since 2010"
+          className="flex-1 px-3 py-2 border-2 border-indigo-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+        />
+        <button
+          onClick={ask}
+          disabled={disabled || asking || !question.trim()}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 disabled:bg-gray-400"
+        >
+          {asking ? 'Thinking...' : '✨ Ask'}
+        </button>
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          title={`Assistant: ${ASSISTANT_BACKENDS[settings.backend].label}`}
+          className={`px-3 py-2 rounded-lg ${showSettings ? 'bg-gray-800 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+        >
+          ⚙
+        </button>
+      </div>
+      {showSettings && <AssistantSettings settings={settings} onChange={onSettingsChange} />}
+      {failure && <div className="mt-2 text-red-700">{failure}</div>}
+      {answer && (
+        <div className="mt-3">
+          {answer.explanation && (
+            <div
+              className="markdown text-gray-700 mb-2"
+              dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(marked.parse(answer.explanation)) }}
+            />
+          )}
+          <textarea
+            value={answer.sql}
+            onChange={(e) => setAnswer({ ...answer, sql: e.target.value })}
+            rows={Math.min(12, answer.sql.split('\n').length + 1)}
+            spellCheck={false}
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg font-mono text-xs bg-white focus:border-blue-500 focus:outline-none"
+          />
+          <div className="flex gap-2 mt-2">
+            <button
+              onClick={() => onRun(answer.sql)}
+              disabled={disabled}
+              className="px-4 py-1.5 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 disabled:bg-gray-400"
+            >
+              ▶ Run
+            </button>
+            <button
+              onClick={() => onUse(answer.sql)}
+              className="px-4 py-1.5 bg-white border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-100"
+            >
+              Open in editor
+            </button>
+            <button onClick={() => setAnswer(null)} className="px-3 py-1.5 text-gray-500 hover:text-gray-700">
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Full table scans (`SCAN covid_data`, or `SCAN c` for an alias, `SEQ_SCAN covid_data`
+// on DuckDB) are what make a query slow on a big table, sorts come next
+const PLAN_SCAN_PATTERN = /^(?:SEQ_)?SCAN (\w+)$/;
+
+function planStepKind(detail) {
+  if (PLAN_SCAN_PATTERN.test(detail)) return 'scan';
+  if (/^SEARCH |USING (AUTOMATIC )?(COVERING )?INDEX/.test(detail)) return 'index';
+  if (/TEMP B-TREE|^(ORDER_BY|TOP_N)$/.test(detail)) return 'sort';
+  return 'other';
+}
+
+const PLAN_STEP_STYLES = {
+  scan: { icon: '🐢', className: 'text-red-700', title: 'Reads every row of the table' },
+  index: { icon: '⚡', className: 'text-green-700', title: 'Looks rows up through an index' },
+  sort: { icon: '↕', className: 'text-amber-700', title: 'Sorts or groups rows before returning them' },
+  other: { icon: '•', className: 'text-gray-700', title: '' }
+};
+
+// Plan steps nest through their parent ids
+function PlanTree({ plan, parent = 0 }) {
+  const steps = plan.filter(step => step.parent === parent);
+  if (steps.length === 0) return null;
+  return (
+    <ul className={parent === 0 ? 'font-mono text-xs' : 'ml-4 pl-3 border-l border-gray-200'}>
+      {steps.map(step => {
+        const style = PLAN_STEP_STYLES[planStepKind(step.detail)];
+        return (
+          <li key={step.id} className="py-0.5">
+            <span className={style.className} title={style.title}>{style.icon} {step.detail}</span>
+            <PlanTree plan={plan} parent={step.id} />
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Loaded tables a plan reads in full, with aliases resolved through the statement's FROM/JOIN
+function fullTableScans(plan, statement, tables) {
+  const scope = statementScope(statement, tables);
+  const found = [];
+  (plan || []).forEach(({ detail }) => {
+    if (planStepKind(detail) !== 'scan') return;
+    const table = scope.aliases.get(detail.match(PLAN_SCAN_PATTERN)[1].toLowerCase());
+    if (table && !found.includes(table)) found.push(table);
+  });
+  return found;
+}
+
+// Rough in-memory size of a result: 8 bytes per number, 2 per character of text
+function estimateResultBytes(values) {
+  let bytes = 0;
+  values.forEach(row => row.forEach(value => {
+    if (typeof value === 'string') bytes += value.length * 2;
+    else if (value instanceof Uint8Array) bytes += value.length;
+    else bytes += 8;
+  }));
+  return bytes;
+}
+
+// Neither engine reports scan counters, so rows scanned is a lower bound: the row count
+// of every table the plan reads in full, or null for a statement run without a plan
+function statementStats(stmt, tables) {
+  const scans = stmt.plan === undefined ? null : fullTableScans(stmt.plan, stmt.sql, tables);
+  return {
+    index: stmt.index,
+    sql: stmt.sql,
+    timeMs: stmt.timeMs,
+    rows: stmt.values.length,
+    truncated: stmt.truncated,
+    changes: stmt.changes,
+    bytes: estimateResultBytes(stmt.values),
+    isQuery: stmt.columns.length > 0,
+    scans: scans && scans.map(table => table.dataset.tableName),
+    scannedRows: scans && scans.reduce((sum, table) => sum + table.rowCount, 0)
+  };
+}
+
+const INDEX_COLUMNS_SQL = `SELECT m.tbl_name, m.name, i.name FROM sqlite_master m, pragma_index_info(m.name) i
+WHERE m.type = 'index' ORDER BY m.name, i.seqno`;
+
+// { co2_data: [['country', 'year']] } from the rows of INDEX_COLUMNS_SQL
+function groupIndexColumns(values) {
+  const byIndex = new Map();
+  values.forEach(([table, index, column]) => {
+    if (!byIndex.has(index)) byIndex.set(index, { table, columns: [] });
+    byIndex.get(index).columns.push(column);
+  });
+  const indexes = {};
+  byIndex.forEach(({ table, columns }) => { (indexes[table] = indexes[table] || []).push(columns); });
+  return indexes;
+}
+
+// OWID queries nearly always filter on a country and a year, so a fully scanned table
+// gets an index on those columns unless one already starts with the country column
+function suggestIndex(table, indexes) {
+  const country = table.columns.find(col => COUNTRY_NAME_COLUMN_PATTERN.test(col.name));
+  const year = table.columns.find(col => /^year$/i.test(col.name));
+  const columns = [country, year].filter(Boolean).map(col => col.name);
+  if (columns.length === 0) return null;
+  const existing = indexes[table.dataset.tableName] || [];
+  if (existing.some(cols => cols[0].toLowerCase() === columns[0].toLowerCase())) return null;
+  const name = `idx_${table.dataset.tableName}_${columns.join('_')}`.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+  return {
+    table: table.dataset.tableName,
+    columns,
+    sql: `CREATE INDEX IF NOT EXISTS ${name} ON ${table.dataset.tableName} (${columns.map(quoteIdentifier).join(', ')})`
+  };
+}
+
+function IndexSuggestions({ tableNames, tables, indexes, disabled, onCreate }) {
+  const suggestions = tableNames
+    .map(name => tables.find(table => table.dataset.tableName === name))
+    .filter(Boolean)
+    .map(table => suggestIndex(table, indexes))
+    .filter(Boolean);
+  if (suggestions.length === 0) return null;
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+      <span className="text-gray-500">Full table scans found:</span>
+      {suggestions.map(suggestion => (
+        <button
+          key={suggestion.table}
+          onClick={() => onCreate(suggestion)}
+          disabled={disabled}
+          title={suggestion.sql}
+          className="px-3 py-1 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 disabled:bg-gray-400"
+        >
+          ⚡ Create index on {suggestion.table} ({suggestion.columns.join(', ')})
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function toRowObjects(columns, values) {
+  return values.map(row => {
+    const obj = {};
+    columns.forEach((col, idx) => {
+      // Values come back typed from the inferred schema, NULL stays null
+      obj[col] = row[idx];
+    });
+    return obj;
+  });
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms < 10 ? ms.toFixed(1) : Math.round(ms)} ms`;
+  return `${(ms / 1000).toFixed(2)} s`;
+}
+
+const SHARE_HASH_PREFIX = '#share=';
+const MAX_SHARED_SQL_LENGTH = 100000;
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Permalink payload: 'z' + deflated JSON where CompressionStream exists, 'j' + plain JSON otherwise
+async function encodeShareState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  if (typeof CompressionStream === 'undefined') return 'j' + toBase64Url(bytes);
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return 'z' + toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+async function decodeShareState(encoded) {
+  const bytes = fromBase64Url(encoded.slice(1));
+  if (encoded[0] === 'j') return JSON.parse(new TextDecoder().decode(bytes));
+  if (encoded[0] !== 'z') throw new Error('Unknown link format');
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return JSON.parse(await new Response(stream).text());
+}
+
+// Datasets as they are written into links and dashboard files: the id of a built-in
+// dataset, or the URL and table name of a custom one (local files can't be shared)
+function datasetRefs(datasets) {
+  return datasets
+    .filter(dataset => dataset.source !== 'file')
+    .map(dataset => dataset.custom
+      ? { name: dataset.name, url: dataset.url, codebookUrl: dataset.codebookUrl, tableName: dataset.tableName, format: dataset.format }
+      : dataset.id);
+}
+
+// Built-in datasets are referenced by id, custom ones must be plain http(s) CSV/TSV/JSON URLs.
+// A custom table name may not be one of the built-in tables or a table loaded from another
+// URL, or the link would silently query different data than the one who shared it.
+function validateDatasetRefs(refs, loaded = []) {
+  const claimed = new Map(loaded.map(dataset => [dataset.tableName.toLowerCase(), dataset.url]));
+  return (Array.isArray(refs) ? refs : []).map(ref => {
+    if (typeof ref === 'string') {
+      const builtIn = DATASETS.find(d => d.id === ref);
+      if (!builtIn) throw new Error(`Unknown dataset "${ref}"`);
+      return builtIn;
+    }
+    if (!ref || typeof ref.url !== 'string' || !/^https?:\/\//i.test(ref.url)) {
+      throw new Error('Shared datasets must use an http(s) URL');
+    }
+    if (typeof ref.tableName !== 'string' || !TABLE_NAME_PATTERN.test(ref.tableName)) {
+      throw new Error('Shared dataset has an invalid table name');
+    }
+    const key = ref.tableName.toLowerCase();
+    // engines.js writes table names into its SQL unquoted
+    if (SQL_RESERVED_WORDS.has(key)) {
+      throw new Error(`Shared dataset ${ref.url} uses the SQL keyword ${ref.tableName} as its table name`);
+    }
+    const builtIn = DATASETS.find(d => d.tableName.toLowerCase() === key);
+    if (builtIn) {
+      throw new Error(`Shared dataset ${ref.url} uses the table name ${ref.tableName} of the built-in ${builtIn.name} dataset`);
+    }
+    if (claimed.has(key) && claimed.get(key) !== ref.url) {
+      throw new Error(`Shared dataset ${ref.url} uses the table name ${ref.tableName}, which already belongs to ${claimed.get(key)}`);
+    }
+    claimed.set(key, ref.url);
+    return {
+      name: String(ref.name || ref.tableName),
+      url: ref.url,
+      codebookUrl: typeof ref.codebookUrl === 'string' && /^https?:\/\//i.test(ref.codebookUrl) ? ref.codebookUrl : undefined,
+      description: ref.url,
+      tableName: ref.tableName,
+      format: ['csv', 'tsv', 'json'].includes(ref.format) ? ref.format : detectFormat(ref.url),
+      source: 'url',
+      custom: true
+    };
+  });
+}
+
+// Check a decoded permalink before anything in it is loaded or run
+function validateShareState(state, loaded) {
+  if (!state || typeof state !== 'object' || typeof state.sql !== 'string') {
+    throw new Error('The link does not contain a query');
+  }
+  if (state.sql.length > MAX_SHARED_SQL_LENGTH) {
+    throw new Error('The shared query is too long');
+  }
+  
+  const datasets = validateDatasetRefs(state.datasets, loaded);
+  const writeKeywords = findWriteKeywords(state.sql);
+  return {
+    datasets,
+    sql: state.sql,
+    params: sanitizeParameterValues(state.params),
+    chart: state.chart && typeof state.chart === 'object' && typeof state.chart.sql === 'string'
+      ? { sql: state.chart.sql, config: sanitizeChartConfig(state.chart.config) }
+      : null,
+    // Links are never allowed to modify data on their own, they only fill the editor
+    autoRun: state.autoRun === true && writeKeywords.length === 0,
+    writeKeywords
+  };
+}
+
+// Promise wrapper around worker.js, see the message format at the top of that file
+function createWorkerClient() {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map();
+  
+  const rejectAll = (message, cancelled) => {
+    pending.forEach(request => {
+      const err = new Error(message);
+      err.cancelled = cancelled;
+      request.reject(err);
+    });
+    pending.clear();
+  };
+  
+  const start = () => {
+    worker = new Worker('worker.js');
+    worker.onmessage = (e) => {
+      const { id, type, ...payload } = e.data;
+      const request = pending.get(id);
+      if (!request) return;
+      
+      if (type === 'progress') {
+        if (request.onProgress) request.onProgress(payload.message);
+        return;
+      }
+      
+      pending.delete(id);
+      if (type === 'result') {
+        request.resolve(payload.result);
+      } else {
+        const err = new Error(payload.message);
+        err.cancelled = payload.cancelled;
+        err.details = payload.details;
+        request.reject(err);
+      }
+    };
+    worker.onerror = (e) => rejectAll(e.message || 'SQL worker failed', false);
+  };
+  
+  start();
+  
+  return {
+    request(type, payload = {}, onProgress = null) {
+      const id = nextId++;
+      const request = new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, onProgress });
+      });
+      worker.postMessage({ id, type, ...payload });
+      request.id = id;
+      return request;
+    },
+    
+    cancel(id) {
+      worker.postMessage({ id: nextId++, type: 'cancel', targetId: id });
+    },
+    
+    // Neither engine can interrupt a running statement, so stopping one means a fresh worker
+    restart() {
+      worker.terminate();
+      rejectAll('Cancelled', true);
+      start();
+    }
+  };
+}
+
+const PREVIEW_ROWS = 10;
+const PREVIEW_BYTES = 256 * 1024;
+const TABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// A JSON array that was cut off, closed after its last complete item: '[{...},{..' becomes
+// '[{...}]'. Null when the text is not an array or holds no complete item yet.
+function closeJsonArrayPrefix(text) {
+  const start = text.search(/\S/);
+  if (start < 0 || text[start] !== '[') return null;
+  let depth = 0;
+  let inString = false;
+  let lastItemEnd = -1;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 1) {
+      lastItemEnd = i;
+    }
+  }
+  return lastItemEnd < 0 ? null : text.slice(0, lastItemEnd) + ']';
+}
+
+// Just the start of a file for the preview: after PREVIEW_BYTES the rest of the download
+// is cancelled, and a CSV/TSV is cut after its last full line, a JSON array after its last
+// full item. Other JSON can't be cut and is read to the end.
+async function fetchPreviewText(url, format) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let bytes = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return text + decoder.decode();
+    text += decoder.decode(value, { stream: true });
+    bytes += value.length;
+    if (bytes < PREVIEW_BYTES) continue;
+    const head = format === 'json' ? closeJsonArrayPrefix(text) : text.slice(0, text.lastIndexOf('\n') + 1);
+    if (head) {
+      reader.cancel();
+      return head;
+    }
+  }
+}
+
+function AddDatasetDialog({ takenNames, onAdd, onClose }) {
+  const [sourceType, setSourceType] = useState('url');
+  const [url, setUrl] = useState('');
+  const [fileText, setFileText] = useState(null);
+  const [name, setName] = useState('');
+  const [tableName, setTableName] = useState('');
+  const [description, setDescription] = useState('');
+  const [codebookUrl, setCodebookUrl] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const showPreview = (text, format, source) => {
+    const { headers, rows } = parseDatasetText(text, format, PREVIEW_ROWS);
+    if (!headers || headers.length === 0) {
+      throw new Error('No columns found');
+    }
+    setPreview({ headers, rows, format, schema: inferColumnTypes(headers, rows) });
+    setTableName(prev => prev || sanitizeTableName(source, takenNames));
+    setName(prev => prev || decodeURIComponent(source.split(/[?#]/)[0].split('/').pop()).replace(/\.\w+$/, ''));
+  };
+
+  const previewUrl = async () => {
+    setBusy(true);
+    setPreviewError(null);
+    setPreview(null);
+    try {
+      const format = detectFormat(url);
+      showPreview(await fetchPreviewText(url, format), format, url);
+    } catch (err) {
+      setPreviewError('Could not preview: ' + err.message);
+    }
+    setBusy(false);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setPreviewError(null);
+    setPreview(null);
+    try {
+      const text = await file.text();
+      setFileText(text);
+      showPreview(text, detectFormat(file.name), file.name);
+    } catch (err) {
+      setPreviewError('Could not read file: ' + err.message);
+    }
+  };
+
+  // Table names are compared as SQL compares them, and engines.js writes them unquoted
+  const tableNameError = !TABLE_NAME_PATTERN.test(tableName)
+    ? 'Use letters, digits and underscores, not starting with a digit'
+    : SQL_RESERVED_WORDS.has(tableName.toLowerCase()) ? `${tableName} is an SQL keyword, pick another name`
+    : takenNames.some(name => name.toLowerCase() === tableName.toLowerCase()) ? `${tableName} is already used by another dataset` : null;
+
+  const submit = () => {
+    const id = `custom_${Date.now().toString(36)}`;
+    onAdd({
+      id,
+      name: name || tableName,
+      url: sourceType === 'url' ? url : `local:${id}`,
+      description: description || (sourceType === 'url' ? url : 'Uploaded from a local file'),
+      codebookUrl: codebookUrl.trim() || undefined,
+      tableName,
+      format: preview.format,
+      source: sourceType,
+      custom: true
+    }, sourceType === 'file' ? fileText : null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-full overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Add Dataset</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl">✕</button>
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          {[['url', 'From URL'], ['file', 'Local file']].map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() => { setSourceType(type); setPreview(null); setPreviewError(null); }}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold ${
+                sourceType === type ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {sourceType === 'url' ? (
+          <div className="flex gap-2 mb-4">
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://raw.githubusercontent.com/owid/.../data.csv"
+              className="flex-1 px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+            />
+            <button
+              onClick={previewUrl}
+              disabled={!url || busy}
+              className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm font-semibold disabled:bg-gray-400"
+            >
+              {busy ? 'Fetching...' : 'Preview'}
+            </button>
+          </div>
+        ) : (
+          <input
+            type="file"
+            accept=".csv,.tsv,.tab,.json,text/csv,text/tab-separated-values,application/json"
+            onChange={handleFile}
+            className="mb-4 text-sm"
+          />
+        )}
+
+        {previewError && (
+          <div className="bg-red-50 border border-red-300 text-red-700 p-3 rounded-lg mb-4 text-sm">{previewError}</div>
+        )}
+
+        {preview && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4 text-sm">
+              <label className="block">
+                <span className="text-gray-600">Table name</span>
+                <input
+                  value={tableName}
+                  onChange={(e) => setTableName(e.target.value)}
+                  className="w-full mt-1 px-3 py-2 border-2 border-gray-300 rounded-lg font-mono focus:border-blue-500 focus:outline-none"
+                />
+                {tableNameError && <span className="text-red-600 text-xs">{tableNameError}</span>}
+              </label>
+              <label className="block">
+                <span className="text-gray-600">Display name</span>
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="w-full mt-1 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                />
+              </label>
+              <label className="block md:col-span-2">
+                <span className="text-gray-600">Description</span>
+                <input
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  className="w-full mt-1 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                />
+              </label>
+              <label className="block md:col-span-2">
+                <span className="text-gray-600">Codebook URL (optional)</span>
+                <input
+                  value={codebookUrl}
+                  onChange={(e) => setCodebookUrl(e.target.value)}
+                  placeholder="CSV with column and description columns, e.g. OWID's *-codebook.csv"
+                  className="w-full mt-1 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                />
+                {codebookUrl.trim() && !/^https?:\/\//i.test(codebookUrl.trim()) && (
+                  <span className="text-red-600 text-xs">Use an http(s) URL</span>
+                )}
+              </label>
+            </div>
+
+            <div className="text-sm text-gray-500 mb-2">
+              First {preview.rows.length} rows, {preview.headers.length} columns ({preview.format.toUpperCase()}). Types are detected from these rows and re-checked on the full file.
+            </div>
+            <div className="overflow-x-auto rounded-lg border border-gray-200 mb-4">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-100">
+                  <tr>
+                    {preview.schema.map(col => (
+                      <th key={col.name} className="px-3 py-2 text-left font-bold text-gray-700 whitespace-nowrap">
+                        {col.name}
+                        <div className="font-normal text-gray-400">{col.type}</div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row, idx) => (
+                    <tr key={idx} className="border-t">
+                      {preview.headers.map(h => (
+                        <td key={h} className="px-3 py-1 text-gray-700 whitespace-nowrap">{String(row[h] ?? '')}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">
+            Cancel
+          </button>
+          <button
+            onClick={submit}
+            disabled={!preview || !!tableNameError}
+            className="px-4 py-2 rounded-lg text-sm font-semibold bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Add and load
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Where the engine's message points inside the failing statement: the token quoted in
+// `near "x": syntax error` or the name in `no such column: x` (DuckDB's `Referenced
+// column "x" not found`), otherwise the statement's first word. Returns character offsets into `sql`.
+function locateSqlError(sql, statementOffset, message) {
+  const rest = sql.slice(statementOffset);
+  const code = stripSqlLiterals(rest);
+
+  if (/incomplete input/.test(message)) {
+    const end = statementOffset + rest.trimEnd().length;
+    return { from: Math.max(statementOffset, end - 1), to: end };
+  }
+
+  const match = message.match(/near "((?:[^"]|"")*)"/)
+    || message.match(/no such (?:column|table|function): (\S+)/)
+    || message.match(/ambiguous column name: (\S+)/)
+    || message.match(/(?:Referenced column|Ambiguous reference to column name) "([^"]+)"/)
+    || message.match(/(?:Table|Function) with name "?([^"\s]+)"? does not exist/);
+  if (match) {
+    const token = match[1];
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Prefer the token where it appears as code, literals and comments are blanked in `code`
+    const asCode = new RegExp(`(^|[^\\w])(${escaped})${/\w$/.test(token) ? '(?!\\w)' : ''}`).exec(code);
+    const index = asCode ? asCode.index + asCode[1].length : rest.indexOf(token);
+    if (index >= 0) return { from: statementOffset + index, to: statementOffset + index + Math.max(token.length, 1) };
+  }
+
+  const first = code.match(/\S+/);
+  return first ? { from: statementOffset + first.index, to: statementOffset + first.index + first[0].length } : null;
+}
+
+const EDITOR_HEIGHT = 240;
+
+// CodeMirror 5 SQL editor. CodeMirror owns the text while typing, `value` is only
+// pushed into it when it changes from outside (history, snippets, permalinks).
+// `apiRef` gets focus/getValue/getCursor/hasFocus/replaceRange/getSelection for the page.
+function SqlEditor({ value, onChange, onSelectionChange, onKeyDown, onBlur, errorRange, apiRef, popup, placeholder }) {
+  const containerRef = useRef(null);
+  const editorRef = useRef(null);
+  const handlersRef = useRef({});
+  const errorMarkRef = useRef(null);
+  const [cursorPosition, setCursorPosition] = useState({ left: 0, top: 0 });
+
+  // CodeMirror keeps the listeners it was given on mount, they call the latest props through this ref
+  handlersRef.current = { onChange, onSelectionChange, onKeyDown, onBlur };
+
+  useEffect(() => {
+    const cm = CodeMirror(containerRef.current, {
+      value,
+      mode: 'text/x-sqlite',
+      lineNumbers: true,
+      lineWrapping: true,
+      matchBrackets: true,
+      autoCloseBrackets: true,
+      keyMap: 'sublime',
+      tabSize: 2,
+      indentUnit: 2,
+      placeholder
+    });
+    cm.setSize(null, EDITOR_HEIGHT);
+    editorRef.current = cm;
+
+    const index = (pos) => cm.indexFromPos(pos);
+    const updateCursorPosition = () => {
+      const coords = cm.cursorCoords(true, 'local');
+      const gutter = cm.getGutterElement().offsetWidth;
+      setCursorPosition({ left: coords.left + gutter, top: coords.bottom - cm.getScrollInfo().top + 4 });
+    };
+
+    cm.on('changes', (instance, changes) => {
+      const origin = changes[changes.length - 1].origin;
+      handlersRef.current.onChange(cm.getValue(), index(cm.getCursor()), origin);
+    });
+    cm.on('cursorActivity', () => {
+      updateCursorPosition();
+      handlersRef.current.onSelectionChange({ start: index(cm.getCursor('from')), end: index(cm.getCursor('to')) });
+    });
+    cm.on('keydown', (instance, e) => handlersRef.current.onKeyDown(e));
+    cm.on('blur', () => handlersRef.current.onBlur());
+
+    apiRef.current = {
+      focus: () => cm.focus(),
+      hasFocus: () => cm.hasFocus(),
+      getValue: () => cm.getValue(),
+      getCursor: () => index(cm.getCursor()),
+      getSelection: () => ({ start: index(cm.getCursor('from')), end: index(cm.getCursor('to')) }),
+      // Edits go through CodeMirror so they can be undone, `select` keeps the new text selected
+      replaceRange: (text, from, to, { select = false, origin = '+replace' } = {}) => {
+        const start = cm.posFromIndex(from);
+        cm.replaceRange(text, start, cm.posFromIndex(to), origin);
+        const end = cm.posFromIndex(from + text.length);
+        if (select) cm.setSelection(start, end);
+        else cm.setCursor(end);
+        cm.focus();
+      }
+    };
+
+    return () => {
+      apiRef.current = null;
+      containerRef.current.innerHTML = '';
+    };
+  }, []);
+
+  useEffect(() => {
+    const cm = editorRef.current;
+    if (cm && cm.getValue() !== value) cm.setValue(value);
+  }, [value]);
+
+  useEffect(() => {
+    const cm = editorRef.current;
+    if (errorMarkRef.current) errorMarkRef.current.clear();
+    errorMarkRef.current = null;
+    if (!cm || !errorRange) return;
+    errorMarkRef.current = cm.markText(cm.posFromIndex(errorRange.from), cm.posFromIndex(errorRange.to), {
+      className: 'cm-sql-error',
+      attributes: { title: errorRange.message }
+    });
+    cm.scrollIntoView(cm.posFromIndex(errorRange.from), 40);
+  }, [errorRange]);
+
+  return (
+    <div className="relative border-2 border-gray-300 rounded-lg overflow-visible focus-within:border-blue-500 bg-gray-50 font-mono text-sm">
+      <div ref={containerRef} />
+      {popup && (
+        <div className="absolute z-10" style={{ left: cursorPosition.left, top: Math.min(cursorPosition.top, EDITOR_HEIGHT) }}>
+          {popup}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function parseTags(text) {
+  return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function matchesSearch(entry, term) {
+  if (!term) return true;
+  const haystack = [entry.sql, entry.name, ...(entry.tags || []), ...(entry.tables || [])]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+  return term.toLowerCase().split(/\s+/).every(word => haystack.includes(word));
+}
+
+const LIBRARY_TABS = [['history', 'History'], ['saved', 'Saved'], ['snippets', 'Snippets']];
+
+function QueryLibrary({ history, savedQueries, snippets, onOpen, onInsert, onSave, onDelete, onClearHistory }) {
+  const [tab, setTab] = useState('history');
+  const [search, setSearch] = useState('');
+  const [name, setName] = useState('');
+  const [tags, setTags] = useState('');
+
+  const entries = { history, saved: savedQueries, snippets }[tab].filter(entry => matchesSearch(entry, search));
+
+  const save = () => {
+    onSave(tab, { name: name.trim(), tags: parseTags(tags) });
+    setName('');
+    setTags('');
+  };
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg bg-gray-50 p-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {LIBRARY_TABS.map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`px-3 py-1 rounded-lg font-semibold ${
+              tab === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search SQL, names, tags, tables..."
+          className="flex-1 min-w-48 px-3 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+        />
+        {tab === 'history' && history.length > 0 && (
+          <button onClick={onClearHistory} className="text-gray-500 hover:text-red-600">
+            Clear history
+          </button>
+        )}
+      </div>
+
+      {tab !== 'history' && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={tab === 'saved' ? 'Name for the current query' : 'Name for the current query or selection'}
+            className="flex-1 min-w-48 px-3 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          />
+          <input
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags, comma separated"
+            className="w-56 px-3 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          />
+          <button
+            onClick={save}
+            disabled={!name.trim()}
+            className="px-3 py-1 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            {tab === 'saved' ? 'Save query' : 'Save snippet'}
+          </button>
+        </div>
+      )}
+
+      <ul className="max-h-72 overflow-y-auto divide-y divide-gray-200 bg-white rounded-lg border border-gray-200">
+        {entries.length === 0 && (
+          <li className="p-3 text-gray-500">{search ? 'Nothing matches this search' : 'Nothing here yet'}</li>
+        )}
+        {entries.map(entry => (
+          <li key={entry.id} className="p-3 hover:bg-blue-50 group">
+            <div className="flex justify-between items-start gap-3">
+              <button
+                onClick={() => tab === 'snippets' ? onInsert(entry.sql) : onOpen(entry.sql, entry.params)}
+                className="text-left flex-1 min-w-0"
+                title={tab === 'snippets' ? 'Insert at the cursor' : 'Open in the editor'}
+              >
+                {entry.name && <div className="font-semibold text-gray-800">{entry.name}</div>}
+                <pre className="font-mono text-xs text-gray-700 whitespace-pre-wrap max-h-16 overflow-hidden">{entry.sql}</pre>
+                <div className="text-xs text-gray-400 mt-1 flex flex-wrap gap-x-3">
+                  {tab === 'history' && <span>{new Date(entry.executedAt).toLocaleString()}</span>}
+                  {entry.tables && entry.tables.length > 0 && <span>{entry.tables.join(', ')}</span>}
+                  {entry.params && (
+                    <span className="font-mono">
+                      {Object.entries(entry.params).map(([name, value]) => `:${name} = ${Array.isArray(value) ? value.join(', ') : value}`).join(' · ')}
+                    </span>
+                  )}
+                  {tab === 'history' && (entry.error
+                    ? <span className="text-red-500">failed</span>
+                    : <span>{entry.rowCount.toLocaleString()} rows · {formatDuration(entry.durationMs)}</span>)}
+                  {(entry.tags || []).map(tag => (
+                    <span key={tag} className="px-1.5 bg-gray-100 rounded text-gray-600">{tag}</span>
+                  ))}
+                </div>
+              </button>
+              {tab !== 'history' && (
+                <button
+                  onClick={() => onDelete(tab, entry.id)}
+                  className="text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100"
+                  title="Delete"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const CHART_TYPES = [['scatter', 'Scatter'], ['line', 'Line'], ['bar', 'Bar'], ['pie', 'Pie'], ['race', 'Bar chart race'], ['map', 'World map']];
+const CHART_AGGREGATIONS = [['none', 'None'], ['sum', 'Sum'], ['avg', 'Average'], ['min', 'Min'], ['max', 'Max'], ['count', 'Count']];
+const CHART_TRENDLINES = [['none', 'None'], ['linear', 'Linear'], ['loess', 'LOESS']];
+// Chart types drawn as series over x, where top N, rolling averages and indexing apply
+const SERIES_CHART_TYPES = ['scatter', 'line', 'bar'];
+const CHART_COLUMN_FIELDS = ['x', 'y', 'color', 'size', 'facet', 'frame'];
+// Series colors, picked in the chart settings or taken from the theme
+const CHART_PALETTES = {
+  default: { label: 'Default', colors: ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'] },
+  owid: { label: 'Our World in Data', colors: ['#6d3e91', '#c05917', '#58ac8c', '#286bbb', '#883039', '#bc8e5a', '#00295b', '#c15065', '#18470f', '#9a5129'] },
+  bright: { label: 'Bright', colors: ['#60a5fa', '#f87171', '#34d399', '#fbbf24', '#a78bfa', '#f472b6', '#2dd4bf', '#fb923c', '#818cf8', '#a3e635'] },
+  okabeIto: { label: 'Okabe-Ito (colorblind-safe)', colors: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#999999'] },
+  tolBright: { label: 'Tol bright (colorblind-safe)', colors: ['#4477aa', '#ee6677', '#228833', '#ccbb44', '#66ccee', '#aa3377', '#bbbbbb'] }
+};
+// Everything around the data: backgrounds, grid, text and fonts
+const CHART_THEMES = {
+  default: { label: 'Default', palette: 'default', paper: '#ffffff', plot: '#f9fafb', grid: '#e5e7eb', text: '#1f2937', muted: '#6b7280' },
+  owid: {
+    label: 'Our World in Data',
+    palette: 'owid',
+    paper: '#ffffff',
+    plot: '#ffffff',
+    grid: '#dddddd',
+    griddash: 'dot',
+    text: '#4e4e4e',
+    muted: '#858585',
+    font: 'Lato, "Helvetica Neue", Arial, sans-serif',
+    titleFont: '"Playfair Display", Georgia, serif',
+    titleLeft: true
+  },
+  dark: { label: 'Dark', palette: 'bright', paper: '#111827', plot: '#1f2937', grid: '#374151', text: '#f3f4f6', muted: '#9ca3af' }
+};
+const CHART_ANNOTATION_KINDS = [['point', 'Point'], ['vline', 'Vertical line'], ['hline', 'Horizontal line']];
+const MAX_CHART_ANNOTATIONS = 20;
+const MAX_CHART_TEXT_LENGTH = 300;
+const MAX_CHART_FACETS = 12;
+const DEFAULT_TOP_SERIES = 10;
+const MAX_TOP_SERIES = 50;
+const MAX_ROLLING_WINDOW = 50;
+const LOESS_SPAN = 0.75;
+const MAX_TRENDLINE_POINTS = 200;
+const MAX_CHART_OVERRIDES = 200;
+const PROFILE_SAMPLE_SIZE = 1000;
+const IDENTIFIER_COLUMN_PATTERN = /(^|_)(id|code|iso)(_|$)/i;
+const TIME_COLUMN_PATTERN = /(^|_)(year|date|time|month|day)(_|$)/i;
+const ISO3_PATTERN = /^[A-Z]{3}$/;
+const COUNTRY_NAME_COLUMN_PATTERN = /^(country|country_name|location|entity)$/i;
+// OWID's own codes for regions and income groups (OWID_WRL, OWID_EUR, ...) are not countries
+const OWID_AGGREGATE_PATTERN = /^OWID_/;
+const MIN_MAP_LOCATIONS = 20;
+
+// Classify result columns from their non-null values, not just the first row.
+// Codes and ids stay categorical even when they hold numbers.
+function profileResultColumns(data, columns) {
+  const kinds = {};
+  columns.forEach(col => {
+    let numbers = 0;
+    let others = 0;
+    for (let i = 0; i < data.length && numbers + others < PROFILE_SAMPLE_SIZE; i++) {
+      const val = data[i][col];
+      if (val === null || val === undefined || val === '') continue;
+      if (typeof val === 'number') numbers++;
+      else others++;
+    }
+    if (TIME_COLUMN_PATTERN.test(col)) kinds[col] = 'temporal';
+    else if (numbers > 0 && others === 0 && !IDENTIFIER_COLUMN_PATTERN.test(col)) kinds[col] = 'numeric';
+    else kinds[col] = 'categorical';
+  });
+  return kinds;
+}
+
+function distinctValues(data, col) {
+  return [...new Set(data.map(row => row[col]))];
+}
+
+// Find the column that names countries: ISO-3 codes first, country names as a fallback
+function detectLocationColumn(data, columns) {
+  const sample = data.slice(0, PROFILE_SAMPLE_SIZE);
+  const isoColumn = columns.find(col => {
+    const values = sample.map(row => row[col]).filter(val => typeof val === 'string' && val !== '');
+    const codes = values.filter(val => !OWID_AGGREGATE_PATTERN.test(val));
+    return codes.length > 0 && codes.every(val => ISO3_PATTERN.test(val));
+  });
+  if (isoColumn) return { column: isoColumn, mode: 'ISO-3' };
+
+  const nameColumn = columns.find(col =>
+    COUNTRY_NAME_COLUMN_PATTERN.test(col) && sample.some(row => typeof row[col] === 'string')
+  );
+  return nameColumn ? { column: nameColumn, mode: 'country names' } : null;
+}
+
+// The automatic guess, used until the user changes something in the chart builder
+function detectChartConfig(data, columns, sql) {
+  const kinds = profileResultColumns(data, columns);
+  const numericCols = columns.filter(col => kinds[col] === 'numeric');
+  const categoricalCols = columns.filter(col => kinds[col] === 'categorical');
+  const timeCols = columns.filter(col => kinds[col] === 'temporal');
+
+  const hasGroupBy = /\bGROUP\s+BY\b/i.test(sql);
+  const hasAggregation = /\b(COUNT|SUM|AVG|MIN|MAX)\s*\(/i.test(sql);
+  const config = {
+    type: 'scatter',
+    x: columns[0],
+    y: columns.length > 1 ? columns[1] : columns[0],
+    color: null,
+    size: null,
+    facet: null,
+    frame: null,
+    aggregate: 'none',
+    xLog: false,
+    yLog: false,
+    topN: null,
+    rolling: null,
+    indexBase: null,
+    trendline: 'none',
+    theme: 'default',
+    palette: null,
+    title: null,
+    subtitle: null,
+    source: null,
+    annotations: []
+  };
+
+  const location = detectLocationColumn(data, columns);
+  if (location && numericCols.length > 0 && distinctValues(data, location.column).length >= MIN_MAP_LOCATIONS) {
+    config.type = 'map';
+    config.x = location.column;
+    config.y = numericCols[0];
+    if (timeCols.length > 0 && distinctValues(data, timeCols[0]).length > 1) config.frame = timeCols[0];
+  } else if (timeCols.length > 0 && numericCols.length > 0) {
+    config.type = 'line';
+    config.x = timeCols[0];
+    config.y = numericCols[0];
+    const series = categoricalCols.find(col => distinctValues(data, col).length > 1);
+    if (series) config.color = series;
+    // Hundreds of country lines are unreadable, start from the largest ones
+    if (series && distinctValues(data, series).length > DEFAULT_TOP_SERIES) config.topN = DEFAULT_TOP_SERIES;
+  } else if (hasGroupBy && hasAggregation) {
+    config.type = 'bar';
+    config.x = categoricalCols[0] || timeCols[0] || columns[0];
+    config.y = numericCols[0] || config.y;
+  } else if (categoricalCols.length > 0 && numericCols.length === 1 && data.length < 20) {
+    config.type = 'pie';
+    config.x = categoricalCols[0];
+    config.y = numericCols[0];
+  } else if (numericCols.length >= 2) {
+    config.x = numericCols[0];
+    config.y = numericCols[1];
+    if (categoricalCols.length > 0) config.color = categoricalCols[0];
+  }
+
+  return config;
+}
+
+// Keep only known settings, and only columns that exist in the result when columns are given
+function sanitizeChartConfig(raw, columns = null) {
+  const config = {};
+  if (!raw || typeof raw !== 'object') return config;
+
+  if (CHART_TYPES.some(([type]) => type === raw.type)) config.type = raw.type;
+  if (CHART_AGGREGATIONS.some(([fn]) => fn === raw.aggregate)) config.aggregate = raw.aggregate;
+  if (CHART_TRENDLINES.some(([fn]) => fn === raw.trendline)) config.trendline = raw.trendline;
+  ['xLog', 'yLog'].forEach(field => {
+    if (typeof raw[field] === 'boolean') config[field] = raw[field];
+  });
+  [['topN', MAX_TOP_SERIES], ['rolling', MAX_ROLLING_WINDOW]].forEach(([field, max]) => {
+    if (!(field in raw)) return;
+    const value = raw[field];
+    if (value === null || (Number.isInteger(value) && value >= 1 && value <= max)) config[field] = value;
+  });
+  if ('indexBase' in raw && (raw.indexBase === null || ['string', 'number'].includes(typeof raw.indexBase))) {
+    config.indexBase = raw.indexBase;
+  }
+  if (raw.theme in CHART_THEMES) config.theme = raw.theme;
+  if (raw.palette === null || raw.palette in CHART_PALETTES) config.palette = raw.palette;
+  ['title', 'subtitle', 'source'].forEach(field => {
+    if (raw[field] === null || typeof raw[field] === 'string') config[field] = raw[field] ? raw[field].slice(0, MAX_CHART_TEXT_LENGTH) : null;
+  });
+  if (Array.isArray(raw.annotations)) {
+    config.annotations = raw.annotations
+      .filter(note => note && CHART_ANNOTATION_KINDS.some(([kind]) => kind === note.kind) && typeof note.text === 'string')
+      .slice(0, MAX_CHART_ANNOTATIONS)
+      .map(({ kind, x = null, y = null, text }) => ({
+        kind,
+        x: ['string', 'number'].includes(typeof x) ? x : null,
+        y: typeof y === 'number' ? y : null,
+        text: text.slice(0, MAX_CHART_TEXT_LENGTH)
+      }))
+      .filter(note => (note.kind === 'hline' || note.x !== null) && (note.kind === 'vline' || note.y !== null));
+  }
+  CHART_COLUMN_FIELDS.forEach(field => {
+    if (!(field in raw)) return;
+    const value = raw[field];
+    if (value === null || (typeof value === 'string' && (!columns || columns.includes(value)))) {
+      config[field] = value;
+    }
+  });
+  return config;
+}
+
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return (hash >>> 0).toString(36);
+}
+
+// Chart choices are remembered per query, ignoring whitespace-only edits
+function chartConfigKey(sql) {
+  return hashString(sql.replace(/\s+/g, ' ').trim());
+}
+
+// Drop the least recently used entries once there are too many
+function pruneChartOverrides(overrides) {
+  const keys = Object.keys(overrides);
+  if (keys.length <= MAX_CHART_OVERRIDES) return overrides;
+  const keep = keys
+    .sort((a, b) => overrides[b].savedAt - overrides[a].savedAt)
+    .slice(0, MAX_CHART_OVERRIDES);
+  return Object.fromEntries(keep.map(key => [key, overrides[key]]));
+}
+
+function aggregateValues(values, fn) {
+  if (fn === 'count') return values.filter(v => v !== null && v !== undefined).length;
+  const numbers = values.filter(v => typeof v === 'number');
+  if (numbers.length === 0) return null;
+  switch (fn) {
+    case 'sum': return numbers.reduce((a, b) => a + b, 0);
+    case 'avg': return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    case 'min': return numbers.reduce((a, b) => Math.min(a, b));
+    case 'max': return numbers.reduce((a, b) => Math.max(a, b));
+    default: return numbers[0];
+  }
+}
+
+// Group by the x, color and facet columns and reduce y (and size) with the chosen function
+function aggregateRows(data, config) {
+  const keys = [config.x, config.color, config.facet, config.frame].filter(Boolean);
+  const groups = new Map();
+  data.forEach(row => {
+    const key = JSON.stringify(keys.map(col => row[col]));
+    if (!groups.has(key)) {
+      groups.set(key, { row: Object.fromEntries(keys.map(col => [col, row[col]])), y: [], size: [] });
+    }
+    const group = groups.get(key);
+    group.y.push(row[config.y]);
+    if (config.size) group.size.push(row[config.size]);
+  });
+
+  return [...groups.values()].map(({ row, y, size }) => {
+    const result = { ...row, [config.y]: aggregateValues(y, config.aggregate) };
+    if (config.size) result[config.size] = aggregateValues(size, config.aggregate);
+    return result;
+  });
+}
+
+function generateChartTitle(xCol, yCol, chartType, sql, aggregate = 'none') {
+  if (aggregate !== 'none') {
+    const label = CHART_AGGREGATIONS.find(([fn]) => fn === aggregate)[1];
+    return `${label} of ${yCol} by ${xCol}`;
+  }
+  if (chartType === 'pie') return `Distribution of ${yCol}`;
+  if (chartType === 'race') return `${yCol} by ${xCol}`;
+  if (/\bGROUP\s+BY\b/i.test(sql)) return `${yCol} by ${xCol}`;
+  if (chartType === 'map') return `${yCol} by Country`;
+  if (TIME_COLUMN_PATTERN.test(xCol)) return `${yCol} Over Time`;
+  return `${yCol} vs ${xCol}`;
+}
+
+// The title shown above a chart, also written into exported notebooks
+function chartTitle(config, sql) {
+  if (config.title) return config.title;
+  const title = generateChartTitle(config.x, config.y, config.type, sql, config.aggregate);
+  const series = SERIES_CHART_TYPES.includes(config.type);
+  const notes = [
+    ['map', 'race', 'scatter'].includes(config.type) && config.frame,
+    series && config.rolling && `${config.rolling}-point rolling average`,
+    series && config.indexBase !== null && `${config.indexBase} = 100`
+  ].filter(Boolean);
+  return notes.length > 0 ? `${title} (${notes.join(', ')})` : title;
+}
+
+function chartTheme(config) {
+  return CHART_THEMES[config.theme] || CHART_THEMES.default;
+}
+
+function chartPalette(config) {
+  return CHART_PALETTES[config.palette || chartTheme(config).palette].colors;
+}
+
+// A numeric color column on a scatter plot is a color scale rather than series
+function hasNumericColor(rows, config) {
+  return !!config.color && config.type === 'scatter' &&
+    rows.every(row => row[config.color] === null || typeof row[config.color] === 'number');
+}
+
+// The column that splits a chart into series: a categorical color, else the facet
+function seriesColumn(rows, config) {
+  return config.color && !hasNumericColor(rows, config) ? config.color : config.facet;
+}
+
+function groupRows(rows, col) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = col ? row[col] : null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+}
+
+// Trailing mean of the last `window` points, null until a full window of numbers
+function rollingAverage(values, window) {
+  return values.map((_, i) => {
+    if (i + 1 < window) return null;
+    const recent = values.slice(i + 1 - window, i + 1);
+    return recent.every(v => typeof v === 'number') ? recent.reduce((a, b) => a + b, 0) / window : null;
+  });
+}
+
+// Top N, rolling averages and indexing to a base x value, applied per series in x
+// order. Series are ranked by their latest value; a series without a value at the
+// base is dropped, as it cannot be indexed.
+function transformSeries(rows, config) {
+  if (!config.topN && !config.rolling && config.indexBase === null) return rows;
+  const { x, y } = config;
+  const series = seriesColumn(rows, config);
+  let groups = [...groupRows(rows, series).values()]
+    .map(group => [...group].sort((a, b) => compareValues(a[x], b[x])));
+
+  if (config.topN && series) {
+    const latest = (group) => {
+      const numbers = group.filter(row => typeof row[y] === 'number');
+      return numbers.length > 0 ? numbers[numbers.length - 1][y] : -Infinity;
+    };
+    groups = groups
+      .map(group => ({ group, latest: latest(group) }))
+      .sort((a, b) => compareValues(b.latest, a.latest))
+      .slice(0, config.topN)
+      .map(({ group }) => group);
+  }
+
+  return groups.flatMap(group => {
+    let values = group.map(row => row[y]);
+    if (config.rolling) values = rollingAverage(values, config.rolling);
+    if (config.indexBase !== null) {
+      const at = group.findIndex(row => String(row[x]) === String(config.indexBase));
+      const base = at >= 0 ? values[at] : null;
+      if (typeof base !== 'number' || base === 0) return [];
+      values = values.map(v => typeof v === 'number' ? v / base * 100 : null);
+    }
+    return group.map((row, i) => ({ ...row, [y]: values[i] }));
+  });
+}
+
+// Numbers as they are, dates and date strings as milliseconds, for fitting trends
+function trendX(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Least squares line through points[from, to), each weighted by weight(point)
+function weightedLinearFit(points, weight, from = 0, to = points.length) {
+  let sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (let i = from; i < to; i++) {
+    const p = points[i];
+    const w = weight(p);
+    if (w <= 0) continue;
+    sw += w;
+    sx += w * p.t;
+    sy += w * p.y;
+    sxx += w * p.t * p.t;
+    sxy += w * p.t * p.y;
+  }
+  const denominator = sw * sxx - sx * sx;
+  const slope = denominator === 0 ? 0 : (sw * sxy - sx * sy) / denominator;
+  return { slope, intercept: (sy - slope * sx) / sw };
+}
+
+// Local linear regression with tricube weights over the nearest LOESS_SPAN share of
+// the points, like R's loess with degree 1, evaluated at `at` (sorted by t)
+function loessFit(points, at) {
+  const k = Math.min(points.length, Math.max(3, Math.ceil(LOESS_SPAN * points.length)));
+  let start = 0;
+  return at.map(({ t }) => {
+    // The k nearest points of a sorted list are a window that only moves right
+    while (start + k < points.length && t - points[start].t > points[start + k].t - t) start++;
+    const radius = Math.max(t - points[start].t, points[start + k - 1].t - t) * 1.000001 || 1;
+    const tricube = (p) => {
+      const u = Math.abs(p.t - t) / radius;
+      const v = 1 - u * u * u;
+      return v * v * v;
+    };
+    const { slope, intercept } = weightedLinearFit(points, tricube, start, start + k);
+    return intercept + slope * t;
+  });
+}
+
+// Dashed linear or LOESS trend of each series, fitted over its numeric x values
+function trendlineTraces(rows, config, groupColors, axis) {
+  const axes = axis ? { xaxis: `x${axis}`, yaxis: `y${axis}` } : {};
+  const grouped = config.color && !hasNumericColor(rows, config);
+  return [...groupRows(rows, grouped ? config.color : null).entries()].flatMap(([key, group]) => {
+    const points = group
+      .map(row => ({ x: row[config.x], t: trendX(row[config.x]), y: row[config.y] }))
+      .filter(p => p.t !== null && typeof p.y === 'number')
+      .sort((a, b) => a.t - b.t);
+    if (points.length < 3) return [];
+
+    const step = Math.max(1, Math.ceil(points.length / MAX_TRENDLINE_POINTS));
+    const at = points.filter((p, i) => i % step === 0 || i === points.length - 1);
+    let fitted;
+    if (config.trendline === 'loess') {
+      fitted = loessFit(points, at);
+    } else {
+      const { slope, intercept } = weightedLinearFit(points, () => 1);
+      fitted = at.map(({ t }) => intercept + slope * t);
+    }
+    const name = grouped ? String(key) : null;
+    const color = grouped ? groupColors.get(name) : chartTheme(config).text;
+    return [{
+      type: 'scatter',
+      mode: 'lines',
+      ...axes,
+      name: `${name || config.y} trend`,
+      legendgroup: name || undefined,
+      showlegend: false,
+      x: at.map(p => p.x),
+      y: fitted,
+      line: { color, width: 2, dash: 'dash' },
+      hovertemplate: `${name ? `<b>${name}</b><br>` : ''}${config.trendline === 'loess' ? 'LOESS' : 'Linear'} trend: %{y:,.2f}<extra></extra>`
+    }];
+  });
+}
+
+// Marker sizes are scaled against sizeRows, all frames of an animation share one scale
+function chartTraces(rows, config, groupColors, axis, showLegend, sizeRows = rows) {
+  const { type, x, y, color, size } = config;
+  const plotlyType = type === 'bar' ? 'bar' : 'scatter';
+  const mode = type === 'line' ? 'lines+markers' : 'markers';
+  const axes = axis ? { xaxis: `x${axis}`, yaxis: `y${axis}` } : {};
+  const sizeFor = (points) => {
+    if (!size || type === 'bar') return {};
+    const max = sizeRows.reduce((m, row) => Math.max(m, Math.abs(row[size]) || 0), 1);
+    return { size: points.map(row => Math.abs(row[size]) || 0), sizemode: 'area', sizeref: 2 * max / (40 ** 2), sizemin: 3 };
+  };
+  const hover = (name) => `${name ? `<b>${name}</b><br>` : ''}${x}: %{x}<br>${y}: %{y:,.2f}${size ? `<br>${size}: %{marker.size:,.2f}` : ''}<extra></extra>`;
+
+  const numericColor = hasNumericColor(rows, config);
+  if (!color || numericColor) {
+    return [{
+      type: plotlyType,
+      mode,
+      ...axes,
+      x: rows.map(row => row[x]),
+      y: rows.map(row => row[y]),
+      marker: numericColor
+        ? { color: rows.map(row => row[color]), colorscale: 'Viridis', showscale: showLegend, colorbar: { title: { text: color } }, ...sizeFor(rows) }
+        : { color: chartPalette(config)[0], size: 8, ...sizeFor(rows) },
+      line: { color: chartPalette(config)[0], width: 2 },
+      showlegend: false,
+      hovertemplate: hover(null)
+    }];
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const name = String(row[color]);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(row);
+  });
+
+  return [...groups.entries()].map(([name, points]) => ({
+    type: plotlyType,
+    mode,
+    ...axes,
+    name,
+    legendgroup: name,
+    showlegend: showLegend,
+    x: points.map(row => row[x]),
+    y: points.map(row => row[y]),
+    marker: { color: groupColors.get(name), ...(size ? sizeFor(points) : { size: 8 }) },
+    line: { color: groupColors.get(name), width: 2 },
+    hovertemplate: hover(name)
+  }));
+}
+
+function compareValues(a, b) {
+  return a > b ? 1 : a < b ? -1 : 0;
+}
+
+function frameValues(rows, frame) {
+  return distinctValues(rows, frame).filter(v => v !== null).sort(compareValues);
+}
+
+// Slider and play/pause buttons stepping through Plotly frames, starting at the
+// last one. Maps and re-ranked bars need a redraw, scatter points can glide.
+function animationControls(frames, frame, redraw, transition = 0) {
+  const animate = (names, duration, options = {}) => [names, {
+    mode: 'immediate',
+    frame: { duration, redraw },
+    transition: { duration: Math.min(transition, duration) },
+    ...options
+  }];
+
+  return {
+    sliders: [{
+      active: frames.length - 1,
+      currentvalue: { prefix: `${frame}: ` },
+      pad: { t: 30 },
+      steps: frames.map(({ name }) => ({ label: name, method: 'animate', args: animate([name], 0) }))
+    }],
+    updatemenus: [{
+      type: 'buttons',
+      showactive: false,
+      x: 0,
+      y: 0,
+      xanchor: 'right',
+      yanchor: 'top',
+      pad: { t: 60, r: 10 },
+      buttons: [
+        { label: '▶', method: 'animate', args: animate(null, 500, { fromcurrent: true }) },
+        { label: '❚❚', method: 'animate', args: animate([null], 0) }
+      ]
+    }]
+  };
+}
+
+// A range covering every frame, so the axes hold still during an animation.
+// Log axes take their range in log10 units.
+function axisRange(rows, col, log) {
+  const values = rows
+    .map(row => row[col])
+    .filter(v => typeof v === 'number' && (!log || v > 0))
+    .map(v => log ? Math.log10(v) : v);
+  if (values.length === 0) return undefined;
+  const min = values.reduce((a, b) => Math.min(a, b));
+  const max = values.reduce((a, b) => Math.max(a, b));
+  const pad = (max - min) * 0.05 || 1;
+  return [min - pad, max + pad];
+}
+
+// Choropleth with one animation frame per value of the frame column (usually year).
+// Geometry comes from plotly-geo-assets.js, so maps render without fetching topojson.
+function buildMapChart(rows, config, title) {
+  const location = detectLocationColumn(rows, [config.x]);
+  const locationmode = location ? location.mode : 'country names';
+  const points = rows.filter(row =>
+    row[config.x] !== null && row[config.x] !== '' &&
+    !OWID_AGGREGATE_PATTERN.test(String(row[config.x])) &&
+    typeof row[config.y] === 'number' &&
+    (!config.yLog || row[config.y] > 0)
+  );
+  const zOf = (row) => config.yLog ? Math.log10(row[config.y]) : row[config.y];
+  const zValues = points.map(zOf);
+  const zmin = zValues.reduce((a, b) => Math.min(a, b), Infinity);
+  const zmax = zValues.reduce((a, b) => Math.max(a, b), -Infinity);
+
+  const trace = (framePoints) => ({
+    type: 'choropleth',
+    locationmode,
+    locations: framePoints.map(row => row[config.x]),
+    z: framePoints.map(zOf),
+    customdata: framePoints.map(row => row[config.y]),
+    zmin,
+    zmax,
+    colorscale: 'YlOrRd',
+    marker: { line: { color: '#ffffff', width: 0.5 } },
+    colorbar: { title: { text: config.yLog ? `log10(${config.y})` : config.y } },
+    hovertemplate: `<b>%{location}</b><br>${config.y}: %{customdata:,.2f}<extra></extra>`
+  });
+
+  const layout = {
+    title: { text: title, font: { size: 20 } },
+    geo: { showframe: false, showcoastlines: false, projection: { type: 'natural earth' } },
+    margin: { t: 60, r: 20, b: 20, l: 20 }
+  };
+
+  if (!config.frame) return { data: [trace(points)], layout, frames: [] };
+
+  const frames = frameValues(points, config.frame).map(value => ({
+    name: String(value),
+    data: [trace(points.filter(row => row[config.frame] === value))]
+  }));
+  const latest = frames.length - 1;
+
+  layout.margin.b = 80;
+  Object.assign(layout, animationControls(frames, config.frame, true));
+
+  return { data: latest >= 0 ? frames[latest].data : [trace([])], layout, frames };
+}
+
+// Horizontal bars of the largest values, re-ranked in every frame. The value axis
+// is fixed and each label keeps its color, so bars can be followed as they move.
+function buildRaceChart(rows, config, title) {
+  const count = config.topN || DEFAULT_TOP_SERIES;
+  const points = rows.filter(row => row[config.x] !== null && typeof row[config.y] === 'number');
+  const palette = chartPalette(config);
+  const labelColors = new Map(distinctValues(points, config.x).map((label, i) => [String(label), palette[i % palette.length]]));
+  const values = points.map(row => row[config.y]);
+  const min = values.reduce((a, b) => Math.min(a, b), 0);
+  const max = values.reduce((a, b) => Math.max(a, b), 0);
+
+  // Largest last, Plotly draws the first category at the bottom
+  const trace = (framePoints) => {
+    const top = [...framePoints].sort((a, b) => b[config.y] - a[config.y]).slice(0, count).reverse();
+    return {
+      type: 'bar',
+      orientation: 'h',
+      x: top.map(row => row[config.y]),
+      y: top.map(row => String(row[config.x])),
+      marker: { color: top.map(row => labelColors.get(String(row[config.x]))) },
+      texttemplate: '%{x:,.3~s}',
+      textposition: 'outside',
+      cliponaxis: false,
+      hovertemplate: `<b>%{y}</b><br>${config.y}: %{x:,.2f}<extra></extra>`
+    };
+  };
+  const frameLabel = (value) => ({
+    text: String(value),
+    xref: 'paper',
+    yref: 'paper',
+    x: 1,
+    y: 0.02,
+    xanchor: 'right',
+    yanchor: 'bottom',
+    showarrow: false,
+    font: { size: 40, color: chartTheme(config).muted }
+  });
+
+  const layout = {
+    title: { text: title, font: { size: 20 } },
+    showlegend: false,
+    margin: { t: 60, r: 40, b: 60, l: 20 },
+    xaxis: { title: { text: config.y, font: { size: 14 } }, range: [min * 1.1, max * 1.1] },
+    yaxis: { type: 'category', automargin: true },
+    annotations: []
+  };
+
+  if (!config.frame) return { data: [trace(points)], layout, frames: [] };
+
+  const frames = frameValues(points, config.frame).map(value => ({
+    name: String(value),
+    data: [trace(points.filter(row => row[config.frame] === value))],
+    layout: { annotations: [frameLabel(value)] }
+  }));
+  if (frames.length === 0) return { data: [trace([])], layout, frames };
+
+  layout.margin.b = 100;
+  layout.annotations = frames[frames.length - 1].layout.annotations;
+  Object.assign(layout, animationControls(frames, config.frame, true));
+  return { data: frames[frames.length - 1].data, layout, frames };
+}
+
+// Gapminder-style scatter with one frame per value of the frame column. Every series
+// has a trace in every frame, empty where it has no data, so points glide between
+// frames instead of jumping between traces.
+function buildAnimatedScatter(rows, config, groupColors, layout) {
+  const names = config.color && !hasNumericColor(rows, config) ? [...groupColors.keys()] : null;
+  const frames = frameValues(rows, config.frame).map(value => {
+    const traces = chartTraces(rows.filter(row => row[config.frame] === value), config, groupColors, null, true, rows);
+    if (!names) return { name: String(value), data: traces };
+    const byName = new Map(traces.map(trace => [trace.name, trace]));
+    return {
+      name: String(value),
+      data: names.map(name => byName.get(name) || {
+        type: 'scatter',
+        mode: 'markers',
+        name,
+        legendgroup: name,
+        x: [],
+        y: [],
+        marker: { color: groupColors.get(name) }
+      })
+    };
+  });
+  if (frames.length === 0) return { data: [], layout, frames };
+
+  layout.xaxis.range = axisRange(rows, config.x, config.xLog);
+  layout.yaxis.range = axisRange(rows, config.y, config.yLog);
+  layout.margin.b = 100;
+  Object.assign(layout, animationControls(frames, config.frame, false, 300));
+  return { data: frames[frames.length - 1].data, layout, frames };
+}
+
+// User text goes into Plotly's HTML-like labels as plain text
+function chartText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Log axes place annotations and shapes by the log10 of the value
+function axisPosition(value, log) {
+  return log && typeof value === 'number' && value > 0 ? Math.log10(value) : value;
+}
+
+// Point and line annotations, drawn on every panel of a faceted chart
+function annotationLayers(config, theme, panels) {
+  const annotations = [];
+  const shapes = [];
+  const line = { color: theme.muted, width: 1.5, dash: 'dash' };
+  const font = { size: 12, color: theme.text };
+  config.annotations.forEach(note => panels.forEach(axis => {
+    const [xref, yref] = [`x${axis}`, `y${axis}`];
+    const x = axisPosition(note.x, config.xLog);
+    const y = axisPosition(note.y, config.yLog);
+    const text = chartText(note.text);
+    if (note.kind === 'point' && note.x !== null && note.y !== null) {
+      annotations.push({ xref, yref, x, y, text, font, showarrow: true, arrowhead: 2, arrowcolor: theme.muted, ax: 0, ay: -40, bgcolor: theme.paper });
+    } else if (note.kind === 'vline' && note.x !== null) {
+      shapes.push({ type: 'line', xref, yref: `${yref} domain`, x0: x, x1: x, y0: 0, y1: 1, line });
+      annotations.push({ xref, yref: `${yref} domain`, x, y: 1, text, font, showarrow: false, xanchor: 'left', yanchor: 'top', xshift: 4 });
+    } else if (note.kind === 'hline' && note.y !== null) {
+      shapes.push({ type: 'line', xref: `${xref} domain`, yref, x0: 0, x1: 1, y0: y, y1: y, line });
+      annotations.push({ xref: `${xref} domain`, yref, x: 1, y, text, font, showarrow: false, xanchor: 'right', yanchor: 'bottom' });
+    }
+  }));
+  return { annotations, shapes };
+}
+
+// Theme colors and fonts, the subtitle, the source note and the annotations go on
+// last, the same way for every chart type. Frames that replace the annotations
+// (the bar chart race's year label) get the added ones too.
+function styleChart(chart, config) {
+  const { layout } = chart;
+  const theme = chartTheme(config);
+  layout.paper_bgcolor = theme.paper;
+  layout.plot_bgcolor = theme.plot;
+  layout.font = { color: theme.text, ...(theme.font ? { family: theme.font } : {}) };
+  layout.title.font = { ...layout.title.font, color: theme.text, ...(theme.titleFont ? { family: theme.titleFont } : {}) };
+  layout.title.text = chartText(layout.title.text);
+  if (theme.titleLeft) Object.assign(layout.title, { x: 0, xref: 'paper', xanchor: 'left' });
+  if (config.subtitle) {
+    layout.title.text += `<br><span style="font-size:14px;color:${theme.muted}">${chartText(config.subtitle)}</span>`;
+    layout.margin.t += 24;
+  }
+
+  const panels = Object.keys(layout).filter(key => /^xaxis\d*$/.test(key)).map(key => key.slice('xaxis'.length));
+  panels.forEach(axis => ['xaxis', 'yaxis'].forEach(name => {
+    Object.assign(layout[name + axis], { gridcolor: theme.grid, zerolinecolor: theme.grid, griddash: theme.griddash || 'solid' });
+  }));
+  if (layout.geo) layout.geo.bgcolor = theme.paper;
+  if (layout.sliders) {
+    layout.sliders.forEach(slider => {
+      slider.font = { color: theme.text };
+      slider.currentvalue.font = { color: theme.text };
+    });
+  }
+
+  const added = config.type === 'map' || config.type === 'pie' ? { annotations: [], shapes: [] } : annotationLayers(config, theme, panels);
+  if (config.source) {
+    layout.margin.b += 30;
+    added.annotations.push({
+      text: chartText(config.source),
+      xref: 'paper',
+      yref: 'paper',
+      x: 0,
+      y: 0,
+      xanchor: 'left',
+      yanchor: 'top',
+      yshift: -(layout.margin.b - 24),
+      showarrow: false,
+      font: { size: 11, color: theme.muted }
+    });
+  }
+  layout.annotations = [...(layout.annotations || []), ...added.annotations];
+  layout.shapes = added.shapes;
+  chart.frames.forEach(frame => {
+    if (frame.layout && frame.layout.annotations) frame.layout.annotations.push(...added.annotations);
+  });
+  return chart;
+}
+
+// Build Plotly traces and layout from a chart config, styled by its theme
+function buildChart(data, config, sql) {
+  return styleChart(buildPlot(data, config, sql), config);
+}
+
+// Plotly traces and layout for a chart config, with one subplot per facet value
+function buildPlot(data, config, sql) {
+  let rows = config.aggregate !== 'none' ? aggregateRows(data, config) : data;
+  if (config.type === 'map') {
+    return buildMapChart(rows, config, chartTitle(config, sql));
+  }
+  if (config.type === 'race') {
+    return buildRaceChart(rows, config, chartTitle(config, sql));
+  }
+  if (SERIES_CHART_TYPES.includes(config.type)) rows = transformSeries(rows, config);
+  if (config.type === 'line') {
+    rows = [...rows].sort((a, b) => compareValues(a[config.x], b[config.x]));
+  }
+
+  // Colors are assigned once so a series keeps its color in every facet
+  const groupColors = new Map();
+  if (config.color) {
+    const palette = chartPalette(config);
+    distinctValues(rows, config.color).forEach((value, i) => {
+      groupColors.set(String(value), palette[i % palette.length]);
+    });
+  }
+
+  const animated = config.type === 'scatter' && !!config.frame;
+  const facets = config.facet && !animated ? distinctValues(rows, config.facet).slice(0, MAX_CHART_FACETS) : [null];
+  const gridColumns = Math.min(facets.length, 3);
+  const gridRows = Math.ceil(facets.length / gridColumns);
+  const title = chartTitle(config, sql);
+
+  const layout = {
+    title: { text: title, font: { size: 20 } },
+    hovermode: 'closest',
+    showlegend: !!config.color,
+    margin: { t: 60, r: 20, b: 60, l: 60 },
+    annotations: []
+  };
+  const traces = [];
+  const trendline = config.trendline !== 'none' && ['line', 'scatter'].includes(config.type) && !animated;
+  const faceted = facets[0] !== null;
+
+  facets.forEach((facet, i) => {
+    const facetRows = faceted ? rows.filter(row => row[config.facet] === facet) : rows;
+    const axis = i === 0 ? '' : String(i + 1);
+
+    if (config.type === 'pie') {
+      traces.push({
+        type: 'pie',
+        labels: facetRows.map(row => row[config.x]),
+        values: facetRows.map(row => row[config.y]),
+        name: facet === null ? undefined : String(facet),
+        domain: faceted ? { row: Math.floor(i / gridColumns), column: i % gridColumns } : undefined,
+        textinfo: 'label+percent',
+        hovertemplate: '<b>%{label}</b><br>%{value:,.0f}<br>%{percent}<extra></extra>'
+      });
+    } else {
+      traces.push(...chartTraces(facetRows, config, groupColors, faceted ? axis : null, i === 0));
+      if (trendline) traces.push(...trendlineTraces(facetRows, config, groupColors, faceted ? axis : null));
+      layout[`xaxis${axis}`] = {
+        title: { text: config.x, font: { size: 14 } },
+        type: config.xLog ? 'log' : '-'
+      };
+      layout[`yaxis${axis}`] = {
+        title: { text: config.y, font: { size: 14 } },
+        type: config.yLog ? 'log' : '-'
+      };
+    }
+
+    if (faceted) {
+      layout.annotations.push({
+        text: `<b>${config.facet}: ${facet}</b>`,
+        showarrow: false,
+        font: { size: 12 },
+        ...(config.type === 'pie'
+          ? { xref: 'paper', yref: 'paper', x: ((i % gridColumns) + 0.5) / gridColumns, y: 1 - Math.floor(i / gridColumns) / gridRows, yanchor: 'bottom' }
+          : { xref: `x${axis} domain`, yref: `y${axis} domain`, x: 0.5, y: 1, yanchor: 'bottom' })
+      });
+    }
+  });
+
+  if (faceted) {
+    layout.grid = { rows: gridRows, columns: gridColumns, pattern: 'independent' };
+    layout.margin.t = 90;
+  }
+
+  if (animated) return buildAnimatedScatter(rows, config, groupColors, layout);
+  return { data: traces, layout, frames: [] };
+}
+
+// A text field that applies its value on blur or Enter, so the chart is not
+// redrawn on every keystroke. Empty text is stored as null.
+function DeferredInput({ value, placeholder, onCommit, className }) {
+  const [draft, setDraft] = useState(value || '');
+  useEffect(() => setDraft(value || ''), [value]);
+
+  const commit = () => {
+    const text = draft.trim();
+    if (text !== (value || '')) onCommit(text || null);
+  };
+
+  return (
+    <input
+      value={draft}
+      placeholder={placeholder}
+      maxLength={MAX_CHART_TEXT_LENGTH}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+      className={className}
+    />
+  );
+}
+
+// Numbers stay numbers so they line up with numeric axes, anything else is a category or date
+function annotationValue(text) {
+  const value = text.trim();
+  return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+}
+
+function describeAnnotation(note) {
+  const at = [note.x !== null && `x = ${note.x}`, note.y !== null && `y = ${note.y}`].filter(Boolean).join(', ');
+  return `${CHART_ANNOTATION_KINDS.find(([kind]) => kind === note.kind)[1]} at ${at}`;
+}
+
+// Labelled points, and labelled lines across the chart at an x or y value
+function ChartAnnotations({ annotations, onChange }) {
+  const [draft, setDraft] = useState({ kind: 'vline', x: '', y: '', text: '' });
+  const needsX = draft.kind !== 'hline';
+  const needsY = draft.kind !== 'vline';
+  const valid = draft.text.trim() !== '' &&
+    (!needsX || draft.x.trim() !== '') &&
+    (!needsY || (draft.y.trim() !== '' && !Number.isNaN(Number(draft.y))));
+  const inputClass = 'px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none';
+
+  const add = () => {
+    onChange([...annotations, {
+      kind: draft.kind,
+      x: needsX ? annotationValue(draft.x) : null,
+      y: needsY ? Number(draft.y) : null,
+      text: draft.text.trim()
+    }]);
+    setDraft({ ...draft, x: '', y: '', text: '' });
+  };
+
+  return (
+    <div className="mt-3">
+      <span className="text-xs font-semibold text-gray-600">Annotations</span>
+      {annotations.length > 0 && (
+        <ul className="my-1 space-y-1">
+          {annotations.map((note, i) => (
+            <li key={i} className="flex items-center gap-2 text-gray-700">
+              <span className="text-xs text-gray-500">{describeAnnotation(note)}:</span>
+              <span className="truncate">{note.text}</span>
+              <button
+                onClick={() => onChange(annotations.filter((_, j) => j !== i))}
+                title="Remove annotation"
+                className="text-gray-400 hover:text-red-600"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2 mt-1">
+        <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })} className={inputClass}>
+          {CHART_ANNOTATION_KINDS.map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+        </select>
+        {needsX && <input value={draft.x} onChange={(e) => setDraft({ ...draft, x: e.target.value })} placeholder="x, e.g. 2008" className={`w-28 ${inputClass}`} />}
+        {needsY && <input value={draft.y} onChange={(e) => setDraft({ ...draft, y: e.target.value })} placeholder="y value" className={`w-28 ${inputClass}`} />}
+        <input
+          value={draft.text}
+          onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+          onKeyDown={(e) => { if (e.key === 'Enter' && valid) add(); }}
+          placeholder="Label, e.g. Financial crisis"
+          maxLength={MAX_CHART_TEXT_LENGTH}
+          className={`flex-1 min-w-[12rem] ${inputClass}`}
+        />
+        <button
+          onClick={add}
+          disabled={!valid || annotations.length >= MAX_CHART_ANNOTATIONS}
+          className="px-3 py-1 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-gray-400"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ChartBuilder({ columns, kinds, data, config, autoTitle, overridden, onChange, onReset }) {
+  const select = (field, label, options, noneLabel = null) => (
+    <label className="flex flex-col gap-1">
+      <span className="text-xs font-semibold text-gray-600">{label}</span>
+      <select
+        value={config[field] === null ? '' : config[field]}
+        onChange={(e) => onChange({ [field]: e.target.value === '' ? null : e.target.value })}
+        className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+      >
+        {noneLabel && <option value="">{noneLabel}</option>}
+        {options.map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+      </select>
+    </label>
+  );
+  // Empty means no limit or no rolling average
+  const numberInput = (field, label, max, placeholder) => (
+    <label className="flex flex-col gap-1">
+      <span className="text-xs font-semibold text-gray-600">{label}</span>
+      <input
+        type="number"
+        min={1}
+        max={max}
+        value={config[field] === null ? '' : config[field]}
+        placeholder={placeholder}
+        onChange={(e) => {
+          const value = parseInt(e.target.value, 10);
+          onChange({ [field]: Number.isInteger(value) && value >= 1 ? Math.min(value, max) : null });
+        }}
+        className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+      />
+    </label>
+  );
+  const columnOptions = columns.map(col => [col, col]);
+  const numericOptions = columns.filter(col => kinds[col] === 'numeric').map(col => [col, col]);
+  const isPie = config.type === 'pie';
+  const isMap = config.type === 'map';
+  const isRace = config.type === 'race';
+  const isSeries = SERIES_CHART_TYPES.includes(config.type);
+  const isAnimated = config.type === 'scatter' && !!config.frame;
+  const isTemporal = kinds[config.x] === 'temporal';
+  const series = seriesColumn(data, config);
+  const xValues = useMemo(
+    () => isTemporal ? frameValues(data, config.x) : [],
+    [data, config.x, isTemporal]
+  );
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-lg bg-gray-50 p-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+        {select('type', 'Chart type', CHART_TYPES)}
+        {select('x', isMap ? 'Country column' : isPie || isRace ? 'Labels' : 'X axis', columnOptions)}
+        {select('y', isMap || isPie || isRace ? 'Values' : 'Y axis', columnOptions)}
+        {isSeries && select('color', 'Color', columnOptions, 'None')}
+        {isSeries && config.type !== 'bar' && select('size', 'Size', numericOptions, 'None')}
+        {!isMap && !isRace && !isAnimated && select('facet', 'Facet', columnOptions, 'None')}
+        {(isMap || isRace) && select('frame', 'Year slider', columnOptions, 'None')}
+        {config.type === 'scatter' && !config.facet && select('frame', 'Animate over', columnOptions, 'None')}
+        {select('aggregate', 'Aggregation', CHART_AGGREGATIONS)}
+      </div>
+      {(isSeries || isRace) && (
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 mt-3">
+          {(isRace || series) && numberInput('topN', isRace ? 'Bars' : 'Top N series', MAX_TOP_SERIES, isRace ? String(DEFAULT_TOP_SERIES) : 'All')}
+          {isSeries && isTemporal && numberInput('rolling', 'Rolling average (points)', MAX_ROLLING_WINDOW, 'Off')}
+          {isSeries && isTemporal && (
+            <label className="flex flex-col gap-1">
+              <span className="text-xs font-semibold text-gray-600">Index to 100 at</span>
+              <select
+                value={config.indexBase === null ? '' : String(config.indexBase)}
+                onChange={(e) => onChange({ indexBase: xValues.find(v => String(v) === e.target.value) ?? null })}
+                className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+              >
+                <option value="">Off</option>
+                {xValues.map(v => <option key={String(v)} value={String(v)}>{String(v)}</option>)}
+              </select>
+            </label>
+          )}
+          {['line', 'scatter'].includes(config.type) && !isAnimated && select('trendline', 'Trendline', CHART_TRENDLINES)}
+        </div>
+      )}
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 mt-3">
+        {select('theme', 'Theme', Object.entries(CHART_THEMES).map(([key, { label }]) => [key, label]))}
+        {!isMap && select('palette', 'Colors', Object.entries(CHART_PALETTES).map(([key, { label }]) => [key, label]), 'Theme colors')}
+        {[['title', 'Title', autoTitle], ['subtitle', 'Subtitle', 'None'], ['source', 'Source / footnote', 'e.g. Source: Our World in Data']].map(([field, label, placeholder]) => (
+          <label key={field} className="flex flex-col gap-1 col-span-2 md:col-span-1 lg:col-span-2">
+            <span className="text-xs font-semibold text-gray-600">{label}</span>
+            <DeferredInput
+              value={config[field]}
+              placeholder={placeholder}
+              onCommit={(value) => onChange({ [field]: value })}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+            />
+          </label>
+        ))}
+      </div>
+      {!isPie && !isMap && <ChartAnnotations annotations={config.annotations} onChange={(annotations) => onChange({ annotations })} />}
+      <div className="flex flex-wrap items-center gap-4 mt-3">
+        {isSeries && !isAnimated && (
+          <label
+            className="flex items-center gap-2 text-gray-700"
+            title="One small chart per series instead of one line each on a shared chart"
+          >
+            <input
+              type="checkbox"
+              checked={!!config.facet && !config.color}
+              disabled={!config.color && !config.facet}
+              onChange={(e) => onChange(e.target.checked
+                ? { facet: config.color, color: null }
+                : { color: config.facet, facet: null })}
+            />
+            Small multiples
+          </label>
+        )}
+        {!isPie && !isRace && (isMap ? ['yLog'] : ['xLog', 'yLog']).map(field => (
+          <label key={field} className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={config[field]}
+              onChange={(e) => onChange({ [field]: e.target.checked })}
+            />
+            {isMap ? 'Log color scale' : `Log ${field === 'xLog' ? 'X' : 'Y'} axis`}
+          </label>
+        ))}
+        <span className="text-xs text-gray-500">
+          {overridden ? 'Your settings are remembered for this query' : 'Detected automatically'}
+        </span>
+        {overridden && (
+          <button onClick={onReset} className="ml-auto text-gray-500 hover:text-blue-600">
+            Reset to automatic
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const CSV_DELIMITERS = [[',', 'Comma'], [';', 'Semicolon'], ['|', 'Pipe']];
+// Layout sizes in CSS pixels, 96 to the inch; PNGs are rendered at the chosen DPI
+const IMAGE_PRESETS = {
+  screen: { label: 'Screen (1400 × 900)', width: 1400, height: 900 },
+  slide: { label: 'Slide 16:9 (13.3 × 7.5 in)', width: 1280, height: 720 },
+  a4: { label: 'A4 figure (17 × 11 cm)', width: 643, height: 416 },
+  social: { label: 'Social card (1200 × 630)', width: 1200, height: 630 },
+  square: { label: 'Square post (1080 × 1080)', width: 1080, height: 1080 }
+};
+const IMAGE_DPIS = [96, 150, 300];
+const DEFAULT_IMAGE_EXPORT = { preset: 'screen', format: 'png', dpi: 96 };
+const MAX_FILE_NAME_LENGTH = 80;
+
+// Names like co2_data-co2-over-time: the tables a query reads, then the chart
+// title (or the query itself) as lowercase words
+function exportFileName(tables, description) {
+  const words = description.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const name = [tables.join('_'), words].filter(Boolean).join('-').slice(0, MAX_FILE_NAME_LENGTH).replace(/[-_]+$/, '');
+  return name || 'owid_export';
+}
+
+function ImageExportPanel({ settings, onChange, onExport }) {
+  const [exporting, setExporting] = useState(false);
+  const { width, height } = IMAGE_PRESETS[settings.preset];
+  const scale = settings.format === 'png' ? settings.dpi / 96 : 1;
+
+  const run = async () => {
+    setExporting(true);
+    await onExport(settings);
+    setExporting(false);
+  };
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-lg bg-gray-50 p-3 text-sm flex flex-wrap items-end gap-3">
+      <label className="flex flex-col gap-1">
+        <span className="text-xs font-semibold text-gray-600">Size</span>
+        <select
+          value={settings.preset}
+          onChange={(e) => onChange({ preset: e.target.value })}
+          className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+        >
+          {Object.entries(IMAGE_PRESETS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1">
+        <span className="text-xs font-semibold text-gray-600">Format</span>
+        <select
+          value={settings.format}
+          onChange={(e) => onChange({ format: e.target.value })}
+          className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+        >
+          <option value="png">PNG</option>
+          <option value="svg">SVG (vector)</option>
+        </select>
+      </label>
+      {settings.format === 'png' && (
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-semibold text-gray-600">Resolution</span>
+          <select
+            value={settings.dpi}
+            onChange={(e) => onChange({ dpi: Number(e.target.value) })}
+            className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+          >
+            {IMAGE_DPIS.map(dpi => <option key={dpi} value={dpi}>{dpi} DPI</option>)}
+          </select>
+        </label>
+      )}
+      <button
+        onClick={run}
+        disabled={exporting}
+        className="px-4 py-1.5 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 disabled:bg-gray-400"
+      >
+        {exporting ? 'Exporting...' : `Download ${Math.round(width * scale)} × ${Math.round(height * scale)} ${settings.format.toUpperCase()}`}
+      </button>
+    </div>
+  );
+}
+
+// `remaining` says what happens to rows past the row limit: 'fetch' reads them before
+// writing the file, 'lost' means they can't be exported from this result
+function ExportPanel({ rowCount, remaining, onExport }) {
+  const [format, setFormat] = useState('csv');
+  const [delimiter, setDelimiter] = useState(',');
+  const [header, setHeader] = useState(true);
+  const [nullValue, setNullValue] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const isDelimited = format === 'csv' || format === 'tsv';
+
+  const run = async () => {
+    setExporting(true);
+    await onExport(format, { delimiter, header, nullValue });
+    setExporting(false);
+  };
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-lg bg-gray-50 p-3 text-sm flex flex-wrap items-end gap-3">
+      <label className="flex flex-col gap-1">
+        <span className="text-xs font-semibold text-gray-600">Format</span>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+        >
+          {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      {format === 'csv' && (
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-semibold text-gray-600">Delimiter</span>
+          <select
+            value={delimiter}
+            onChange={(e) => setDelimiter(e.target.value)}
+            className="px-2 py-1 border-2 border-gray-300 rounded-lg bg-white focus:border-blue-500 focus:outline-none"
+          >
+            {CSV_DELIMITERS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+      )}
+      {isDelimited && (
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-semibold text-gray-600">Write NULL as</span>
+          <input
+            value={nullValue}
+            onChange={(e) => setNullValue(e.target.value)}
+            placeholder="(empty)"
+            className="w-28 px-2 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          />
+        </label>
+      )}
+      {(isDelimited || format === 'xlsx') && (
+        <label className="flex items-center gap-2 text-gray-700 pb-1">
+          <input type="checkbox" checked={header} onChange={(e) => setHeader(e.target.checked)} />
+          Header row
+        </label>
+      )}
+      <button
+        onClick={run}
+        disabled={exporting || remaining === 'lost'}
+        className="px-4 py-1.5 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 disabled:bg-gray-400"
+      >
+        {exporting ? 'Exporting...' : remaining === 'fetch' ? 'Download all rows' : `Download ${rowCount.toLocaleString()} rows`}
+      </button>
+      {remaining === 'fetch' && (
+        <span className="text-xs text-gray-600 pb-1">The rows past the first {rowCount.toLocaleString()} are fetched before the file is written.</span>
+      )}
+      {remaining === 'lost' && (
+        <span className="text-xs text-amber-700 pb-1">Only the first {rowCount.toLocaleString()} rows were kept. Run this statement on its own to export every row.</span>
+      )}
+    </div>
+  );
+}
+
+const GRID_ROW_HEIGHT = 30;
+const GRID_HEIGHT = 480;
+const GRID_OVERSCAN = 10;
+const GRID_PAGE_ROWS = 500;
+const GRID_GUTTER_WIDTH = 64;
+const GRID_FILTER_DELAY_MS = 300;
+const MIN_COLUMN_WIDTH = 60;
+const MAX_COPY_ROWS = 10000;
+
+// Number formats a results grid column can be switched to
+const NUMBER_FORMATS = {
+  auto: { label: 'Auto', format: v => v.toLocaleString(undefined, { maximumFractionDigits: 2 }) },
+  full: { label: 'Full precision', format: v => String(v) },
+  integer: { label: 'Integer', format: v => v.toLocaleString(undefined, { maximumFractionDigits: 0 }) },
+  fixed2: { label: '2 decimals', format: v => v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) },
+  compact: { label: 'Compact (1.2M)', format: v => v.toLocaleString(undefined, { notation: 'compact', maximumFractionDigits: 1 }) },
+  percent: { label: 'Percent (0.25 → 25%)', format: v => v.toLocaleString(undefined, { style: 'percent', maximumFractionDigits: 1 }) },
+  scientific: { label: 'Scientific', format: v => v.toExponential(3) }
+};
+
+function formatCell(value, numberFormat = 'auto') {
+  if (typeof value === 'number') return NUMBER_FORMATS[numberFormat].format(value);
+  if (value instanceof Uint8Array) return toHex(value);
+  return String(value);
+}
+
+// Column filter syntax: `>= 2000`, `!= 0`, `null`, `not null`, anything else
+// matches as case-insensitive text
+function parseColumnFilter(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  if (/^null$/i.test(trimmed)) return { op: 'null' };
+  if (/^not\s+null$/i.test(trimmed)) return { op: 'notnull' };
+  const match = trimmed.match(/^(<=|>=|!=|<>|=|<|>)\s*(.+)$/);
+  if (!match) return { op: 'contains', value: trimmed };
+  const value = match[2].trim();
+  return { op: match[1] === '<>' ? '!=' : match[1], value: isNaN(Number(value)) ? value : Number(value) };
+}
+
+// SQLite orders NULL first, then numbers, then text, then blobs
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 1;
+  if (value instanceof Uint8Array) return 3;
+  return 2;
+}
+
+function compareCells(a, b) {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0) return rank;
+  if (typeof a === 'number') return a - b;
+  const x = a instanceof Uint8Array ? toHex(a) : a;
+  const y = b instanceof Uint8Array ? toHex(b) : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function matchesColumnFilter(value, filter) {
+  const isNull = value === null || value === undefined;
+  switch (filter.op) {
+    case 'null': return isNull;
+    case 'notnull': return !isNull;
+    case 'contains': return !isNull && formatCell(value, 'full').toLowerCase().includes(filter.value.toLowerCase());
+    default: {
+      if (isNull) return false;
+      const order = compareCells(value, filter.value);
+      return { '=': order === 0, '!=': order !== 0, '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[filter.op];
+    }
+  }
+}
+
+// In-browser fallback for results that can't be re-queried
+function filterAndSortRows(values, filters, sort) {
+  const rows = values.filter(row => filters.every(({ index, filter }) => matchesColumnFilter(row[index], filter)));
+  if (sort.length === 0) return rows;
+  return rows.sort((a, b) => {
+    for (const { index, desc } of sort) {
+      const order = compareCells(a[index], b[index]);
+      if (order !== 0) return desc ? -order : order;
+    }
+    return 0;
+  });
+}
+
+// The statement behind a result when the grid can wrap it in a subquery: a single
+// read-only statement whose column names are unique (SQLite renames duplicates)
+function gridSourceSql(result) {
+  const sql = result.sql.replace(/;\s*$/, '');
+  const code = stripSqlLiterals(sql).trim();
+  const firstWord = (code.match(/^[A-Za-z]+/) || [''])[0].toUpperCase();
+  if (!['SELECT', 'WITH', 'VALUES'].includes(firstWord) || code.includes(';')) return null;
+  if (new Set(result.columns.map(col => col.toLowerCase())).size !== result.columns.length) return null;
+  return sql;
+}
+
+// Sorting and filtering pushed down as SQL, so only the rows on screen leave the worker
+function gridQuery(sourceSql, columns, filters, sort, sourceParams = {}) {
+  const where = [];
+  const params = { ...sourceParams };
+  const bind = (value) => {
+    const name = `:grid_filter_${where.length + 1}`;
+    params[name] = value;
+    return name;
+  };
+  filters.forEach(({ index, filter }) => {
+    const column = quoteIdentifier(columns[index]);
+    if (filter.op === 'null') {
+      where.push(`${column} IS NULL`);
+    } else if (filter.op === 'notnull') {
+      where.push(`${column} IS NOT NULL`);
+    } else if (filter.op === 'contains') {
+      // LIKE ignores case on SQLite but not on DuckDB
+      where.push(`LOWER(CAST(${column} AS TEXT)) LIKE ${bind(`%${filter.value.toLowerCase().replace(/[\\%_]/g, ch => '\\' + ch)}%`)} ESCAPE '\\'`);
+    } else {
+      where.push(`${column} ${filter.op} ${bind(filter.value)}`);
+    }
+  });
+  const orderBy = sort.map(({ index, desc }) => `${quoteIdentifier(columns[index])} ${desc ? 'DESC' : 'ASC'}`);
+  // The newline keeps a trailing -- comment in the source from swallowing the parenthesis
+  const sql = `SELECT * FROM (\n${sourceSql}\n) AS grid_source`
+    + (where.length > 0 ? ` WHERE ${where.join(' AND ')}` : '')
+    + (orderBy.length > 0 ? ` ORDER BY ${orderBy.join(', ')}` : '');
+  return { sql, params };
+}
+
+function defaultColumnWidth(name) {
+  return Math.min(240, Math.max(90, name.length * 8 + 48));
+}
+
+// Virtualized results table: only the rows in view are rendered. Sorted or filtered
+// views of a single SELECT are re-queried page by page in the worker, up to the row
+// limit and while the tables are as they were when it ran; anything else is sorted
+// and filtered in the browser.
+function ResultsGrid({ result, runQuery, maxRows, tablesVersion }) {
+  const columns = result.columns;
+  const [sort, setSort] = useState([]);
+  const [filterText, setFilterText] = useState({});
+  const [filters, setFilters] = useState([]);
+  const [widths, setWidths] = useState({});
+  const [pinned, setPinned] = useState([]);
+  const [formats, setFormats] = useState({});
+  const [menuColumn, setMenuColumn] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [view, setView] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [copyMessage, setCopyMessage] = useState(null);
+  const [, setPagesLoaded] = useState(0);
+  const pagesRef = useRef(new Map());
+  const pendingPagesRef = useRef(new Set());
+  const viewIdRef = useRef(0);
+  const draggingRef = useRef(false);
+  const scrollRef = useRef(null);
+
+  // Apply filters once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(Object.entries(filterText)
+        .map(([index, text]) => ({ index: Number(index), filter: parseColumnFilter(text) }))
+        .filter(({ filter }) => filter));
+    }, GRID_FILTER_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [filterText]);
+
+  useEffect(() => {
+    const viewId = ++viewIdRef.current;
+    pagesRef.current = new Map();
+    pendingPagesRef.current = new Set();
+    setSelection(null);
+    setNotice(null);
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    if (filters.length === 0 && sort.length === 0) {
+      setView(null);
+      return;
+    }
+
+    const inBrowser = (reason) => {
+      setView({ mode: 'memory', rows: filterAndSortRows(result.values, filters, sort) });
+      if (reason) setNotice(reason);
+    };
+    const sourceSql = gridSourceSql(result);
+    if (!sourceSql) {
+      inBrowser(null);
+      return;
+    }
+    if (result.tablesVersion !== tablesVersion) {
+      inBrowser('Sorted and filtered in the browser, the tables have changed since the query ran');
+      return;
+    }
+
+    const source = bindParameters(sourceSql, result.parameters || {});
+    const query = gridQuery(source.sql, columns, filters, sort, source.params);
+    const counted = gridQuery(source.sql, columns, filters, [], source.params);
+    setView(prev => prev && { ...prev, updating: true });
+    runQuery({ sql: `SELECT COUNT(*) FROM (${counted.sql})`, params: counted.params })
+      .then(({ values }) => {
+        if (viewId !== viewIdRef.current) return;
+        const count = values[0][0];
+        setView({ mode: 'sql', query, count: maxRows > 0 ? Math.min(count, maxRows) : count });
+        if (maxRows > 0 && count > maxRows) {
+          setNotice(`Showing the first ${maxRows.toLocaleString()} of ${count.toLocaleString()} rows, the row limit under 🛡 Safeguards`);
+        }
+      })
+      .catch(err => {
+        if (viewId === viewIdRef.current) inBrowser(`Sorted and filtered in the browser, re-running the query failed: ${err.message}`);
+      });
+  }, [result, filters, sort, tablesVersion]);
+
+  useEffect(() => {
+    const stopDragging = () => { draggingRef.current = false; };
+    window.addEventListener('mouseup', stopDragging);
+    return () => window.removeEventListener('mouseup', stopDragging);
+  }, []);
+
+  const current = view || { mode: 'memory', rows: result.values };
+  const rowCount = current.mode === 'sql' ? current.count : current.rows.length;
+  const first = Math.max(0, Math.floor(scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+  const last = Math.min(rowCount, Math.ceil((scrollTop + GRID_HEIGHT) / GRID_ROW_HEIGHT) + GRID_OVERSCAN);
+
+  const fetchRows = (offset, limit) => runQuery({
+    sql: `${current.query.sql} LIMIT ${limit} OFFSET ${offset}`,
+    params: current.query.params
+  });
+
+  useEffect(() => {
+    if (current.mode !== 'sql' || current.updating || rowCount === 0) return;
+    const viewId = viewIdRef.current;
+    for (let page = Math.floor(first / GRID_PAGE_ROWS); page <= Math.floor((last - 1) / GRID_PAGE_ROWS); page++) {
+      if (pagesRef.current.has(page) || pendingPagesRef.current.has(page)) continue;
+      pendingPagesRef.current.add(page);
+      fetchRows(page * GRID_PAGE_ROWS, GRID_PAGE_ROWS)
+        .then(({ values }) => {
+          if (viewId !== viewIdRef.current) return;
+          pagesRef.current.set(page, values);
+          setPagesLoaded(n => n + 1);
+        })
+        .catch(err => {
+          if (viewId !== viewIdRef.current) return;
+          if (!err.cancelled) setNotice(`Could not fetch rows: ${err.message}`);
+        })
+        .finally(() => pendingPagesRef.current.delete(page));
+    }
+  }, [view, first, last]);
+
+  const rowAt = (i) => {
+    if (current.mode === 'memory') return current.rows[i];
+    const page = pagesRef.current.get(Math.floor(i / GRID_PAGE_ROWS));
+    return page ? page[i % GRID_PAGE_ROWS] : null;
+  };
+
+  const order = [...pinned, ...columns.map((_, i) => i).filter(i => !pinned.includes(i))];
+  const widthOf = (index) => widths[index] || defaultColumnWidth(columns[index]);
+  const pinnedLeft = {};
+  pinned.reduce((left, index) => {
+    pinnedLeft[index] = left;
+    return left + widthOf(index);
+  }, GRID_GUTTER_WIDTH);
+  const totalWidth = order.reduce((sum, index) => sum + widthOf(index), GRID_GUTTER_WIDTH);
+
+  const toggleSort = (index, additive) => {
+    setSort(prev => {
+      const existing = prev.find(s => s.index === index);
+      const next = !existing ? { index, desc: false } : !existing.desc ? { index, desc: true } : null;
+      const others = additive ? prev.filter(s => s.index !== index) : [];
+      return next ? [...others, next] : others;
+    });
+  };
+
+  const togglePin = (index) => {
+    setPinned(prev => prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]);
+    setSelection(null);
+    setMenuColumn(null);
+  };
+
+  const startResize = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = widthOf(index);
+    const move = (ev) => setWidths(prev => ({ ...prev, [index]: Math.max(MIN_COLUMN_WIDTH, startWidth + ev.clientX - startX) }));
+    const stop = () => {
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', stop);
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', stop);
+  };
+
+  // Selections are rectangles of displayed row and column positions
+  const startSelection = (e, row, col) => {
+    e.preventDefault();
+    scrollRef.current.focus();
+    draggingRef.current = true;
+    const point = { row, col };
+    setSelection(prev => e.shiftKey && prev ? { ...prev, focus: point } : { anchor: point, focus: point });
+  };
+
+  const selectRow = (e, row) => {
+    e.preventDefault();
+    scrollRef.current.focus();
+    const anchorRow = e.shiftKey && selection ? selection.anchor.row : row;
+    setSelection({ anchor: { row: anchorRow, col: 0 }, focus: { row, col: order.length - 1 } });
+  };
+
+  const extendSelection = (row, col) => {
+    if (draggingRef.current) setSelection(prev => prev && { ...prev, focus: { row, col } });
+  };
+
+  const bounds = selection && {
+    top: Math.min(selection.anchor.row, selection.focus.row),
+    bottom: Math.max(selection.anchor.row, selection.focus.row),
+    left: Math.min(selection.anchor.col, selection.focus.col),
+    right: Math.max(selection.anchor.col, selection.focus.col)
+  };
+  const isSelected = (row, col) => bounds && row >= bounds.top && row <= bounds.bottom && col >= bounds.left && col <= bounds.right;
+
+  // Raw values, tab separated with spreadsheet quoting, so they paste into Excel or Sheets as cells
+  const copySelection = async () => {
+    if (!bounds) return;
+    const count = Math.min(bounds.bottom - bounds.top + 1, MAX_COPY_ROWS);
+    const copied = order.slice(bounds.left, bounds.right + 1);
+    try {
+      const rows = current.mode === 'memory'
+        ? current.rows.slice(bounds.top, bounds.top + count)
+        : (await fetchRows(bounds.top, count)).values;
+      const text = rows.map(row => copied.map(index => delimitedField(textValue(row[index], ''), '\t')).join('\t')).join('\n');
+      await navigator.clipboard.writeText(text);
+      const limited = bounds.bottom - bounds.top + 1 > MAX_COPY_ROWS ? ` (first ${MAX_COPY_ROWS.toLocaleString()} rows)` : '';
+      setCopyMessage(`Copied ${rows.length.toLocaleString()} × ${copied.length} cells${limited}`);
+    } catch (err) {
+      setCopyMessage(`Copy failed: ${err.message}`);
+    }
+    setTimeout(() => setCopyMessage(null), 3000);
+  };
+
+  const handleKeyDown = (e) => {
+    if (['INPUT', 'SELECT'].includes(e.target.tagName)) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'c') {
+      e.preventDefault();
+      copySelection();
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      setSelection({ anchor: { row: 0, col: 0 }, focus: { row: rowCount - 1, col: order.length - 1 } });
+    } else if (e.key === 'Escape') {
+      setSelection(null);
+    }
+  };
+
+  const pinnedStyle = (index) => index in pinnedLeft ? { position: 'sticky', left: pinnedLeft[index] } : {};
+  const sorted = sort.length > 0 || filters.length > 0;
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2 text-xs text-gray-500">
+        <span>
+          {filters.length > 0 && `${rowCount.toLocaleString()} of ${result.values.length.toLocaleString()} rows match · `}
+          {current.updating ? 'Updating...' : 'Click a header to sort (Shift+click for more columns), drag or Shift+click cells and press Ctrl+C to copy'}
+        </span>
+        <div className="flex items-center gap-2">
+          {copyMessage && <span className="text-green-700">{copyMessage}</span>}
+          {bounds && (
+            <button onClick={copySelection} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-gray-700">
+              ⧉ Copy as TSV
+            </button>
+          )}
+          {sorted && (
+            <button
+              onClick={() => { setSort([]); setFilterText({}); }}
+              className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-gray-700"
+            >
+              Clear sort and filters
+            </button>
+          )}
+        </div>
+      </div>
+      {notice && <div className="mb-2 text-xs text-amber-700">{notice}</div>}
+
+      <div
+        ref={scrollRef}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-auto rounded-lg border border-gray-200 text-sm focus:outline-none focus:ring-2 focus:ring-blue-200"
+        style={{ height: GRID_HEIGHT }}
+      >
+        <div style={{ width: totalWidth, minWidth: '100%' }}>
+          <div className="sticky top-0 z-20 bg-gray-100 border-b-2 border-gray-300">
+            <div className="flex">
+              <div
+                onClick={() => setSelection(rowCount > 0 ? { anchor: { row: 0, col: 0 }, focus: { row: rowCount - 1, col: order.length - 1 } } : null)}
+                title="Select all"
+                className="sticky left-0 z-30 bg-gray-100 text-gray-400 text-right px-2 py-2 cursor-pointer shrink-0"
+                style={{ width: GRID_GUTTER_WIDTH }}
+              >
+                #
+              </div>
+              {order.map(index => {
+                const sortPosition = sort.findIndex(s => s.index === index);
+                return (
+                  <div
+                    key={index}
+                    className={`relative flex items-center gap-1 px-3 py-2 font-bold text-gray-700 bg-gray-100 shrink-0 ${index in pinnedLeft ? 'z-30 border-r border-gray-300' : ''}`}
+                    style={{ width: widthOf(index), ...pinnedStyle(index) }}
+                  >
+                    <button
+                      onClick={(e) => toggleSort(index, e.shiftKey)}
+                      title={`Sort by ${columns[index]}`}
+                      className="flex-1 truncate text-left"
+                    >
+                      {columns[index]}
+                      {sortPosition >= 0 && (
+                        <span className="ml-1 text-blue-600">
+                          {sort[sortPosition].desc ? '▼' : '▲'}{sort.length > 1 ? sortPosition + 1 : ''}
+                        </span>
+                      )}
+                    </button>
+                    <button
+                      onClick={() => setMenuColumn(menuColumn === index ? null : index)}
+                      title="Column options"
+                      className="text-gray-400 hover:text-gray-700 px-1"
+                    >
+                      ⋮
+                    </button>
+                    {menuColumn === index && (
+                      <div className="absolute right-0 top-full mt-1 z-40 w-52 bg-white border border-gray-200 rounded-lg shadow-xl p-2 text-xs font-normal space-y-2">
+                        <button onClick={() => togglePin(index)} className="w-full text-left px-2 py-1 rounded hover:bg-gray-100">
+                          {index in pinnedLeft ? 'Unpin column' : '📌 Pin to the left'}
+                        </button>
+                        <label className="flex flex-col gap-1 px-2">
+                          <span className="text-gray-500">Number format</span>
+                          <select
+                            value={formats[index] || 'auto'}
+                            onChange={(e) => { setFormats(prev => ({ ...prev, [index]: e.target.value })); setMenuColumn(null); }}
+                            className="px-2 py-1 border border-gray-300 rounded bg-white"
+                          >
+                            {Object.entries(NUMBER_FORMATS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                          </select>
+                        </label>
+                      </div>
+                    )}
+                    <div
+                      onMouseDown={(e) => startResize(e, index)}
+                      className="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-blue-300"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex">
+              <div className="sticky left-0 z-30 bg-gray-100 shrink-0" style={{ width: GRID_GUTTER_WIDTH }} />
+              {order.map(index => (
+                <div
+                  key={index}
+                  className={`px-1 pb-1 bg-gray-100 shrink-0 ${index in pinnedLeft ? 'z-30' : ''}`}
+                  style={{ width: widthOf(index), ...pinnedStyle(index) }}
+                >
+                  <input
+                    value={filterText[index] || ''}
+                    onChange={(e) => setFilterText(prev => ({ ...prev, [index]: e.target.value }))}
+                    placeholder="Filter"
+                    title="Text to search for, a comparison like >= 2000 or != 0, or null / not null"
+                    className="w-full px-2 py-0.5 border border-gray-300 rounded text-xs font-normal focus:border-blue-500 focus:outline-none"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="relative select-none" style={{ height: rowCount * GRID_ROW_HEIGHT }}>
+            {Array.from({ length: Math.max(0, last - first) }, (_, offset) => {
+              const i = first + offset;
+              const row = rowAt(i);
+              return (
+                <div
+                  key={i}
+                  className="absolute left-0 flex border-b border-gray-100 hover:bg-blue-50"
+                  style={{ top: i * GRID_ROW_HEIGHT, height: GRID_ROW_HEIGHT, width: totalWidth, lineHeight: `${GRID_ROW_HEIGHT}px` }}
+                >
+                  <div
+                    onMouseDown={(e) => selectRow(e, i)}
+                    className="sticky left-0 z-10 bg-gray-50 text-gray-400 text-right px-2 text-xs cursor-pointer shrink-0"
+                    style={{ width: GRID_GUTTER_WIDTH }}
+                  >
+                    {(i + 1).toLocaleString()}
+                  </div>
+                  {order.map((index, col) => {
+                    const value = row ? row[index] : undefined;
+                    const selected = isSelected(i, col);
+                    const isPinned = index in pinnedLeft;
+                    return (
+                      <div
+                        key={index}
+                        onMouseDown={(e) => startSelection(e, i, col)}
+                        onMouseEnter={() => extendSelection(i, col)}
+                        className={`px-3 truncate shrink-0 text-gray-700 ${typeof value === 'number' ? 'text-right tabular-nums' : ''} ${
+                          selected ? 'bg-blue-100' : isPinned ? 'bg-white' : ''
+                        } ${isPinned ? 'z-10 border-r border-gray-200' : ''}`}
+                        style={{ width: widthOf(index), ...pinnedStyle(index) }}
+                      >
+                        {!row ? (
+                          <span className="text-gray-300">…</span>
+                        ) : value === null ? (
+                          <span className="text-gray-300 italic">NULL</span>
+                        ) : (
+                          formatCell(value, formats[index])
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function formatStat(value) {
+  if (value === null || value === undefined) return '–';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumSignificantDigits: 4 });
+  }
+  const text = String(value);
+  return text.length > 24 ? text.slice(0, 23) + '…' : text;
+}
+
+function Histogram({ bins, min, max }) {
+  const width = 96;
+  const height = 24;
+  const peak = bins.reduce((a, b) => Math.max(a, b), 0) || 1;
+  const barWidth = width / bins.length;
+  return (
+    <svg width={width} height={height} className="block">
+      {bins.map((n, i) => {
+        const barHeight = n === 0 ? 0 : Math.max(1, (n / peak) * height);
+        const from = min + (max - min) * i / bins.length;
+        return (
+          <rect key={i} x={i * barWidth} y={height - barHeight} width={barWidth - 1} height={barHeight} fill="#6366f1">
+            <title>{`≥ ${formatStat(from)}: ${n.toLocaleString()} rows`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Data dictionary for one table: a row per column from the worker's profile plus
+// its codebook description, and the years each country has data for
+function TableProfile({ table, profile, onRefresh, onClose }) {
+  const [columnFilter, setColumnFilter] = useState('');
+  const [countryFilter, setCountryFilter] = useState('');
+
+  const descriptions = Object.fromEntries(table.columns.map(col => [col.name, col.description]));
+  const columns = profile.columns.filter(col => {
+    const text = `${col.name} ${descriptions[col.name] || ''}`.toLowerCase();
+    return text.includes(columnFilter.toLowerCase());
+  });
+  const coverage = (profile.coverage || [])
+    .filter(row => String(row.country).toLowerCase().includes(countryFilter.toLowerCase()));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-full overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-gray-800">
+            Profile of <span className="font-mono">{table.dataset.tableName}</span>
+            <span className="text-sm font-normal text-gray-500 ml-2">{profile.rowCount.toLocaleString()} rows</span>
+          </h2>
+          <div className="flex items-center gap-3">
+            <button onClick={onRefresh} className="px-3 py-1 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">
+              ↻ Refresh
+            </button>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl">✕</button>
+          </div>
+        </div>
+
+        <input
+          value={columnFilter}
+          onChange={(e) => setColumnFilter(e.target.value)}
+          placeholder="Filter columns..."
+          className="w-full mb-3 px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+        />
+        <div className="overflow-x-auto border border-gray-200 rounded-lg mb-6">
+          <table className="min-w-full text-xs">
+            <thead className="bg-gray-100 sticky top-0">
+              <tr>
+                {['Column', 'Type', 'Null %', 'Distinct', 'Min', 'Max', 'Mean', 'Distribution'].map(h => (
+                  <th key={h} className="px-3 py-2 text-left font-semibold text-gray-700">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {columns.map(col => (
+                <tr key={col.name} className="border-t border-gray-100 align-top">
+                  <td className="px-3 py-2 max-w-xs">
+                    <div className="font-mono text-gray-800">{col.name}</div>
+                    {descriptions[col.name] && <div className="text-gray-500 mt-0.5">{descriptions[col.name]}</div>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-500">{col.type}</td>
+                  <td className="px-3 py-2 text-right">
+                    {profile.rowCount > 0 ? `${(col.nullCount / profile.rowCount * 100).toFixed(1)}%` : '–'}
+                  </td>
+                  <td className="px-3 py-2 text-right">{col.distinct.toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right font-mono">{formatStat(col.min)}</td>
+                  <td className="px-3 py-2 text-right font-mono">{formatStat(col.max)}</td>
+                  <td className="px-3 py-2 text-right font-mono">{formatStat(col.mean)}</td>
+                  <td className="px-3 py-2">
+                    {col.histogram && <Histogram bins={col.histogram} min={col.min} max={col.max} />}
+                    {col.topValues && col.topValues.map(({ value, count }) => (
+                      <div key={String(value)} className="whitespace-nowrap">
+                        <span className="font-mono">{formatStat(value)}</span>
+                        <span className="text-gray-400 ml-1">×{count.toLocaleString()}</span>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {profile.coverage && (
+          <>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="font-semibold text-gray-700">Years covered per country ({profile.coverage.length.toLocaleString()})</h3>
+              <input
+                value={countryFilter}
+                onChange={(e) => setCountryFilter(e.target.value)}
+                placeholder="Find a country..."
+                className="px-3 py-1 border-2 border-gray-300 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+              />
+            </div>
+            <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full text-xs">
+                <tbody>
+                  {coverage.map(row => (
+                    <tr key={row.country} className="border-t border-gray-100 first:border-t-0">
+                      <td className="px-3 py-1 text-gray-800">{row.country}</td>
+                      <td className="px-3 py-1 font-mono text-gray-600">{row.from}–{row.to}</td>
+                      <td className="px-3 py-1 text-right text-gray-400">{row.rows.toLocaleString()} rows</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const DASHBOARD_COLUMNS = 4;
+const DEFAULT_TILE_HEIGHT = 360;
+const MIN_TILE_HEIGHT = 200;
+const MAX_TILE_HEIGHT = 800;
+const TILE_HEIGHT_STEP = 20;
+const TILE_MAX_ROWS = 5000;
+const TILE_TABLE_ROWS = 200;
+const DEFAULT_DASHBOARD = {
+  title: 'My dashboard',
+  parameters: { countries: ['United States', 'China', 'India', 'Germany'], start_year: 2000, end_year: 2022 },
+  tiles: []
+};
+
+function clampNumber(value, min, max, fallback) {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+// Keep only known settings from a stored or imported dashboard. Tiles run on their
+// own whenever the dashboard is shown, so they may only read.
+function validateDashboard(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.tiles)) {
+    throw new Error('The file does not contain a dashboard');
+  }
+  const parameters = raw.parameters && typeof raw.parameters === 'object' ? raw.parameters : {};
+  const year = (value, fallback) => Number.isInteger(value) ? value : fallback;
+
+  const tiles = raw.tiles.filter(tile => tile && typeof tile.sql === 'string').map((tile, i) => {
+    if (tile.sql.length > MAX_SHARED_SQL_LENGTH) throw new Error('A tile query is too long');
+    const writes = findWriteKeywords(tile.sql);
+    if (writes.length > 0) throw new Error(`Tile "${tile.title || i + 1}" uses ${writes.join(', ')}, dashboard tiles can only read`);
+    return {
+      id: typeof tile.id === 'string' ? tile.id : `tile_${Date.now().toString(36)}_${i}`,
+      title: typeof tile.title === 'string' ? tile.title : '',
+      sql: tile.sql,
+      notes: typeof tile.notes === 'string' ? tile.notes : '',
+      params: sanitizeParameterValues(tile.params),
+      chart: sanitizeChartConfig(tile.chart),
+      view: tile.view === 'table' ? 'table' : 'chart',
+      width: Math.round(clampNumber(tile.width, 1, DASHBOARD_COLUMNS, 2)),
+      height: clampNumber(tile.height, MIN_TILE_HEIGHT, MAX_TILE_HEIGHT, DEFAULT_TILE_HEIGHT)
+    };
+  });
+
+  return {
+    title: typeof raw.title === 'string' ? raw.title : DEFAULT_DASHBOARD.title,
+    parameters: {
+      countries: Array.isArray(parameters.countries)
+        ? parameters.countries.filter(country => typeof country === 'string')
+        : DEFAULT_DASHBOARD.parameters.countries,
+      start_year: year(parameters.start_year, DEFAULT_DASHBOARD.parameters.start_year),
+      end_year: year(parameters.end_year, DEFAULT_DASHBOARD.parameters.end_year)
+    },
+    tiles
+  };
+}
+
+function DashboardTile({ tile, engine, tables, parameters, runQuery, onCancel, onChange, onRemove, onOpen, onMove, dragging, onDragStart, onDragEnd }) {
+  const [result, setResult] = useState(null);
+  const [tileError, setTileError] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [runCount, setRunCount] = useState(0);
+  const [draft, setDraft] = useState(null);
+  const [size, setSize] = useState(null);
+  const chartRef = useRef(null);
+  const tileRef = useRef(null);
+
+  // The dashboard's parameters win over the values the query was pinned with
+  const bound = useMemo(() => bindParameters(tile.sql, { ...tile.params, ...parameters }), [tile.sql, tile.params, parameters]);
+  const width = size ? size.width : tile.width;
+  const height = size ? size.height : tile.height;
+
+  useEffect(() => {
+    if (!engine) return;
+    let stale = false;
+    setRunning(true);
+    setTileError(null);
+    runQuery({ sql: bound.sql, params: bound.params, maxRows: TILE_MAX_ROWS })
+      .then(res => { if (!stale) setResult(res); })
+      .catch(err => {
+        if (stale) return;
+        setResult(null);
+        setTileError(err.message);
+      })
+      .finally(() => { if (!stale) setRunning(false); });
+    return () => { stale = true; };
+  }, [engine, tables, bound, runCount]);
+
+  const chart = useMemo(() => {
+    if (!result || result.values.length === 0 || result.columns.length === 0) return null;
+    const rows = toRowObjects(result.columns, result.values);
+    const config = { ...detectChartConfig(rows, result.columns, tile.sql), ...sanitizeChartConfig(tile.chart, result.columns) };
+    return buildChart(rows, config, tile.sql);
+  }, [result, tile.chart]);
+
+  useEffect(() => {
+    if (!chartRef.current) return;
+    if (!chart || tile.view !== 'chart') {
+      Plotly.purge(chartRef.current);
+      return;
+    }
+    // The tile header already shows the title
+    const layout = { ...chart.layout, title: { text: '' }, margin: { ...chart.layout.margin, t: chart.layout.grid ? 50 : 20 } };
+    Plotly.newPlot(chartRef.current, { data: chart.data, layout, frames: chart.frames, config: { responsive: true, displayModeBar: false } });
+  }, [chart, tile.view]);
+
+  useEffect(() => {
+    if (chartRef.current && chart && tile.view === 'chart') Plotly.Plots.resize(chartRef.current);
+  }, [width, height]);
+
+  // Drag the corner: horizontally in whole grid columns, vertically in steps
+  const startResize = (e) => {
+    e.preventDefault();
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const columnWidth = tileRef.current.parentElement.clientWidth / DASHBOARD_COLUMNS;
+    const startWidth = tileRef.current.offsetWidth;
+    let next = { width: tile.width, height: tile.height };
+
+    const onMouseMove = (event) => {
+      next = {
+        width: Math.round(clampNumber((startWidth + event.clientX - startX) / columnWidth, 1, DASHBOARD_COLUMNS, tile.width)),
+        height: clampNumber(
+          Math.round((tile.height + event.clientY - startY) / TILE_HEIGHT_STEP) * TILE_HEIGHT_STEP,
+          MIN_TILE_HEIGHT, MAX_TILE_HEIGHT, tile.height
+        )
+      };
+      setSize(next);
+    };
+    const onMouseUp = () => {
+      window.removeEventListener('mousemove', onMouseMove);
+      window.removeEventListener('mouseup', onMouseUp);
+      setSize(null);
+      if (next.width !== tile.width || next.height !== tile.height) onChange(next);
+    };
+    window.addEventListener('mousemove', onMouseMove);
+    window.addEventListener('mouseup', onMouseUp);
+  };
+
+  const saveDraft = () => {
+    const writes = findWriteKeywords(draft.sql);
+    if (writes.length > 0) {
+      setTileError(`Dashboard tiles can only read, this query uses ${writes.join(', ')}`);
+      return;
+    }
+    onChange(draft);
+    setDraft(null);
+  };
+
+  return (
+    <div
+      ref={tileRef}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => { e.preventDefault(); onMove(tile.id); }}
+      className={`relative bg-white rounded-xl shadow-lg border border-gray-100 flex flex-col ${dragging ? 'opacity-50' : ''}`}
+      style={{ gridColumn: `span ${width}` }}
+    >
+      <div
+        draggable={!draft}
+        onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; onDragStart(tile.id); }}
+        onDragEnd={onDragEnd}
+        title="Drag to rearrange"
+        className={`flex items-center gap-2 px-4 py-2 border-b border-gray-100 ${draft ? '' : 'cursor-move'}`}
+      >
+        <h3 className="font-semibold text-gray-800 truncate flex-1">{tile.title || 'Untitled tile'}</h3>
+        {running && (
+          <>
+            <span className="text-xs text-gray-400">running...</span>
+            <button onClick={onCancel} title="Stop the query" className="text-xs text-gray-500 hover:text-red-600">Cancel</button>
+          </>
+        )}
+        {result && result.truncated && <span className="text-xs text-amber-600">first {TILE_MAX_ROWS.toLocaleString()} rows</span>}
+        <button
+          onClick={() => onChange({ view: tile.view === 'chart' ? 'table' : 'chart' })}
+          title={tile.view === 'chart' ? 'Show the rows' : 'Show the chart'}
+          className="text-sm text-gray-500 hover:text-gray-800"
+        >
+          {tile.view === 'chart' ? '▦' : '📈'}
+        </button>
+        <button onClick={() => setRunCount(count => count + 1)} title="Run again" className="text-sm text-gray-500 hover:text-gray-800">↻</button>
+        <button onClick={() => setDraft(draft ? null : { title: tile.title, sql: tile.sql, notes: tile.notes })} title="Edit" className="text-sm text-gray-500 hover:text-gray-800">✎</button>
+        <button onClick={onOpen} title="Open the query in the editor" className="text-sm text-gray-500 hover:text-gray-800">↗</button>
+        <button onClick={onRemove} title="Remove from the dashboard" className="text-sm text-gray-400 hover:text-red-600">✕</button>
+      </div>
+
+      {draft && (
+        <div className="p-4 border-b border-gray-100 bg-gray-50 space-y-2 text-sm">
+          <input
+            value={draft.title}
+            onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+            placeholder="Title"
+            className="w-full px-3 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          />
+          <textarea
+            value={draft.sql}
+            onChange={(e) => setDraft({ ...draft, sql: e.target.value })}
+            rows={5}
+            spellCheck={false}
+            className="w-full px-3 py-1 border-2 border-gray-300 rounded-lg font-mono text-xs focus:border-blue-500 focus:outline-none"
+          />
+          <textarea
+            value={draft.notes}
+            onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+            rows={3}
+            placeholder="Notes (markdown)"
+            className="w-full px-3 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+          />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-3 py-1 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200">Cancel</button>
+            <button onClick={saveDraft} className="px-3 py-1 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700">Save</button>
+          </div>
+        </div>
+      )}
+
+      {tileError && (
+        <div className="m-4 bg-red-50 border border-red-300 text-red-700 p-3 rounded-lg text-sm">
+          {tileError}
+        </div>
+      )}
+      {result && result.values.length === 0 && !tileError && (
+        <div className="m-4 text-sm text-gray-500">The query returned no rows.</div>
+      )}
+
+      <div ref={chartRef} className={tile.view === 'chart' && chart ? 'w-full' : 'hidden'} style={{ height: `${height}px` }} />
+      {tile.view === 'table' && result && result.values.length > 0 && (
+        <div className="overflow-auto" style={{ height: `${height}px` }}>
+          <table className="min-w-full text-xs">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                {result.columns.map((col, i) => <th key={i} className="px-3 py-2 text-left font-semibold text-gray-700">{col}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {result.values.slice(0, TILE_TABLE_ROWS).map((row, i) => (
+                <tr key={i} className="border-t border-gray-100">
+                  {row.map((value, j) => <td key={j} className="px-3 py-1 font-mono text-gray-700 whitespace-nowrap">{formatCell(value)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tile.notes && (
+        <div
+          className="markdown px-4 py-3 border-t border-gray-100 text-sm text-gray-700"
+          dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(marked.parse(tile.notes)) }}
+        />
+      )}
+
+      <div
+        onMouseDown={startResize}
+        title="Drag to resize"
+        className="absolute bottom-0 right-0 w-4 h-4 cursor-se-resize text-gray-400 text-xs leading-none text-right select-none"
+      >
+        ◢
+      </div>
+    </div>
+  );
+}
+
+// Country names across the loaded tables, for the dashboard's country picker
+function countryOptionsSql(tables) {
+  const selects = tables.flatMap(table => {
+    const column = table.columns.find(col => COUNTRY_NAME_COLUMN_PATTERN.test(col.name));
+    return column ? [`SELECT DISTINCT ${quoteIdentifier(column.name)} FROM ${quoteIdentifier(table.dataset.tableName)}`] : [];
+  });
+  return selects.length > 0 ? `${selects.join(' UNION ')} ORDER BY 1` : null;
+}
+
+function Dashboard({ dashboard, engine, tables, runQuery, onCancel, onChange, onOpenQuery, onExport, onImport }) {
+  const [countryOptions, setCountryOptions] = useState([]);
+  const [draggedId, setDraggedId] = useState(null);
+  const { parameters, tiles } = dashboard;
+
+  useEffect(() => {
+    const sql = countryOptionsSql(tables);
+    if (!engine || !sql) {
+      setCountryOptions([]);
+      return;
+    }
+    runQuery({ sql, maxRows: MAX_DISTINCT_VALUES })
+      .then(res => setCountryOptions(res.values.map(row => row[0]).filter(value => typeof value === 'string')))
+      .catch(() => setCountryOptions([]));
+  }, [engine, tables]);
+
+  const setParameters = (changes) => onChange({ ...dashboard, parameters: { ...parameters, ...changes } });
+  const updateTile = (id, changes) => onChange({ ...dashboard, tiles: tiles.map(tile => tile.id === id ? { ...tile, ...changes } : tile) });
+  const removeTile = (id) => onChange({ ...dashboard, tiles: tiles.filter(tile => tile.id !== id) });
+
+  // Dropping a tile on another puts it in that tile's place
+  const moveTile = (targetId) => {
+    if (!draggedId || draggedId === targetId) return;
+    const moved = tiles.find(tile => tile.id === draggedId);
+    const rest = tiles.filter(tile => tile.id !== draggedId);
+    const index = rest.findIndex(tile => tile.id === targetId) + (tiles.findIndex(tile => tile.id === draggedId) < tiles.findIndex(tile => tile.id === targetId) ? 1 : 0);
+    onChange({ ...dashboard, tiles: [...rest.slice(0, index), moved, ...rest.slice(index)] });
+    setDraggedId(null);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onImport(await file.text());
+  };
+
+  return (
+    <>
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6 border border-gray-100">
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <input
+            value={dashboard.title}
+            onChange={(e) => onChange({ ...dashboard, title: e.target.value })}
+            className="flex-1 min-w-0 text-xl font-bold text-gray-800 border-b-2 border-transparent hover:border-gray-200 focus:border-blue-500 focus:outline-none"
+          />
+          <button
+            onClick={onExport}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm font-semibold"
+          >
+            ⬇ Export layout
+          </button>
+          <label className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm font-semibold cursor-pointer">
+            ⬆ Import layout
+            <input type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-start gap-6 text-sm">
+          <div className="flex-1 min-w-[16rem]">
+            <div className="text-gray-600 mb-1">Countries <span className="font-mono text-xs text-gray-400">:countries</span></div>
+            <ValueChips
+              values={parameters.countries}
+              options={countryOptions}
+              onChange={(countries) => setParameters({ countries })}
+              placeholder="+ Add country"
+            />
+          </div>
+          {[['start_year', 'From year'], ['end_year', 'To year']].map(([name, label]) => (
+            <label key={name} className="block">
+              <span className="text-gray-600">{label} <span className="font-mono text-xs text-gray-400">:{name}</span></span>
+              <input
+                type="number"
+                value={parameters[name] ?? ''}
+                onChange={(e) => setParameters({ [name]: e.target.value === '' ? null : parseInt(e.target.value, 10) })}
+                className="block w-28 mt-1 px-3 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+              />
+            </label>
+          ))}
+        </div>
+        <p className="mt-3 text-xs text-gray-500">
+          Every tile's query can use these, e.g. <code className="font-mono">WHERE country IN (:countries) AND year BETWEEN :start_year AND :end_year</code>
+        </p>
+      </div>
+
+      {tiles.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 text-gray-500 text-sm">
+          The dashboard is empty. Run a query in the editor and use 📌 Add to dashboard under its chart.
+        </div>
+      ) : (
+        <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${DASHBOARD_COLUMNS}, minmax(0, 1fr))` }}>
+          {tiles.map(tile => (
+            <DashboardTile
+              key={tile.id}
+              tile={tile}
+              engine={engine}
+              tables={tables}
+              parameters={parameters}
+              runQuery={runQuery}
+              onCancel={onCancel}
+              onChange={(changes) => updateTile(tile.id, changes)}
+              onRemove={() => removeTile(tile.id)}
+              onOpen={() => onOpenQuery(tile)}
+              onMove={moveTile}
+              dragging={draggedId === tile.id}
+              onDragStart={setDraggedId}
+              onDragEnd={() => setDraggedId(null)}
+            />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+// Switching engines reloads the loaded datasets into the new one
+function EngineSelect({ value, disabled, onChange }) {
+  return (
+    <label className="ml-auto flex items-center gap-2 text-sm text-gray-600">
+      SQL engine
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+      >
+        {Object.entries(SQL_ENGINES).map(([key, { label, library }]) => (
+          <option key={key} value={key}>{label} ({library})</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
 function OWIDAnalytics() {
-  const [db, setDb] = useState(null);
-  const [duckdb, setDuckdb] = useState(null);
-  const [selectedDataset, setSelectedDataset] = useState(null);
+  const [engine, setEngine] = useState(null);
+  const [sqlEngine, setSqlEngine] = useState(() => {
+    const stored = readStored(STORAGE_KEYS.sqlEngine, DEFAULT_SQL_ENGINE);
+    return SQL_ENGINES[stored] ? stored : DEFAULT_SQL_ENGINE;
+  });
+  const [loadedTables, setLoadedTables] = useState([]);
+  // Goes up whenever table contents may have changed, result sets keep the one they read
+  const [tablesVersion, setTablesVersion] = useState(0);
   const [sqlQuery, setSqlQuery] = useState('');
-  const [columns, setColumns] = useState([]);
-  const [queryResult, setQueryResult] = useState(null);
+  const [resultSets, setResultSets] = useState([]);
+  const [activeResultIndex, setActiveResultIndex] = useState(0);
+  const [statementLog, setStatementLog] = useState([]);
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
   const [loading, setLoading] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [editorError, setEditorError] = useState(null);
+  const [cacheStatus, setCacheStatus] = useState({});
+  const [customDatasets, setCustomDatasets] = useState(() => readStored(STORAGE_KEYS.customDatasets, []));
+  const [showAddDataset, setShowAddDataset] = useState(false);
+  const [history, setHistory] = useState(() => readStored(STORAGE_KEYS.history, []));
+  const [savedQueries, setSavedQueries] = useState(() => readStored(STORAGE_KEYS.savedQueries, []));
+  const [snippets, setSnippets] = useState(() => readStored(STORAGE_KEYS.snippets, DEFAULT_SNIPPETS));
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [pendingAutoRun, setPendingAutoRun] = useState(false);
+  const [shareLink, setShareLink] = useState(null);
+  const [shareAutoRun, setShareAutoRun] = useState(true);
+  const [chartOverrides, setChartOverrides] = useState(() => readStored(STORAGE_KEYS.chartConfigs, {}));
+  const [showChartBuilder, setShowChartBuilder] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showImageExport, setShowImageExport] = useState(false);
+  const [imageExport, setImageExport] = useState(() => {
+    const stored = { ...DEFAULT_IMAGE_EXPORT, ...readStored(STORAGE_KEYS.imageExport, {}) };
+    return IMAGE_PRESETS[stored.preset] && IMAGE_DPIS.includes(stored.dpi) && ['png', 'svg'].includes(stored.format)
+      ? stored
+      : DEFAULT_IMAGE_EXPORT;
+  });
+  const [profiles, setProfiles] = useState({});
+  const [profiledTable, setProfiledTable] = useState(null);
+  const [safeguards, setSafeguards] = useState(() => ({ ...DEFAULT_SAFEGUARDS, ...readStored(STORAGE_KEYS.safeguards, {}) }));
+  const [showSafeguards, setShowSafeguards] = useState(false);
+  const [pendingWrites, setPendingWrites] = useState(null);
+  // Datasets from unknown URLs a link or dashboard file wants to load: { datasets, retry }
+  const [pendingDatasets, setPendingDatasets] = useState(null);
+  const [runStats, setRunStats] = useState(null);
+  const [explainResult, setExplainResult] = useState(null);
+  const [tableIndexes, setTableIndexes] = useState({});
+  const [assistantSettings, setAssistantSettings] = useState(() => {
+    const stored = { ...DEFAULT_ASSISTANT_SETTINGS, ...readStored(STORAGE_KEYS.assistant, {}) };
+    return ASSISTANT_BACKENDS[stored.backend] ? stored : DEFAULT_ASSISTANT_SETTINGS;
+  });
+  const [failedQuery, setFailedQuery] = useState(null);
+  const [errorHelp, setErrorHelp] = useState(null);
+  const [view, setView] = useState('editor');
+  const [parameterValues, setParameterValues] = useState({});
+  const [dashboard, setDashboard] = useState(() => {
+    try {
+      return validateDashboard(readStored(STORAGE_KEYS.dashboard, DEFAULT_DASHBOARD));
+    } catch (err) {
+      return DEFAULT_DASHBOARD;
+    }
+  });
   const chartRef = useRef(null);
-  const textareaRef = useRef(null);
+  const editorRef = useRef(null);
+  const distinctValuesRef = useRef(new Map());
+  const activeRequestRef = useRef(null);
 
   useEffect(() => {
-    initDuckDB();
+    initEngine();
+    checkCachedDatasets();
   }, []);
 
-  const initDuckDB = async () => {
+  useEffect(() => {
+    if (engine && window.location.hash.startsWith(SHARE_HASH_PREFIX)) {
+      openSharedLink(window.location.hash.slice(SHARE_HASH_PREFIX.length));
+    }
+  }, [engine]);
+
+  // Cached completion values go stale when a table is loaded, dropped or changed by a script
+  useEffect(() => {
+    distinctValuesRef.current.clear();
+  }, [loadedTables, statementLog]);
+
+  // Loads replace tables and scripts may create or drop indexes
+  useEffect(() => {
+    if (engine && loadedTables.length > 0) refreshIndexes();
+  }, [loadedTables, resultSets, statementLog]);
+
+  // A script may have changed any table, profiles are recomputed when next opened
+  useEffect(() => {
+    setProfiles({});
+  }, [statementLog]);
+
+  // Runs once the datasets and the query from a permalink are in place
+  useEffect(() => {
+    if (pendingAutoRun && !loading && loadedTables.length > 0) {
+      setPendingAutoRun(false);
+      executeQuery();
+    }
+  }, [pendingAutoRun, loading, loadedTables, sqlQuery]);
+
+  // Mark cached datasets, then compare each against the remote version in the background
+  const checkCachedDatasets = async () => {
+    let entries = [];
     try {
-      setLoadingMessage('Initializing SQL engine...');
-      
-      // Initialize sql.js
-      const SQL = await initSqlJs({
-        locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
+      entries = await listCachedTables();
+    } catch (err) {
+      console.warn('Dataset cache unavailable:', err);
+      return;
+    }
+    
+    setCacheStatus(Object.fromEntries(entries.map(entry => [entry.url, 'cached'])));
+    
+    entries.forEach(async (entry) => {
+      if (!entry.version) return;
+      try {
+        const response = await fetch(entry.url, { method: 'HEAD', cache: 'no-store' });
+        const version = getRemoteVersion(response);
+        if (version && version !== entry.version) {
+          setCacheStatus(prev => ({ ...prev, [entry.url]: 'stale' }));
+        }
+      } catch (e) {
+        // Offline, the cached copy is all we have
+      }
+    });
+  };
+
+  const purgeCachedDataset = async (dataset) => {
+    try {
+      await deleteCachedTable(dataset.url);
+      setCacheStatus(prev => {
+        const next = { ...prev };
+        delete next[dataset.url];
+        return next;
       });
+    } catch (err) {
+      setError('Failed to remove cached dataset: ' + err.message);
+    }
+  };
+
+  const purgeAllCachedDatasets = async () => {
+    try {
+      await clearTableCache();
+      setCacheStatus({});
+      setSuccess('✓ Dataset cache cleared');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError('Failed to clear dataset cache: ' + err.message);
+    }
+  };
+
+  const initEngine = async (kind = sqlEngine) => {
+    try {
+      setLoadingMessage(`Initializing ${SQL_ENGINES[kind].label}...`);
       
-      const database = new SQL.Database();
+      // The engine runs inside worker.js so big loads and slow queries don't freeze the page
+      const client = createWorkerClient();
+      await client.request('init', { engine: kind });
       
-      setDb(database);
-      setSuccess('SQL engine ready!');
+      setEngine(client);
+      setSuccess(`${SQL_ENGINES[kind].label} engine ready!`);
       setLoadingMessage('');
       
       setTimeout(() => setSuccess(null), 3000);
     } catch (err) {
       setError('Failed to initialize SQL engine: ' + err.message);
-      console.error('SQL.js init error:', err);
+      console.error('SQL worker init error:', err);
       setLoadingMessage('');
     }
   };
 
-  const loadDataset = async (dataset) => {
-    if (!db) {
-      setError('SQL engine not initialized');
+  // Remember which worker request is running so the Cancel button can stop it
+  const trackRequest = async (request, type) => {
+    activeRequestRef.current = { id: request.id, type };
+    try {
+      return await request;
+    } finally {
+      // Dashboard tiles run side by side, a later one may have taken over
+      if (activeRequestRef.current && activeRequestRef.current.id === request.id) activeRequestRef.current = null;
+    }
+  };
+
+  // Queries the page runs on its own (dashboard tiles, the country picker, the results
+  // grid) stop at the time limit and on Cancel like the editor's, by restarting the worker
+  const runTrackedQuery = async (payload) => {
+    let timedOut = false;
+    const timer = safeguards.maxSeconds > 0 ? setTimeout(() => {
+      timedOut = true;
+      cancelOperation();
+    }, safeguards.maxSeconds * 1000) : null;
+    try {
+      return await trackRequest(engine.request('query', payload), 'exec');
+    } catch (err) {
+      if (err.cancelled && timedOut) err.message = `Stopped after ${safeguards.maxSeconds} s, raise the time limit under 🛡 Safeguards if it needs longer`;
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const cancelOperation = async () => {
+    const active = activeRequestRef.current;
+    if (!active) return;
+    
+    if (active.type !== 'exec') {
+      engine.cancel(active.id);
+      return;
+    }
+    
+    // A running statement can't be interrupted, so start a fresh worker and
+    // restore the loaded tables from the local cache
+    engine.restart();
+    try {
+      await restoreTables(sqlEngine);
+    } catch (err) {
+      setError('Failed to restore tables after cancelling: ' + err.message);
+    }
+  };
+
+  // Loads the loaded datasets again into a restarted worker, from the local cache where they are
+  const restoreTables = async (kind) => {
+    const tables = loadedTables;
+    setLoading(true);
+    setTablesVersion(v => v + 1);
+    try {
+      await engine.request('init', { engine: kind });
+      for (const table of tables) {
+        setLoadingMessage(`Restoring ${table.dataset.tableName}...`);
+        await engine.request('load', { dataset: table.dataset }, setLoadingMessage);
+      }
+    } finally {
+      setLoadingMessage('');
+      setLoading(false);
+    }
+  };
+
+  // Tables live inside the engine, so switching starts a fresh worker and loads the
+  // datasets into it. Tables a script created are not carried over.
+  const switchEngine = async (kind) => {
+    setSqlEngine(kind);
+    writeStored(STORAGE_KEYS.sqlEngine, kind);
+    setResultSets([]);
+    setRunStats(null);
+    setExplainResult(null);
+    setProfiles({});
+    setError(null);
+    if (!engine) {
+      initEngine(kind);
       return;
     }
 
+    engine.restart();
+    try {
+      await restoreTables(kind);
+      setSuccess(`✓ Switched to ${SQL_ENGINES[kind].label}`);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(`Failed to start ${SQL_ENGINES[kind].label}: ${err.message}`);
+    }
+  };
+
+  const loadDataset = async (dataset, { refresh = false, text = null } = {}) => {
+    if (!engine) {
+      setError('SQL engine not initialized');
+      return false;
+    }
+
     setLoading(true);
     setError(null);
     setSuccess(null);
     setLoadingMessage(`Loading ${dataset.name}...`);
     
+    let loaded = false;
     try {
-      // Drop table if exists
-      try {
-        db.run(`DROP TABLE IF EXISTS ${dataset.tableName}`);
-      } catch (e) {}
-
-      // Fetch CSV data
-      setLoadingMessage('Downloading data from Our World in Data...');
-      const response = await fetch(dataset.url);
-      const csvText = await response.text();
-      
-      // Parse CSV with PapaParse
-      setLoadingMessage('Parsing CSV data...');
-      const parseResult = Papa.parse(csvText, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false, // Keep everything as strings for SQL
-        transformHeader: (header) => header.trim()
-      });
-      
-      if (parseResult.errors.length > 0) {
-        console.warn('CSV parsing warnings:', parseResult.errors);
-      }
-      
-      const headers = parseResult.meta.fields;
-      const rows = parseResult.data;
-      
-      if (!headers || headers.length === 0) {
-        throw new Error('No columns found in CSV');
-      }
-      
-      // Create table with quoted column names to handle spaces/special chars
-      const columnDefs = headers.map(h => `"${h}" TEXT`).join(', ');
-      db.run(`CREATE TABLE ${dataset.tableName} (${columnDefs})`);
-      
-      // Prepare insert statement
-      const placeholders = headers.map(() => '?').join(',');
-      const insertStmt = db.prepare(`INSERT INTO ${dataset.tableName} VALUES (${placeholders})`);
-      
-      // Insert data in batches
-      setLoadingMessage('Loading data into database...');
-      const batchSize = 1000;
+      const request = engine.request('load', { dataset, refresh, text }, setLoadingMessage);
+      const { columns, rowCount, fromCache, cached } = await trackRequest(request, 'load');
       
-      for (let i = 0; i < rows.length; i += batchSize) {
-        const batch = rows.slice(i, Math.min(i + batchSize, rows.length));
-        
-        batch.forEach(row => {
-          const values = headers.map(h => row[h] === undefined || row[h] === null ? '' : String(row[h]));
-          try {
-            insertStmt.run(values);
-          } catch (e) {
-            console.error('Error inserting row:', e, row);
-          }
-        });
-        
-        if (i % 5000 === 0 && i > 0) {
-          setLoadingMessage(`Loading data... ${i.toLocaleString()} / ${rows.length.toLocaleString()} rows`);
-        }
+      if (cached) {
+        setCacheStatus(prev => ({ ...prev, [dataset.url]: 'cached' }));
       }
-      
-      insertStmt.free();
-      
-      // Get column info
-      setLoadingMessage('Analyzing data structure...');
-      const columnsResult = db.exec(`PRAGMA table_info(${dataset.tableName})`);
-      const columnNames = columnsResult[0].values.map(row => row[1]);
-      setColumns(columnNames);
-      
-      // Get row count
-      const countResult = db.exec(`SELECT COUNT(*) as count FROM ${dataset.tableName}`);
-      const rowCount = countResult[0].values[0][0];
-      
-      setSelectedDataset(dataset);
-      setSqlQuery(`SELECT * FROM ${dataset.tableName} LIMIT 100`);
-      setSuccess(`✓ Loaded ${parseInt(rowCount).toLocaleString()} rows with ${columnNames.length} columns`);
+      setLoadedTables(prev => [
+        ...prev.filter(table => table.dataset.tableName !== dataset.tableName),
+        { dataset, columns, rowCount }
+      ]);
+      setTablesVersion(v => v + 1);
+      setProfiles(({ [dataset.tableName]: stale, ...rest }) => rest);
+      if (dataset.codebookUrl) loadCodebook(dataset);
+      // Only replace the editor contents when it still holds a starter query
+      setSqlQuery(prev => !prev.trim() || DEFAULT_QUERY_PATTERN.test(prev.trim())
+        ? `SELECT * FROM ${dataset.tableName} LIMIT 100`
+        : prev);
+      setSuccess(`✓ Loaded ${parseInt(rowCount).toLocaleString()} rows with ${columns.length} columns${fromCache ? ' from local cache' : ''}`);
       setLoadingMessage('');
+      loaded = true;
       
       setTimeout(() => setSuccess(null), 5000);
     } catch (err) {
-      setError('Failed to load dataset: ' + err.message);
-      console.error('Load error:', err);
+      if (err.cancelled) {
+        setSuccess(`Loading ${dataset.name} cancelled`);
+        setTimeout(() => setSuccess(null), 3000);
+      } else {
+        setError('Failed to load dataset: ' + err.message);
+        console.error('Load error:', err);
+      }
       setLoadingMessage('');
     }
-    
-    setLoading(false);
+    
+    setLoading(false);
+    return loaded;
+  };
+
+  // Descriptions are extras, a missing codebook only leaves the columns without hover text
+  const loadCodebook = async (dataset) => {
+    try {
+      const codebook = await fetchCodebook(dataset.codebookUrl);
+      setLoadedTables(prev => prev.map(table => table.dataset.tableName !== dataset.tableName ? table : {
+        ...table,
+        columns: table.columns.map(col => ({ ...col, description: describeColumn(codebook[col.name]) || undefined }))
+      }));
+    } catch (err) {
+      console.warn(`Could not load the codebook for ${dataset.tableName}:`, err);
+    }
+  };
+
+  // The dialog opens once the profile is ready, so the Cancel button stays reachable while it runs
+  const openProfile = async (tableName, { refresh = false } = {}) => {
+    if (profiles[tableName] && !refresh) {
+      setProfiledTable(tableName);
+      return;
+    }
+
+    setProfiledTable(null);
+    setLoading(true);
+    setError(null);
+    setLoadingMessage(`Profiling ${tableName}...`);
+    try {
+      const profile = await trackRequest(engine.request('profile', { tableName }, setLoadingMessage), 'profile');
+      setProfiles(prev => ({ ...prev, [tableName]: profile }));
+      setProfiledTable(tableName);
+    } catch (err) {
+      if (!err.cancelled) setError('Failed to profile table: ' + err.message);
+    }
+    setLoadingMessage('');
+    setLoading(false);
+  };
+
+  const unloadDataset = async (dataset) => {
+    try {
+      await engine.request('drop', { tableName: dataset.tableName });
+    } catch (err) {
+      setError('Failed to remove table: ' + err.message);
+      return;
+    }
+    setLoadedTables(prev => prev.filter(table => table.dataset.tableName !== dataset.tableName));
+    setTablesVersion(v => v + 1);
+    setProfiles(({ [dataset.tableName]: stale, ...rest }) => rest);
+    if (profiledTable === dataset.tableName) setProfiledTable(null);
+  };
+
+  const allDatasets = [...DATASETS, ...customDatasets];
+
+  const addCustomDataset = async (dataset, fileText) => {
+    setShowAddDataset(false);
+    
+    // Uploaded files can't be fetched again, the worker parses the text and keeps it in the cache
+    const loaded = await loadDataset(dataset, { text: fileText });
+    if (!loaded) return;
+    
+    const next = [...customDatasets, dataset];
+    setCustomDatasets(next);
+    writeStored(STORAGE_KEYS.customDatasets, next);
+  };
+
+  const removeCustomDataset = async (dataset) => {
+    if (isLoaded(dataset)) unloadDataset(dataset);
+    const next = customDatasets.filter(d => d.id !== dataset.id);
+    setCustomDatasets(next);
+    writeStored(STORAGE_KEYS.customDatasets, next);
+    if (cacheStatus[dataset.url]) await purgeCachedDataset(dataset);
+  };
+
+  // Load the datasets a link or dashboard file refers to. Custom ones become cards
+  // like any other added dataset, once the user agrees to download them: anyone can
+  // write a link, so `retry` ({ source, input }) asks first and opens it again after.
+  const openDatasets = async (refs, errorPrefix, retry) => {
+    const known = [...DATASETS, ...customDatasets];
+    const datasets = [];
+    const added = [];
+    for (const dataset of refs) {
+      const existing = known.find(d => d.tableName.toLowerCase() === dataset.tableName.toLowerCase());
+      if (existing && existing.url !== dataset.url) {
+        setError(`${errorPrefix}: table ${dataset.tableName} already belongs to another dataset`);
+        return false;
+      }
+      if (existing) {
+        datasets.push(existing);
+      } else {
+        const custom = { ...dataset, id: `custom_${Date.now().toString(36)}_${added.length}` };
+        added.push(custom);
+        datasets.push(custom);
+      }
+    }
+    if (added.length > 0 && retry) {
+      setPendingDatasets({ datasets: added, retry });
+      return false;
+    }
+    setPendingDatasets(null);
+    if (added.length > 0) {
+      const next = [...customDatasets, ...added];
+      setCustomDatasets(next);
+      writeStored(STORAGE_KEYS.customDatasets, next);
+    }
+    
+    for (const dataset of datasets) {
+      if (isLoaded(dataset)) continue;
+      const loaded = await loadDataset(dataset);
+      if (!loaded) return false;
+    }
+    return true;
+  };
+
+  const openSharedLink = async (encoded, { confirmed = false } = {}) => {
+    let shared;
+    try {
+      shared = validateShareState(await decodeShareState(encoded), loadedTables.map(table => table.dataset));
+    } catch (err) {
+      setError('Could not open shared link: ' + err.message);
+      return;
+    }
+    
+    if (!await openDatasets(shared.datasets, 'Could not open shared link', confirmed ? null : { source: 'link', input: encoded })) return;
+    
+    if (shared.chart) {
+      const key = chartConfigKey(shared.chart.sql);
+      storeChartOverrides(prev => ({ ...prev, [key]: { config: shared.chart.config, savedAt: Date.now() } }));
+    }
+    
+    setSqlQuery(shared.sql);
+    setParameterValues(prev => ({ ...prev, ...shared.params }));
+    setSelection({ start: 0, end: 0 });
+    if (shared.writeKeywords.length > 0) {
+      setError(`This shared query contains statements that change data (${shared.writeKeywords.join(', ')}). It was not run, review it before running it yourself.`);
+    } else if (shared.autoRun) {
+      setPendingAutoRun(true);
+    }
+  };
+
+  const confirmPendingDatasets = () => {
+    const { retry } = pendingDatasets;
+    if (retry.source === 'link') {
+      openSharedLink(retry.input, { confirmed: true });
+    } else {
+      importDashboard(retry.input, { confirmed: true });
+    }
+  };
+
+  const createShareLink = async (autoRun = shareAutoRun) => {
+    const datasets = datasetRefs(loadedTables.map(table => table.dataset));
+    
+    try {
+      const chart = chartOverride ? { sql: queryResult.sql, config: chartOverride } : undefined;
+      const params = parameterValuesFor(sqlQuery, parameterValues);
+      const encoded = await encodeShareState({ datasets, sql: sqlQuery, params, autoRun, chart });
+      const link = `${window.location.origin}${window.location.pathname}${SHARE_HASH_PREFIX}${encoded}`;
+      window.history.replaceState(null, '', link);
+      setShareLink(link);
+    } catch (err) {
+      setError('Could not create link: ' + err.message);
+    }
+  };
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink);
+      setSuccess('✓ Link copied to clipboard');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError('Could not copy link, select it and copy it manually');
+    }
+  };
+
+  const isLoaded = (dataset) => loadedTables.some(table => table.dataset.tableName === dataset.tableName);
+
+  const hasSelection = selection.end > selection.start && sqlQuery.slice(selection.start, selection.end).trim() !== '';
+
+  // Turn the worker's per-statement replies into result tabs and a log of the other statements
+  const applyStatementResults = (statements, baseOffset, parameters = {}) => {
+    const sets = [];
+    const log = [];
+    // A set keeps the tables version after the run, or none when a later statement may have changed them
+    const writes = statements.map(stmt => findWriteKeywords(stmt.sql).length > 0);
+    const version = writes.includes(true) ? tablesVersion + 1 : tablesVersion;
+    if (version !== tablesVersion) setTablesVersion(version);
+    statements.forEach((stmt, i) => {
+      const line = lineAt(sqlQuery, baseOffset + stmt.offset);
+      if (stmt.columns.length === 0) {
+        log.push({ index: stmt.index, line, sql: stmt.sql, parameters: parameterValuesFor(stmt.sql, parameters), changes: stmt.changes, timeMs: stmt.timeMs });
+        return;
+      }
+      // Exports read the raw values, which keep columns that share a name apart
+      sets.push({
+        index: stmt.index,
+        line,
+        sql: stmt.sql,
+        parameters: parameterValuesFor(stmt.sql, parameters),
+        data: toRowObjects(stmt.columns, stmt.values),
+        columns: stmt.columns,
+        values: stmt.values,
+        truncated: stmt.truncated,
+        cursor: stmt.cursor,
+        timeMs: stmt.timeMs,
+        tablesVersion: writes.includes(true, i + 1) ? null : version
+      });
+    });
+    setResultSets(sets);
+    setStatementLog(log);
+    setActiveResultIndex(0);
+    return sets;
+  };
+
+  // Loaded tables a piece of SQL refers to, stored with history and library entries
+  const tablesInSql = (sql) => loadedTables
+    .map(table => table.dataset.tableName)
+    .filter(name => new RegExp(`\\b${name}\\b`, 'i').test(sql));
+
+  const recordHistory = (entry) => {
+    const tables = tablesInSql(entry.sql);
+    setHistory(prev => {
+      const next = [
+        { id: `history_${Date.now().toString(36)}`, executedAt: Date.now(), tables, ...entry },
+        ...prev
+      ].slice(0, MAX_HISTORY_ENTRIES);
+      writeStored(STORAGE_KEYS.history, next);
+      return next;
+    });
+  };
+
+  const clearHistory = () => {
+    setHistory([]);
+    writeStored(STORAGE_KEYS.history, []);
+  };
+
+  const openInEditor = (sql, params) => {
+    setSqlQuery(sql);
+    if (params) setParameterValues(prev => ({ ...prev, ...params }));
+    setSelection({ start: 0, end: 0 });
+    setTimeout(() => editorRef.current?.focus(), 0);
+  };
+
+  // Snippets replace the selection, or go in at the cursor
+  const insertSnippet = (sql) => {
+    editorRef.current?.replaceRange(sql, selection.start, selection.end, { select: true });
+  };
+
+  const saveToLibrary = (kind, { name, tags }) => {
+    const sql = kind === 'snippets' && hasSelection ? sqlQuery.slice(selection.start, selection.end) : sqlQuery;
+    const entry = {
+      id: `${kind}_${Date.now().toString(36)}`,
+      name,
+      tags,
+      sql: sql.trim(),
+      params: kind === 'saved' ? parameterValuesFor(sql, parameterValues) : undefined,
+      tables: tablesInSql(sql),
+      savedAt: Date.now()
+    };
+    if (kind === 'saved') {
+      const next = [entry, ...savedQueries];
+      setSavedQueries(next);
+      writeStored(STORAGE_KEYS.savedQueries, next);
+    } else {
+      const next = [entry, ...snippets];
+      setSnippets(next);
+      writeStored(STORAGE_KEYS.snippets, next);
+    }
+  };
+
+  const deleteFromLibrary = (kind, id) => {
+    if (kind === 'saved') {
+      const next = savedQueries.filter(entry => entry.id !== id);
+      setSavedQueries(next);
+      writeStored(STORAGE_KEYS.savedQueries, next);
+    } else {
+      const next = snippets.filter(entry => entry.id !== id);
+      setSnippets(next);
+      writeStored(STORAGE_KEYS.snippets, next);
+    }
+  };
+
+  const refreshIndexes = async () => {
+    if (!SQL_ENGINES[sqlEngine].indexes) {
+      setTableIndexes({});
+      return;
+    }
+    try {
+      const { values } = await engine.request('query', { sql: INDEX_COLUMNS_SQL });
+      setTableIndexes(groupIndexColumns(values));
+    } catch (err) {
+      console.warn('Could not list indexes:', err);
+    }
+  };
+
+  // Plans the editor's statements (or the selection) without running them
+  const explainQuery = async () => {
+    if (!engine || loadedTables.length === 0) return;
+    const script = hasSelection ? sqlQuery.slice(selection.start, selection.end) : sqlQuery;
+    const baseOffset = hasSelection ? selection.start : 0;
+    setError(null);
+    try {
+      const statements = await engine.request('explain', { sql: script });
+      setExplainResult(statements.map(stmt => ({ ...stmt, line: lineAt(sqlQuery, baseOffset + stmt.offset) })));
+    } catch (err) {
+      setError('Failed to explain query: ' + err.message);
+    }
+  };
+
+  const createIndex = async (suggestion) => {
+    setLoading(true);
+    setError(null);
+    setLoadingMessage(`Creating index on ${suggestion.table} (${suggestion.columns.join(', ')})...`);
+    try {
+      await trackRequest(engine.request('exec', { sql: suggestion.sql }), 'exec');
+      await refreshIndexes();
+      setSuccess(`✓ Created index on ${suggestion.table} (${suggestion.columns.join(', ')}), run the query again to use it`);
+      setTimeout(() => setSuccess(null), 5000);
+      if (explainResult) explainQuery();
+    } catch (err) {
+      if (!err.cancelled) setError('Failed to create index: ' + err.message);
+    }
+    setLoadingMessage('');
+    setLoading(false);
+  };
+
+  const updateSafeguards = (next) => {
+    setSafeguards(next);
+    writeStored(STORAGE_KEYS.safeguards, next);
+  };
+
+  const updateDashboard = (next) => {
+    setDashboard(next);
+    writeStored(STORAGE_KEYS.dashboard, next);
+  };
+
+  // Pins the current result's query and chart, the chart settings are copied so the
+  // tile keeps its look while its rows change with the dashboard parameters
+  const addToDashboard = () => {
+    if (!queryResult) return;
+    const tile = {
+      id: `tile_${Date.now().toString(36)}`,
+      title: chartConfig ? chartTitle(chartConfig, queryResult.sql) : 'Query results',
+      sql: queryResult.sql,
+      notes: '',
+      params: queryResult.parameters || {},
+      chart: chartConfig ? sanitizeChartConfig(chartConfig) : {},
+      view: chartConfig ? 'chart' : 'table',
+      width: 2,
+      height: DEFAULT_TILE_HEIGHT
+    };
+    updateDashboard({ ...dashboard, tiles: [...dashboard.tiles, tile] });
+    setSuccess(`✓ Added "${tile.title}" to the dashboard`);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const openTileQuery = (tile) => {
+    setView('editor');
+    openInEditor(tile.sql);
+  };
+
+  const exportDashboard = () => {
+    const layout = { ...dashboard, datasets: datasetRefs(loadedTables.map(table => table.dataset)) };
+    downloadBlob(new Blob([JSON.stringify(layout, null, 2)], { type: 'application/json' }), 'owid_dashboard.json');
+  };
+
+  // The layout file names the datasets its tiles read, they are loaded before the tiles run
+  const importDashboard = async (text, { confirmed = false } = {}) => {
+    let imported;
+    let datasets;
+    try {
+      const raw = JSON.parse(text);
+      imported = validateDashboard(raw);
+      datasets = validateDatasetRefs(raw.datasets, loadedTables.map(table => table.dataset));
+    } catch (err) {
+      setError('Could not import dashboard: ' + err.message);
+      return;
+    }
+    if (!await openDatasets(datasets, 'Could not import dashboard', confirmed ? null : { source: 'dashboard', input: text })) return;
+    updateDashboard(imported);
+    setSuccess(`✓ Imported dashboard "${imported.title}" with ${imported.tiles.length} tiles`);
+    setTimeout(() => setSuccess(null), 3000);
   };
 
-  const executeQuery = async () => {
-    if (!db || !selectedDataset) return;
+  // Runs the highlighted selection if there is one, otherwise the whole editor
+  const executeQuery = async ({ confirmed = false } = {}) => {
+    if (!engine || loadedTables.length === 0) return;
+    
+    const script = hasSelection ? sqlQuery.slice(selection.start, selection.end) : sqlQuery;
+    const baseOffset = hasSelection ? selection.start : 0;
+    const params = parameterValuesFor(script, parameterValues);
+    const bound = bindParameters(script, params || {});
+    // Lists expand to one parameter per item, statements are reported as they were written
+    const asWritten = (stmt) => {
+      const offset = bound.toOriginal(stmt.offset);
+      return stmt.sql === undefined ? { ...stmt, offset } : {
+        ...stmt,
+        offset,
+        sql: script.slice(offset, bound.toOriginal(stmt.offset + stmt.sql.length))
+      };
+    };
+    
+    // Loaded datasets only come back by reloading them, so ask before a script changes one
+    if (safeguards.confirmWrites && !confirmed) {
+      const writes = findDatasetWrites(script, loadedTables.map(table => table.dataset.tableName));
+      if (writes.length > 0) {
+        setPendingWrites(writes);
+        return;
+      }
+    }
+    setPendingWrites(null);
     
     setLoading(true);
     setError(null);
+    setEditorError(null);
+    setFailedQuery(null);
+    setErrorHelp(null);
     setSuccess(null);
-    setLoadingMessage('Executing query...');
+    setLoadingMessage(hasSelection ? 'Executing selection...' : 'Executing query...');
+    
+    // A statement can't be interrupted, running out of time restarts the worker like Cancel does
+    let timedOut = false;
+    const timer = safeguards.maxSeconds > 0 ? setTimeout(() => {
+      timedOut = true;
+      cancelOperation();
+    }, safeguards.maxSeconds * 1000) : null;
     
+    const started = performance.now();
     try {
-      const result = db.exec(sqlQuery);
-      
-      if (!result || result.length === 0) {
-        setQueryResult({ data: [], columns: [] });
-        setSuccess('✓ Query returned 0 rows');
-        setLoadingMessage('');
-        setLoading(false);
-        return;
-      }
-      
-      const columns = result[0].columns;
-      const rows = result[0].values.map(row => {
-        const obj = {};
-        columns.forEach((col, idx) => {
-          // Try to convert to number if possible
-          const val = row[idx];
-          obj[col] = isNaN(val) || val === '' ? val : Number(val);
-        });
-        return obj;
+      // Plans feed the index suggestions, DuckDB would pay for a second planning pass without any
+      const request = engine.request('exec', {
+        sql: bound.sql,
+        params: bound.params,
+        maxRows: safeguards.maxRows || undefined,
+        plans: SQL_ENGINES[sqlEngine].indexes
+      });
+      const statements = (await trackRequest(request, 'exec')).map(asWritten);
+      clearTimeout(timer);
+      const sets = applyStatementResults(statements, baseOffset, params);
+      setRunStats({
+        wallMs: performance.now() - started,
+        statements: statements.map(stmt => ({ ...statementStats(stmt, loadedTables), line: lineAt(sqlQuery, baseOffset + stmt.offset) }))
+      });
+      recordHistory({
+        sql: script.trim(),
+        params,
+        rowCount: sets.reduce((sum, set) => sum + set.data.length, 0),
+        durationMs: performance.now() - started
       });
       
-      setQueryResult({ data: rows, columns: columns });
-      setSuccess(`✓ Query returned ${rows.length} rows`);
+      if (sets.length === 0) {
+        setSuccess(`✓ ${statements.length} ${statements.length === 1 ? 'statement' : 'statements'} executed, no rows returned`);
+      } else if (statements.length === 1 && sets[0].truncated) {
+        setSuccess(`✓ Showing the first ${sets[0].data.length.toLocaleString()} rows, the row limit was reached`);
+      } else if (statements.length === 1) {
+        setSuccess(`✓ Query returned ${sets[0].data.length} rows`);
+      } else {
+        setSuccess(`✓ ${statements.length} statements executed, ${sets.length} result ${sets.length === 1 ? 'set' : 'sets'}`);
+      }
       setLoadingMessage('');
-      
-      setTimeout(() => {
-        setSuccess(null);
-        generateChart({ data: rows, columns: columns });
-      }, 1000);
-      
+      setTimeout(() => setSuccess(null), 3000);
     } catch (err) {
-      setError('Query error: ' + err.message);
+      clearTimeout(timer);
+      if (err.cancelled && timedOut) {
+        setError(`Query stopped after ${safeguards.maxSeconds} s. Raise the time limit under 🛡 Safeguards if it needs longer.`);
+      } else if (err.cancelled) {
+        setSuccess('Query cancelled');
+        setTimeout(() => setSuccess(null), 3000);
+      } else if (err.details && err.details.statement) {
+        recordHistory({ sql: script.trim(), params, error: err.message, rowCount: 0, durationMs: performance.now() - started });
+        // Keep whatever the earlier statements returned and point at the failing one
+        const statement = asWritten(err.details.statement);
+        applyStatementResults(err.details.results.map(asWritten), baseOffset, params);
+        const line = lineAt(sqlQuery, baseOffset + statement.offset);
+        const message = `Query error in statement ${statement.index} (line ${line}): ${err.message}`;
+        setError(message);
+        setFailedQuery({ script, start: baseOffset, message: err.message, error: message });
+        const range = locateSqlError(sqlQuery, baseOffset + statement.offset, err.message);
+        if (range) setEditorError({ ...range, message: err.message });
+      } else {
+        recordHistory({ sql: script.trim(), params, error: err.message, rowCount: 0, durationMs: performance.now() - started });
+        setError('Query error: ' + err.message);
+        setFailedQuery({ script, start: baseOffset, message: err.message, error: 'Query error: ' + err.message });
+        setResultSets([]);
+        setStatementLog([]);
+      }
       setLoadingMessage('');
-      setQueryResult(null);
     }
     
     setLoading(false);
   };
 
-  const generateChart = (result) => {
-    if (!result || !result.data.length || !chartRef.current) return;
-    
-    const { data, columns } = result;
-    const chartConfig = analyzeDataForChart(data, columns);
+  const queryResult = resultSets[activeResultIndex] || null;
+  const parameterInputs = useMemo(() => parameterControls(sqlQuery, loadedTables), [sqlQuery, loadedTables]);
+
+  // Continue a result that stopped at the row limit from where its statement left off
+  const fetchMoreRows = async () => {
+    const set = queryResult;
+    if (!set || !set.cursor) return;
     
-    Plotly.newPlot(chartRef.current, chartConfig.data, chartConfig.layout, {
-      responsive: true,
-      displayModeBar: true,
-      modeBarButtonsToAdd: ['downloadSvg']
-    });
+    setLoading(true);
+    setError(null);
+    setLoadingMessage('Fetching more rows...');
+    try {
+      const request = engine.request('fetch', { cursor: set.cursor, maxRows: safeguards.maxRows || undefined });
+      const { values, truncated, cursor } = await trackRequest(request, 'exec');
+      setResultSets(prev => prev.map(entry => entry !== set ? entry : {
+        ...entry,
+        data: entry.data.concat(toRowObjects(entry.columns, values)),
+        values: entry.values.concat(values),
+        truncated,
+        cursor
+      }));
+    } catch (err) {
+      if (!err.cancelled) setError('Failed to fetch more rows: ' + err.message);
+    }
+    setLoadingMessage('');
+    setLoading(false);
   };
 
-  const analyzeDataForChart = (data, columns) => {
-    if (!data.length || !columns.length) return { data: [], layout: {} };
+  const chartKey = queryResult ? chartConfigKey(queryResult.sql) : null;
+  const chartKinds = useMemo(() => queryResult ? profileResultColumns(queryResult.data, queryResult.columns) : {}, [queryResult]);
+  const savedChartConfig = chartKey && chartOverrides[chartKey]
+    ? sanitizeChartConfig(chartOverrides[chartKey].config, queryResult.columns)
+    : {};
+  const chartOverride = Object.keys(savedChartConfig).length > 0 ? savedChartConfig : null;
+
+  // The detected config is only the starting point, saved choices for this query win
+  const chartConfig = useMemo(() => {
+    if (!queryResult || !queryResult.data.length || !queryResult.columns.length) return null;
+    return { ...detectChartConfig(queryResult.data, queryResult.columns, queryResult.sql), ...chartOverride };
+  }, [queryResult, chartOverrides]);
 
-    const numericCols = columns.filter(col => {
-      const val = data[0][col];
-      return typeof val === 'number' && !col.toLowerCase().includes('year') && 
-             !col.toLowerCase().includes('id') && !col.toLowerCase().includes('code');
+  useEffect(() => {
+    if (!chartRef.current) return;
+    if (!chartConfig) {
+      Plotly.purge(chartRef.current);
+      return;
+    }
+    const { data, layout, frames } = buildChart(queryResult.data, chartConfig, queryResult.sql);
+    Plotly.newPlot(chartRef.current, {
+      data,
+      layout,
+      frames,
+      config: {
+        responsive: true,
+        displayModeBar: true,
+        modeBarButtonsToAdd: ['downloadSvg']
+      }
     });
-    
-    const categoricalCols = columns.filter(col => {
-      const val = data[0][col];
-      return typeof val === 'string' || col.toLowerCase().includes('year');
+  }, [chartConfig]);
+
+  const storeChartOverrides = (update) => {
+    setChartOverrides(prev => {
+      const next = pruneChartOverrides(update(prev));
+      writeStored(STORAGE_KEYS.chartConfigs, next);
+      return next;
     });
-    
-    const timeCols = columns.filter(col => 
-      col.toLowerCase().includes('year') || col.toLowerCase().includes('date') || col.toLowerCase().includes('time')
-    );
+  };
 
-    const queryUpper = sqlQuery.toUpperCase();
-    const hasGroupBy = queryUpper.includes('GROUP BY');
-    const hasAggregation = /COUNT|SUM|AVG|MIN|MAX/i.test(sqlQuery);
-    const isTimeSeries = timeCols.length > 0 && numericCols.length > 0;
-    
-    let chartType = 'scatter';
-    let xCol = columns[0];
-    let yCol = columns.length > 1 ? columns[1] : columns[0];
-    let colorCol = null;
-    let mode = 'markers';
-
-    if (isTimeSeries) {
-      chartType = 'scatter';
-      mode = 'lines+markers';
-      xCol = timeCols[0];
-      yCol = numericCols[0];
-      if (categoricalCols.length > 1) colorCol = categoricalCols[0];
-    } else if (hasGroupBy && hasAggregation) {
-      chartType = 'bar';
-      xCol = categoricalCols[0] || columns[0];
-      yCol = numericCols[0] || columns[1];
-    } else if (categoricalCols.length > 0 && numericCols.length === 1 && data.length < 20) {
-      chartType = 'pie';
-      xCol = categoricalCols[0];
-      yCol = numericCols[0];
-    } else if (numericCols.length >= 2) {
-      chartType = 'scatter';
-      xCol = numericCols[0];
-      yCol = numericCols[1];
-      if (categoricalCols.length > 0) colorCol = categoricalCols[0];
-    }
-
-    const chartData = generatePlotlyData(data, chartType, xCol, yCol, colorCol, mode);
-    const title = generateChartTitle(xCol, yCol, chartType);
-    
-    const layout = {
-      title: { text: title, font: { size: 20, color: '#1f2937' } },
-      xaxis: { 
-        title: { text: xCol, font: { size: 14 } },
-        gridcolor: '#e5e7eb'
-      },
-      yaxis: { 
-        title: { text: yCol, font: { size: 14 } },
-        gridcolor: '#e5e7eb'
-      },
-      hovermode: 'closest',
-      showlegend: colorCol ? true : false,
-      plot_bgcolor: '#f9fafb',
-      paper_bgcolor: '#ffffff',
-      margin: { t: 60, r: 20, b: 60, l: 60 }
-    };
-    
-    return { data: chartData, layout };
+  const updateChartConfig = (changes) => {
+    storeChartOverrides(prev => ({
+      ...prev,
+      [chartKey]: { config: { ...(prev[chartKey] ? prev[chartKey].config : {}), ...changes }, savedAt: Date.now() }
+    }));
   };
 
-  const generatePlotlyData = (data, chartType, xCol, yCol, colorCol, mode) => {
-    if (chartType === 'pie') {
-      return [{
-        type: 'pie',
-        labels: data.map(row => row[xCol]),
-        values: data.map(row => row[yCol]),
-        textinfo: 'label+percent',
-        hovertemplate: '<b>%{label}</b><br>%{value:,.0f}<br>%{percent}<extra></extra>'
-      }];
+  const resetChartConfig = () => {
+    storeChartOverrides(prev => {
+      const { [chartKey]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Only typing and deleting update suggestions, not pastes, undo or text set from outside
+  const handleInputChange = (value, cursor, origin) => {
+    setSqlQuery(value);
+    setEditorError(null);
+    if (origin === '+input' || origin === '+delete') updateCompletions(value, cursor);
+    else setShowSuggestions(false);
+  };
+
+  // Distinct values of a column for completion inside string literals, fetched once per column
+  const loadDistinctValues = async ({ table, column }) => {
+    const key = `${table}.${column}`;
+    if (distinctValuesRef.current.has(key)) return;
+    distinctValuesRef.current.set(key, []);
+    try {
+      const { values } = await engine.request('query', { sql: distinctValuesSql(table, column) });
+      distinctValuesRef.current.set(key, values.map(row => row[0]));
+    } catch (err) {
+      distinctValuesRef.current.delete(key);
+      return;
+    }
+    const editor = editorRef.current;
+    if (editor && editor.hasFocus()) {
+      updateCompletions(editor.getValue(), editor.getCursor());
+    }
+  };
+
+  // Suggestions open by themselves after two characters, a `table.` or an opening
+  // quote, and on Ctrl+Space at any point
+  const updateCompletions = (text, cursor, explicit = false) => {
+    const context = completionContext(text, cursor);
+    const automatic = context && (context.kind === 'value' || context.quoted || context.qualifier || context.prefix.length > 1);
+    if (!context || (!explicit && !automatic)) {
+      setShowSuggestions(false);
+      return;
     }
     
-    if (colorCol) {
-      const groups = {};
-      data.forEach(row => {
-        const group = row[colorCol];
-        if (!groups[group]) groups[group] = { x: [], y: [] };
-        groups[group].x.push(row[xCol]);
-        groups[group].y.push(row[yCol]);
-      });
-      
-      return Object.entries(groups).map(([name, values]) => ({
-        type: chartType,
-        mode: mode,
-        name: String(name),
-        x: values.x,
-        y: values.y,
-        hovertemplate: `<b>${name}</b><br>${xCol}: %{x}<br>${yCol}: %{y:,.2f}<extra></extra>`
-      }));
+    let values = [];
+    if (context.kind === 'value') {
+      const source = resolveValueSource(context, loadedTables);
+      if (!source) {
+        setShowSuggestions(false);
+        return;
+      }
+      const key = `${source.table}.${source.column}`;
+      if (distinctValuesRef.current.has(key)) values = distinctValuesRef.current.get(key);
+      else loadDistinctValues(source);
     }
     
-    return [{
-      type: chartType,
-      mode: mode,
-      x: data.map(row => row[xCol]),
-      y: data.map(row => row[yCol]),
-      marker: { color: '#3b82f6', size: 8 },
-      line: { color: '#3b82f6', width: 2 },
-      hovertemplate: `${xCol}: %{x}<br>${yCol}: %{y:,.2f}<extra></extra>`
-    }];
+    const items = computeCompletions(context, loadedTables, values);
+    setSuggestions(items);
+    setActiveSuggestion(0);
+    setShowSuggestions(items.length > 0);
   };
 
-  const generateChartTitle = (xCol, yCol, chartType) => {
-    if (chartType === 'pie') return `Distribution of ${yCol}`;
-    if (sqlQuery.toUpperCase().includes('GROUP BY')) return `${yCol} by ${xCol}`;
-    if (xCol.toLowerCase().includes('year')) return `${yCol} Over Time`;
-    return `${yCol} vs ${xCol}`;
+  const applySuggestion = (suggestion) => {
+    editorRef.current?.replaceRange(suggestion.insert, suggestion.from, suggestion.to, { origin: '+complete' });
+    setShowSuggestions(false);
   };
 
-  const handleInputChange = (e) => {
-    const value = e.target.value;
-    const cursor = e.target.selectionStart;
-    setSqlQuery(value);
+  // Pretty-print the selection, or the whole editor when nothing is selected
+  const formatSql = () => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    const { start, end } = editor.getSelection();
+    const whole = start === end;
+    const text = whole ? editor.getValue() : editor.getValue().slice(start, end);
     
-    const currentWord = getCurrentWord(value, cursor);
-    if (currentWord.length > 1) {
-      const sugg = getSuggestions(currentWord);
-      setSuggestions(sugg);
-      setShowSuggestions(sugg.length > 0);
-    } else {
+    try {
+      const formatted = sqlFormatter.format(text, { language: SQL_ENGINES[sqlEngine].formatterLanguage, keywordCase: 'upper' });
+      editor.replaceRange(formatted, whole ? 0 : start, whole ? text.length : end, { select: !whole, origin: '+format' });
+    } catch (err) {
+      setError('Could not format the query: ' + err.message.split('\n')[0]);
+    }
+  };
+
+  const handleEditorKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      setShowSuggestions(false);
+      executeQuery();
+      return;
+    }
+    if (e.key === ' ' && e.ctrlKey) {
+      e.preventDefault();
+      updateCompletions(editorRef.current.getValue(), editorRef.current.getCursor(), true);
+      return;
+    }
+    if (e.code === 'KeyF' && e.shiftKey && e.altKey) {
+      e.preventDefault();
+      formatSql();
+      return;
+    }
+    if (!showSuggestions) return;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion((activeSuggestion + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
       setShowSuggestions(false);
     }
   };
 
-  const getCurrentWord = (text, cursor) => {
-    const beforeCursor = text.slice(0, cursor);
-    const match = beforeCursor.match(/(\w+)$/);
-    return match ? match[1] : '';
+  const updateAssistantSettings = (next) => {
+    setAssistantSettings(next);
+    writeStored(STORAGE_KEYS.assistant, next);
   };
 
-  const getSuggestions = (word) => {
-    const upper = word.toUpperCase();
-    const sugg = [];
-    
-    SQL_KEYWORDS.forEach(kw => {
-      if (kw.startsWith(upper)) sugg.push(kw);
+  // The assistant sees every loaded table with its profile, tables without one are
+  // profiled first. A failed profile only leaves out the value ranges.
+  const assistantSchema = async () => {
+    const fresh = {};
+    for (const table of loadedTables) {
+      const { tableName } = table.dataset;
+      if (profiles[tableName]) continue;
+      try {
+        fresh[tableName] = await engine.request('profile', { tableName });
+      } catch (err) {
+        console.warn(`Could not profile ${tableName} for the assistant:`, err);
+      }
+    }
+    if (Object.keys(fresh).length > 0) setProfiles(prev => ({ ...prev, ...fresh }));
+    return loadedTables.map(table => ({
+      tableName: table.dataset.tableName,
+      rowCount: table.rowCount,
+      columns: table.columns,
+      profile: profiles[table.dataset.tableName] || fresh[table.dataset.tableName] || null
+    }));
+  };
+
+  const askAssistant = async (question) => {
+    const schema = await assistantSchema();
+    return ASSISTANT_BACKENDS[assistantSettings.backend].ask(assistantSettings, {
+      question,
+      schema,
+      dialect: SQL_ENGINES[sqlEngine].label
     });
-    
-    if (selectedDataset) {
-      columns.forEach(col => {
-        if (col.toLowerCase().startsWith(word.toLowerCase())) {
-          sugg.push(col);
-        }
+  };
+
+  // The generated query replaces the editor, and runs once it is there
+  const runAssistantQuery = (sql) => {
+    openInEditor(sql);
+    setPendingAutoRun(true);
+  };
+
+  const explainFailedQuery = async () => {
+    const { script, message } = failedQuery;
+    setErrorHelp({ loading: true });
+    try {
+      const schema = await assistantSchema();
+      const help = await ASSISTANT_BACKENDS[assistantSettings.backend].explain(assistantSettings, {
+        sql: script,
+        message,
+        schema,
+        dialect: SQL_ENGINES[sqlEngine].label
       });
+      setErrorHelp(help);
+    } catch (err) {
+      setErrorHelp({ failure: err.message });
     }
-    
-    return sugg.slice(0, 10);
   };
 
-  const applySuggestion = (suggestion) => {
-    const cursor = textareaRef.current.selectionStart;
-    const beforeCursor = sqlQuery.slice(0, cursor);
-    const afterCursor = sqlQuery.slice(cursor);
-    const currentWord = getCurrentWord(beforeCursor, cursor);
-    const newBefore = beforeCursor.slice(0, -currentWord.length) + suggestion;
-    setSqlQuery(newBefore + ' ' + afterCursor);
-    setShowSuggestions(false);
-    setTimeout(() => textareaRef.current?.focus(), 0);
+  // The fix replaces the statements that failed, or the whole editor if they have been edited since
+  const applyQueryFix = () => {
+    const { script, start } = failedQuery;
+    if (sqlQuery.slice(start, start + script.length) === script) {
+      editorRef.current?.replaceRange(errorHelp.sql, start, start + script.length, { select: true });
+    } else {
+      openInEditor(errorHelp.sql);
+    }
+    setError(null);
+    setEditorError(null);
+    setFailedQuery(null);
+    setErrorHelp(null);
   };
 
-  const exportPNG = () => {
-    if (!chartRef.current) return;
-    Plotly.downloadImage(chartRef.current, {
-      format: 'png',
-      width: 1400,
-      height: 900,
-      filename: 'owid_chart'
-    });
+  // Exported files are named after the tables the query reads and the chart title or query
+  const resultFileName = () => exportFileName(
+    tablesInSql(queryResult.sql),
+    chartConfig ? chartTitle(chartConfig, queryResult.sql) : queryResult.sql
+  );
+
+  const updateImageExport = (changes) => {
+    const next = { ...imageExport, ...changes };
+    setImageExport(next);
+    writeStored(STORAGE_KEYS.imageExport, next);
   };
 
-  const exportSVG = () => {
-    if (!chartRef.current) return;
-    Plotly.downloadImage(chartRef.current, {
-      format: 'svg',
-      filename: 'owid_chart'
-    });
+  // The chart is laid out again at the preset's size, the DPI only scales PNG pixels
+  const exportImage = async ({ preset, format, dpi }) => {
+    if (!chartRef.current || !queryResult) return;
+    const { width, height } = IMAGE_PRESETS[preset];
+    try {
+      await Plotly.downloadImage(chartRef.current, {
+        format,
+        width,
+        height,
+        scale: format === 'png' ? dpi / 96 : 1,
+        filename: resultFileName()
+      });
+    } catch (err) {
+      setError('Image export failed: ' + err.message);
+    }
   };
 
-  const exportNotebook = () => {
+  // Notebooks replay the statements that ran before the current result, then its query
+  const exportNotebook = (kind) => {
     if (!queryResult) return;
     
-    const code = `"""
-Our World in Data Analysis
-Generated from SQL query
-Dataset: ${selectedDataset.name}
-"""
-
-import pandas as pd
-import plotly.express as px
-
-# Load data from Our World in Data
-df = pd.read_csv('${selectedDataset.url}')
-
-# Execute SQL query (requires duckdb)
-# pip install duckdb
-import duckdb
-
-con = duckdb.connect()
-result = con.execute("""
-${sqlQuery}
-""").df()
-
-# Display results
-print(f"Query returned {len(result)} rows")
-print(result.head())
-
-# Create visualization
-fig = px.line(
-    result, 
-    x='${queryResult.columns[0]}',
-    y='${queryResult.columns[1] || queryResult.columns[0]}',
-    title='${generateChartTitle(queryResult.columns[0], queryResult.columns[1] || queryResult.columns[0], 'line')}'
-)
-fig.show()
-`;
+    const spec = {
+      datasets: loadedTables.map(table => table.dataset),
+      setup: statementLog
+        .filter(entry => entry.index < queryResult.index)
+        .map(entry => ({ sql: entry.sql, parameters: entry.parameters })),
+      query: { sql: queryResult.sql, parameters: queryResult.parameters },
+      chart: chartConfig && {
+        config: chartConfig,
+        title: chartTitle(chartConfig, queryResult.sql),
+        series: seriesColumn(queryResult.data, chartConfig),
+        locationMode: (detectLocationColumn(queryResult.data, [chartConfig.x]) || { mode: 'country names' }).mode
+      }
+    };
     
-    const blob = new Blob([code], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'owid_analysis.py';
-    a.click();
-    URL.revokeObjectURL(url);
+    try {
+      if (kind === 'quarto') {
+        downloadBlob(new Blob([buildQuartoDocument(spec)], { type: 'text/markdown' }), `${resultFileName()}.qmd`);
+      } else {
+        const notebook = JSON.stringify(buildJupyterNotebook(spec), null, 1);
+        downloadBlob(new Blob([notebook], { type: 'application/x-ipynb+json' }), `${resultFileName()}.ipynb`);
+      }
+    } catch (err) {
+      setError('Could not export the notebook: ' + err.message);
+    }
   };
 
-  const downloadData = () => {
-    if (!queryResult) return;
+  // Exports hold every row: a result cut off at the row limit reads the rest from its
+  // cursor first, and one whose cursor is gone is refused instead of written half
+  const exportResult = async (format, options) => {
+    const set = queryResult;
+    if (!set) return;
+    if (set.truncated && !set.cursor) {
+      setError(`Only the first ${set.values.length.toLocaleString()} rows of this result were kept and the rest can no longer be fetched. Run its statement on its own to export every row.`);
+      return;
+    }
+    const filename = `${resultFileName()}.${EXPORT_FORMATS[format].extension}`;
     
-    const csv = [
-      queryResult.columns.join(','),
-      ...queryResult.data.map(row => 
-        queryResult.columns.map(col => {
-          const val = row[col];
-          return typeof val === 'string' ? `"${val}"` : val;
-        }).join(',')
-      )
-    ].join('\n');
+    const readAll = async () => {
+      if (!set.truncated) return set;
+      setLoading(true);
+      setLoadingMessage('Fetching the remaining rows for the export...');
+      try {
+        const { values } = await trackRequest(engine.request('fetch', { cursor: set.cursor }), 'exec');
+        const complete = {
+          ...set,
+          data: set.data.concat(toRowObjects(set.columns, values)),
+          values: set.values.concat(values),
+          truncated: false,
+          cursor: null
+        };
+        setResultSets(prev => prev.map(entry => entry !== set ? entry : complete));
+        return complete;
+      } finally {
+        setLoadingMessage('');
+        setLoading(false);
+      }
+    };
     
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'query_results.csv';
-    a.click();
-    URL.revokeObjectURL(url);
+    try {
+      const exported = await saveExport(readAll, format, options, filename);
+      setSuccess(`✓ Exported ${exported.values.length.toLocaleString()} rows as ${EXPORT_FORMATS[format].label}`);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      // Closing the save dialog or cancelling the fetch is not an error
+      if (err.name !== 'AbortError' && !err.cancelled) setError('Export failed: ' + err.message);
+    }
   };
 
   return (
@@ -512,12 +5126,29 @@ fig.show()
             </h1>
           </div>
           <p className="text-gray-600">
-            Query global datasets with real SQL powered by DuckDB • Intelligent visualizations • Export-ready results
+            Query global datasets with real SQL powered by {SQL_ENGINES[sqlEngine].label} • Intelligent visualizations • Export-ready results
           </p>
-          {!db && (
+          {engine && (
+            <div className="mt-4 flex gap-2">
+              {[['editor', '🧮 Query editor'], ['dashboard', `📋 Dashboard (${dashboard.tiles.length})`]].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setView(key)}
+                  className={`px-4 py-2 rounded-lg text-sm font-semibold ${
+                    view === key ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+              <EngineSelect value={sqlEngine} disabled={loading} onChange={switchEngine} />
+            </div>
+          )}
+          {!engine && (
             <div className="mt-4 flex items-center gap-2 text-yellow-700 bg-yellow-50 p-3 rounded-lg">
               <span>⏳</span>
-              <span>Initializing SQL engine...</span>
+              <span>Initializing {SQL_ENGINES[sqlEngine].label}...</span>
+              {error && <EngineSelect value={sqlEngine} disabled={false} onChange={switchEngine} />}
             </div>
           )}
         </div>
@@ -525,14 +5156,76 @@ fig.show()
         {loadingMessage && (
           <div className="bg-blue-50 border border-blue-200 text-blue-700 p-4 rounded-lg mb-6 flex items-center gap-3">
             <span>⏳</span>
-            <span>{loadingMessage}</span>
+            <span className="flex-1">{loadingMessage}</span>
+            {loading && engine && (
+              <button
+                onClick={cancelOperation}
+                className="px-3 py-1 text-sm bg-white border border-blue-300 rounded-lg hover:bg-blue-100"
+              >
+                Cancel
+              </button>
+            )}
           </div>
         )}
 
         {error && (
           <div className="bg-red-50 border border-red-300 text-red-700 p-4 rounded-lg mb-6 flex items-start gap-3">
             <span>⚠️</span>
-            <div className="flex-1">{error}</div>
+            <div className="flex-1">
+              {error}
+              {failedQuery && failedQuery.error === error && errorHelp && (
+                <div className="mt-3 pt-3 border-t border-red-200 text-gray-700">
+                  {errorHelp.loading && <span className="text-gray-500">Asking the assistant...</span>}
+                  {errorHelp.failure && <span className="text-red-700">{errorHelp.failure}</span>}
+                  {errorHelp.explanation && (
+                    <div className="markdown" dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(marked.parse(errorHelp.explanation)) }} />
+                  )}
+                  {errorHelp.sql && (
+                    <>
+                      <pre className="mt-2 p-2 bg-white border border-gray-200 rounded font-mono text-xs whitespace-pre-wrap">{errorHelp.sql}</pre>
+                      <button
+                        onClick={applyQueryFix}
+                        className="mt-2 px-3 py-1 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100"
+                      >
+                        Use this query
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+            {failedQuery && failedQuery.error === error && !errorHelp && (
+              <button
+                onClick={explainFailedQuery}
+                title={`Explain the error with the assistant (${ASSISTANT_BACKENDS[assistantSettings.backend].label})`}
+                className="px-3 py-1 text-sm bg-white border border-red-300 rounded-lg hover:bg-red-100 whitespace-nowrap"
+              >
+                ✨ Explain error
+              </button>
+            )}
+          </div>
+        )}
+
+        {pendingDatasets && (
+          <div className="bg-amber-50 border border-amber-300 text-amber-800 p-4 rounded-lg mb-6 flex flex-wrap items-center gap-3">
+            <span>⚠️</span>
+            <div className="flex-1">
+              {pendingDatasets.retry.source === 'link' ? 'This link' : 'This dashboard'} loads data from
+              {pendingDatasets.datasets.length === 1 ? ' a URL' : ' URLs'} you have not added yet. It is downloaded,
+              kept in this browser's cache and added to your datasets:
+              <ul className="mt-1 list-disc list-inside font-mono text-xs break-all">
+                {pendingDatasets.datasets.map(dataset => <li key={dataset.tableName}>{dataset.tableName}: {dataset.url}</li>)}
+              </ul>
+            </div>
+            <button
+              onClick={confirmPendingDatasets}
+              className="px-3 py-1 rounded-lg bg-amber-600 text-white font-semibold hover:bg-amber-700"
+            >
+              Load
+            </button>
+            <button onClick={() => setPendingDatasets(null)} className="px-3 py-1 rounded-lg bg-white border border-amber-300 hover:bg-amber-100">
+              Cancel
+            </button>
           </div>
         )}
 
@@ -544,80 +5237,469 @@ fig.show()
         )}
 
         <div className="bg-white rounded-xl shadow-lg p-6 mb-6 border border-gray-100">
-          <h2 className="text-xl font-bold mb-4 text-gray-800">Select Dataset</h2>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {DATASETS.map(dataset => (
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold text-gray-800">Select Dataset</h2>
+            <div className="flex items-center gap-4">
+              {Object.keys(cacheStatus).length > 0 && (
+                <button
+                  onClick={purgeAllCachedDatasets}
+                  disabled={loading}
+                  className="text-sm text-gray-500 hover:text-red-600 disabled:opacity-50"
+                >
+                  🗑 Clear cache
+                </button>
+              )}
               <button
+                onClick={() => setShowAddDataset(true)}
+                disabled={!engine || loading}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-semibold shadow-md disabled:bg-gray-400"
+              >
+                ＋ Add dataset
+              </button>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {allDatasets.map(dataset => (
+              <div
                 key={dataset.id}
-                onClick={() => loadDataset(dataset)}
-                disabled={!db || loading}
-                className={`p-5 rounded-xl border-2 transition-all text-left ${
-                  selectedDataset?.id === dataset.id
+                className={`rounded-xl border-2 transition-all flex flex-col ${
+                  isLoaded(dataset)
                     ? 'border-blue-500 bg-blue-50 shadow-md'
                     : 'border-gray-200 hover:border-blue-300 hover:shadow-md'
-                } disabled:opacity-50 disabled:cursor-not-allowed`}
+                }`}
               >
-                <div className="font-bold text-gray-800 mb-2">{dataset.name}</div>
-                <div className="text-sm text-gray-600">{dataset.description}</div>
-              </button>
+                <button
+                  onClick={() => isLoaded(dataset) ? unloadDataset(dataset) : loadDataset(dataset)}
+                  disabled={!engine || loading}
+                  title={isLoaded(dataset) ? `Click to remove ${dataset.tableName} from the workspace` : `Click to load as ${dataset.tableName}`}
+                  className="p-5 pb-3 text-left flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <div className="font-bold text-gray-800 mb-2 flex justify-between gap-2">
+                    <span>{dataset.name}</span>
+                    {isLoaded(dataset) && <span className="text-blue-600 text-sm">✓ loaded</span>}
+                  </div>
+                  <div className="text-sm text-gray-600 break-words">{dataset.description}</div>
+                </button>
+                {(cacheStatus[dataset.url] || dataset.custom) && (
+                  <div className="px-5 pb-3 flex items-center gap-3 text-xs">
+                    {dataset.source === 'file' ? (
+                      <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-700">local file</span>
+                    ) : cacheStatus[dataset.url] === 'stale' ? (
+                      <span className="px-2 py-0.5 rounded bg-yellow-100 text-yellow-800" title="The source has changed since it was cached">stale</span>
+                    ) : cacheStatus[dataset.url] ? (
+                      <span className="px-2 py-0.5 rounded bg-green-100 text-green-800" title="Opens from the local copy, works offline">cached</span>
+                    ) : null}
+                    {cacheStatus[dataset.url] && dataset.source !== 'file' && (
+                      <>
+                        <button
+                          onClick={() => loadDataset(dataset, { refresh: true })}
+                          disabled={!engine || loading}
+                          className="text-blue-600 hover:underline disabled:opacity-50"
+                        >
+                          refresh
+                        </button>
+                        <button
+                          onClick={() => purgeCachedDataset(dataset)}
+                          disabled={loading}
+                          className="text-gray-500 hover:text-red-600 disabled:opacity-50"
+                        >
+                          remove
+                        </button>
+                      </>
+                    )}
+                    {dataset.custom && (
+                      <button
+                        onClick={() => removeCustomDataset(dataset)}
+                        disabled={loading}
+                        className="ml-auto text-gray-500 hover:text-red-600 disabled:opacity-50"
+                        title="Delete this custom dataset"
+                      >
+                        delete
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
             ))}
           </div>
         </div>
 
-        {selectedDataset && (
+        {showAddDataset && (
+          <AddDatasetDialog
+            takenNames={allDatasets.map(d => d.tableName)}
+            onAdd={addCustomDataset}
+            onClose={() => setShowAddDataset(false)}
+          />
+        )}
+
+        {profiledTable && profiles[profiledTable] && loadedTables.some(table => table.dataset.tableName === profiledTable) && (
+          <TableProfile
+            key={profiledTable}
+            table={loadedTables.find(table => table.dataset.tableName === profiledTable)}
+            profile={profiles[profiledTable]}
+            onRefresh={() => openProfile(profiledTable, { refresh: true })}
+            onClose={() => setProfiledTable(null)}
+          />
+        )}
+
+        {view === 'dashboard' && engine && (
+          <Dashboard
+            dashboard={dashboard}
+            engine={engine}
+            tables={loadedTables}
+            runQuery={runTrackedQuery}
+            onCancel={cancelOperation}
+            onChange={updateDashboard}
+            onOpenQuery={openTileQuery}
+            onExport={exportDashboard}
+            onImport={importDashboard}
+          />
+        )}
+
+        {view === 'editor' && loadedTables.length > 0 && (
           <>
             <div className="bg-white rounded-xl shadow-lg p-6 mb-6 border border-gray-100">
               <div className="flex justify-between items-center mb-4">
                 <h2 className="text-xl font-bold text-gray-800">SQL Query Editor</h2>
                 <div className="text-sm text-gray-500">
-                  {columns.length} columns available
+                  {loadedTables.length} {loadedTables.length === 1 ? 'table' : 'tables'} loaded
                 </div>
               </div>
-              
-              <div className="relative mb-4">
-                <textarea
-                  ref={textareaRef}
-                  value={sqlQuery}
-                  onChange={handleInputChange}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-                      e.preventDefault();
-                      executeQuery();
-                    }
-                  }}
-                  className="w-full h-40 p-4 font-mono text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none bg-gray-50 resize-none"
-                  placeholder="Enter your SQL query... (Ctrl+Enter to execute)"
-                />
-                {showSuggestions && (
-                  <div className="absolute z-10 mt-1 bg-white border-2 border-blue-300 rounded-lg shadow-xl max-h-60 overflow-y-auto">
-                    {suggestions.map((sug, idx) => (
-                      <div
-                        key={idx}
-                        onClick={() => applySuggestion(sug)}
-                        className="px-4 py-2 hover:bg-blue-50 cursor-pointer font-mono text-sm border-b last:border-b-0"
+
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="md:col-span-1 border border-gray-200 rounded-lg bg-gray-50 p-3 max-h-96 overflow-y-auto text-sm">
+                  <div className="font-semibold text-gray-700 mb-2">Schema</div>
+                  {loadedTables.map(table => (
+                    <details key={table.dataset.tableName} open={loadedTables.length === 1} className="mb-2">
+                      <summary className="cursor-pointer font-mono text-gray-800">
+                        {table.dataset.tableName}
+                        <span className="text-xs text-gray-400 ml-2">{parseInt(table.rowCount).toLocaleString()} rows</span>
+                        <button
+                          onClick={(e) => { e.preventDefault(); openProfile(table.dataset.tableName); }}
+                          disabled={loading}
+                          title="Column statistics and data dictionary"
+                          className="ml-2 text-xs text-indigo-600 hover:text-indigo-800 disabled:text-gray-400 font-sans"
+                        >
+                          📊 Profile
+                        </button>
+                      </summary>
+                      <ul className="mt-1 ml-4">
+                        {table.columns.map(col => (
+                          <li
+                            key={col.name}
+                            title={col.description}
+                            className={`font-mono text-xs text-gray-700 flex justify-between gap-2 py-0.5 ${col.description ? 'cursor-help' : ''}`}
+                          >
+                            <span className="truncate">{col.name}</span>
+                            <span className="text-gray-400">{col.type}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  ))}
+                </div>
+
+                <div className="md:col-span-3">
+                  <AskPanel
+                    settings={assistantSettings}
+                    onSettingsChange={updateAssistantSettings}
+                    onAsk={askAssistant}
+                    onUse={openInEditor}
+                    onRun={runAssistantQuery}
+                    disabled={loading || !engine}
+                  />
+                  <div className="mb-4">
+                    <SqlEditor
+                      value={sqlQuery}
+                      apiRef={editorRef}
+                      onChange={handleInputChange}
+                      onSelectionChange={setSelection}
+                      onKeyDown={handleEditorKeyDown}
+                      onBlur={() => setShowSuggestions(false)}
+                      errorRange={editorError}
+                      placeholder="Enter your SQL query... (Ctrl+Enter to execute, Ctrl+Space for suggestions)"
+                      popup={showSuggestions && (
+                        <div className="bg-white border-2 border-blue-300 rounded-lg shadow-xl max-h-60 overflow-y-auto min-w-64">
+                          {suggestions.map((sug, idx) => (
+                            <div
+                              key={idx}
+                              ref={idx === activeSuggestion ? (el) => el?.scrollIntoView({ block: 'nearest' }) : null}
+                              onMouseDown={(e) => e.preventDefault()}
+                              onClick={() => applySuggestion(sug)}
+                              className={`px-4 py-2 cursor-pointer font-mono text-sm border-b last:border-b-0 ${
+                                idx === activeSuggestion ? 'bg-blue-100' : 'hover:bg-blue-50'
+                              }`}
+                            >
+                              <div className="flex justify-between gap-4">
+                                <span>{sug.label}</span>
+                                <span className="text-xs text-gray-400">{sug.detail}</span>
+                              </div>
+                              {sug.description && (
+                                <div className="text-xs text-gray-500 font-sans truncate max-w-md">{sug.description}</div>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    />
+                  </div>
+
+                  {parameterInputs.length > 0 && (
+                    <QueryParameters
+                      controls={parameterInputs}
+                      values={parameterValues}
+                      engine={engine}
+                      tables={loadedTables}
+                      onChange={(changes) => setParameterValues(prev => ({ ...prev, ...changes }))}
+                    />
+                  )}
+
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => executeQuery()}
+                      disabled={loading || !engine}
+                      className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-2 font-semibold shadow-md transition-all"
+                    >
+                      ▶ {loading ? 'Executing...' : hasSelection ? 'Run Selection' : 'Run Query'}
+                    </button>
+                    
+                    <button
+                      onClick={explainQuery}
+                      disabled={loading || !engine}
+                      title={`Show how ${SQL_ENGINES[sqlEngine].label} will run the query, without running it`}
+                      className="px-4 py-3 rounded-lg text-sm font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      🔍 Explain
+                    </button>
+                    
+                    <div className="text-sm text-gray-500 flex items-center px-3">
+                      Press <kbd className="px-2 py-1 bg-gray-200 rounded mx-1">Ctrl+Enter</kbd> to execute, separate statements with <code className="mx-1">;</code>
+                    </div>
+
+                    <button
+                      onClick={() => setShowSafeguards(!showSafeguards)}
+                      title="Time limit, row limit and confirmation before changing a loaded dataset"
+                      className={`ml-auto px-4 py-2 rounded-lg text-sm font-semibold ${
+                        showSafeguards ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      🛡 Safeguards
+                    </button>
+
+                    <button
+                      onClick={formatSql}
+                      title="Format the selection, or the whole query (Shift+Alt+F). Ctrl+/ toggles comments, Ctrl+D adds the next match to the selection."
+                      className="px-4 py-2 rounded-lg text-sm font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200"
+                    >
+                      ✨ Format
+                    </button>
+
+                    <button
+                      onClick={() => shareLink ? setShareLink(null) : createShareLink()}
+                      className={`px-4 py-2 rounded-lg text-sm font-semibold ${
+                        shareLink ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      🔗 Share
+                    </button>
+
+                    <button
+                      onClick={() => setShowLibrary(!showLibrary)}
+                      className={`px-4 py-2 rounded-lg text-sm font-semibold ${
+                        showLibrary ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      📚 History & Library
+                    </button>
+                  </div>
+
+                  {pendingWrites && (
+                    <div className="mt-4 border border-amber-300 bg-amber-50 text-amber-800 rounded-lg p-3 text-sm flex flex-wrap items-center gap-3">
+                      <span className="flex-1">
+                        ⚠️ This will {pendingWrites.map(w => `${w.keyword} ${w.table}`).join(', ')}. A changed dataset stays
+                        changed until you reload it from its card.
+                      </span>
+                      <button
+                        onClick={() => executeQuery({ confirmed: true })}
+                        className="px-3 py-1 rounded-lg bg-amber-600 text-white font-semibold hover:bg-amber-700"
                       >
-                        {sug}
+                        Run anyway
+                      </button>
+                      <button onClick={() => setPendingWrites(null)} className="px-3 py-1 rounded-lg bg-white border border-amber-300 hover:bg-amber-100">
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+
+                  {explainResult && (
+                    <div className="mt-4 border border-gray-200 rounded-lg bg-gray-50 p-3 text-sm">
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="font-semibold text-gray-700">Query plan</span>
+                        <button onClick={() => setExplainResult(null)} className="text-gray-500 hover:text-gray-800">✕</button>
                       </div>
-                    ))}
-                  </div>
-                )}
-              </div>
+                      {explainResult.map(stmt => (
+                        <div key={stmt.index} className="mb-3 last:mb-0">
+                          <div className="text-xs text-gray-500 font-mono truncate mb-1" title={stmt.sql}>
+                            line {stmt.line}: {stmt.sql}
+                          </div>
+                          {stmt.error ? (
+                            <div className="text-xs text-red-700">
+                              Can't plan this statement: {stmt.error}. If an earlier statement creates what it needs, run those first.
+                            </div>
+                          ) : stmt.plan && stmt.plan.length > 0 ? (
+                            <>
+                              <PlanTree plan={stmt.plan} />
+                              {SQL_ENGINES[sqlEngine].indexes && <IndexSuggestions
+                                tableNames={fullTableScans(stmt.plan, stmt.sql, loadedTables).map(table => table.dataset.tableName)}
+                                tables={loadedTables}
+                                indexes={tableIndexes}
+                                disabled={loading}
+                                onCreate={createIndex}
+                              />}
+                            </>
+                          ) : (
+                            <div className="text-xs text-gray-500">No query plan, {SQL_ENGINES[sqlEngine].label} runs this statement directly.</div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
 
-              <div className="flex gap-3">
-                <button
-                  onClick={executeQuery}
-                  disabled={loading || !db}
-                  className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-2 font-semibold shadow-md transition-all"
-                >
-                  ▶ {loading ? 'Executing...' : 'Run Query'}
-                </button>
-                
-                <div className="text-sm text-gray-500 flex items-center px-3">
-                  Press <kbd className="px-2 py-1 bg-gray-200 rounded mx-1">Ctrl+Enter</kbd> to execute
+                  {showSafeguards && <SafeguardsPanel settings={safeguards} onChange={updateSafeguards} />}
+
+                  {shareLink && (
+                    <div className="mt-4 border border-gray-200 rounded-lg bg-gray-50 p-3 text-sm">
+                      <div className="flex gap-2">
+                        <input
+                          readOnly
+                          value={shareLink}
+                          onFocus={(e) => e.target.select()}
+                          className="flex-1 px-3 py-1 border-2 border-gray-300 rounded-lg font-mono text-xs bg-white"
+                        />
+                        <button
+                          onClick={copyShareLink}
+                          className="px-3 py-1 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700"
+                        >
+                          Copy
+                        </button>
+                      </div>
+                      <label className="flex items-center gap-2 mt-2 text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={shareAutoRun}
+                          onChange={(e) => {
+                            setShareAutoRun(e.target.checked);
+                            createShareLink(e.target.checked);
+                          }}
+                        />
+                        Run the query automatically when the link is opened (read-only queries only)
+                      </label>
+                      {loadedTables.some(table => table.dataset.source === 'file') && (
+                        <div className="mt-2 text-yellow-700">
+                          Tables from uploaded files are not included, the link can only reload datasets that have a URL.
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {showLibrary && (
+                    <QueryLibrary
+                      history={history}
+                      savedQueries={savedQueries}
+                      snippets={snippets}
+                      onOpen={openInEditor}
+                      onInsert={insertSnippet}
+                      onSave={saveToLibrary}
+                      onDelete={deleteFromLibrary}
+                      onClearHistory={clearHistory}
+                    />
+                  )}
                 </div>
               </div>
             </div>
 
+            {runStats && (
+              <div className="bg-white rounded-xl shadow-lg p-4 mb-6 border border-gray-100 text-sm">
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="font-semibold text-gray-800">⏱ Last run took {formatDuration(runStats.wallMs)}</h3>
+                  <button onClick={() => setRunStats(null)} className="text-gray-500 hover:text-gray-800">✕</button>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1 pr-3 font-semibold">Statement</th>
+                        <th className="py-1 pr-3 font-semibold text-right">Time</th>
+                        <th className="py-1 pr-3 font-semibold text-right">Rows returned</th>
+                        <th className="py-1 pr-3 font-semibold text-right">Result size</th>
+                        <th className="py-1 font-semibold" title="Lower bound: the rows of every table read in full">Rows scanned (at least)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {runStats.statements.map(stat => (
+                        <tr key={stat.index} className="border-t border-gray-100">
+                          <td className="py-1 pr-3 font-mono text-gray-600 max-w-xs truncate" title={stat.sql}>line {stat.line}: {stat.sql}</td>
+                          <td className="py-1 pr-3 text-right">{formatDuration(stat.timeMs)}</td>
+                          <td className="py-1 pr-3 text-right">
+                            {stat.isQuery ? `${stat.rows.toLocaleString()}${stat.truncated ? '+' : ''}` : `${stat.changes.toLocaleString()} changed`}
+                          </td>
+                          <td className="py-1 pr-3 text-right">{stat.isQuery ? `~${formatBytes(stat.bytes)}` : '–'}</td>
+                          <td className={`py-1 ${stat.scans && stat.scans.length > 0 ? 'text-red-700' : 'text-gray-500'}`}>
+                            {!stat.scans
+                              ? '– (see 🔍 Explain)'
+                              : stat.scans.length > 0
+                                ? `${stat.scannedRows.toLocaleString()} (full scan of ${stat.scans.join(', ')})`
+                                : 'no full table scans'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <IndexSuggestions
+                  tableNames={[...new Set(runStats.statements.flatMap(stat => stat.scans || []))]}
+                  tables={loadedTables}
+                  indexes={tableIndexes}
+                  disabled={loading}
+                  onCreate={createIndex}
+                />
+              </div>
+            )}
+
+            {(resultSets.length > 1 || statementLog.length > 0) && (
+              <div className="bg-white rounded-xl shadow-lg p-4 mb-6 border border-gray-100">
+                {resultSets.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {resultSets.map((set, idx) => (
+                      <button
+                        key={set.index}
+                        onClick={() => setActiveResultIndex(idx)}
+                        title={set.sql}
+                        className={`px-4 py-2 rounded-lg text-sm text-left ${
+                          idx === activeResultIndex ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        <div className="font-semibold">Result {idx + 1}</div>
+                        <div className="text-xs opacity-80">
+                          {set.data.length.toLocaleString()} rows · {formatDuration(set.timeMs)} · line {set.line}
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {statementLog.length > 0 && (
+                  <ul className={`text-xs font-mono text-gray-600 ${resultSets.length > 0 ? 'mt-3' : ''}`}>
+                    {statementLog.map(entry => (
+                      <li key={entry.index} className="truncate">
+                        ✓ line {entry.line}: {entry.sql}
+                        <span className="text-gray-400"> · {entry.changes} rows changed · {formatDuration(entry.timeMs)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
             {queryResult && (
               <>
                 <div className="bg-white rounded-xl shadow-lg p-6 mb-6 border border-gray-100">
@@ -625,69 +5707,106 @@ fig.show()
                     <h2 className="text-xl font-bold text-gray-800">Visualization</h2>
                     <div className="flex gap-2">
                       <button
-                        onClick={exportPNG}
-                        className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-semibold shadow-md"
+                        onClick={addToDashboard}
+                        disabled={findWriteKeywords(queryResult.sql).length > 0}
+                        title="Pin this query and chart as a dashboard tile"
+                        className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 text-sm font-semibold shadow-md disabled:opacity-50"
+                      >
+                        📌 Add to dashboard
+                      </button>
+                      <button
+                        onClick={() => setShowChartBuilder(!showChartBuilder)}
+                        disabled={!chartConfig}
+                        className={`px-4 py-2 rounded-lg text-sm font-semibold shadow-md disabled:opacity-50 ${
+                          showChartBuilder ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
                       >
-                        📊 PNG
+                        ⚙ Chart settings
                       </button>
                       <button
-                        onClick={exportSVG}
-                        className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 text-sm font-semibold shadow-md"
+                        onClick={() => setShowImageExport(!showImageExport)}
+                        disabled={!chartConfig}
+                        title="PNG or SVG at a preset size: screen, slide, A4 figure or social card"
+                        className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-semibold shadow-md disabled:opacity-50"
                       >
-                        📄 SVG
+                        🖼 Image
                       </button>
                       <button
-                        onClick={exportNotebook}
+                        onClick={() => exportNotebook('jupyter')}
+                        title="Jupyter notebook (Python) that reloads the datasets, runs this query and redraws the chart"
                         className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 text-sm font-semibold shadow-md"
                       >
-                        💻 Python
+                        💻 Jupyter
                       </button>
                       <button
-                        onClick={downloadData}
+                        onClick={() => exportNotebook('quarto')}
+                        title="Quarto document (R) that reloads the datasets, runs this query and redraws the chart"
+                        className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 text-sm font-semibold shadow-md"
+                      >
+                        📘 Quarto (R)
+                      </button>
+                      <button
+                        onClick={() => setShowExport(!showExport)}
                         className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 text-sm font-semibold shadow-md"
                       >
-                        💾 CSV
+                        💾 Export data
                       </button>
                     </div>
                   </div>
-                  <div ref={chartRef} className="w-full" style={{ height: '500px' }} />
+                  {showImageExport && chartConfig && (
+                    <ImageExportPanel settings={imageExport} onChange={updateImageExport} onExport={exportImage} />
+                  )}
+                  {showExport && (
+                    <ExportPanel
+                      rowCount={queryResult.values.length}
+                      remaining={queryResult.truncated ? (queryResult.cursor ? 'fetch' : 'lost') : null}
+                      onExport={exportResult}
+                    />
+                  )}
+                  {showChartBuilder && chartConfig && (
+                    <ChartBuilder
+                      columns={queryResult.columns}
+                      kinds={chartKinds}
+                      data={queryResult.data}
+                      config={chartConfig}
+                      autoTitle={chartTitle({ ...chartConfig, title: null }, queryResult.sql)}
+                      overridden={!!chartOverride}
+                      onChange={updateChartConfig}
+                      onReset={resetChartConfig}
+                    />
+                  )}
+                  <div ref={chartRef} className="w-full" style={{ height: chartConfig && chartConfig.facet ? '700px' : '500px' }} />
                 </div>
 
                 <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
                   <h2 className="text-xl font-bold mb-4 text-gray-800">
-                    Query Results ({queryResult.data.length.toLocaleString()} rows)
+                    Query Results ({queryResult.truncated ? 'first ' : ''}{queryResult.data.length.toLocaleString()} rows · {formatDuration(queryResult.timeMs)})
                   </h2>
-                  <div className="overflow-x-auto rounded-lg border border-gray-200">
-                    <table className="w-full text-sm">
-                      <thead className="bg-gray-100 sticky top-0">
-                        <tr>
-                          {queryResult.columns.map(col => (
-                            <th key={col} className="px-4 py-3 text-left font-bold text-gray-700 border-b-2 border-gray-300">
-                              {col}
-                            </th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {queryResult.data.slice(0, 500).map((row, idx) => (
-                          <tr key={idx} className="border-b hover:bg-blue-50 transition-colors">
-                            {queryResult.columns.map(col => (
-                              <td key={col} className="px-4 py-2 text-gray-700">
-                                {typeof row[col] === 'number' 
-                                  ? row[col].toLocaleString(undefined, { maximumFractionDigits: 2 })
-                                  : String(row[col] ?? '')}
-                              </td>
-                            ))}
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                    {queryResult.data.length > 500 && (
-                      <div className="p-4 text-center text-gray-500 bg-gray-50 border-t">
-                        Showing first 500 rows. Download CSV for complete results.
-                      </div>
-                    )}
-                  </div>
+                  {queryResult.truncated && (
+                    <div className="mb-3 flex flex-wrap items-center gap-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-2">
+                      {queryResult.cursor ? (
+                        <>
+                          <span className="flex-1">The row limit was reached, there are more rows.</span>
+                          <button
+                            onClick={fetchMoreRows}
+                            disabled={loading}
+                            className="px-3 py-1 rounded-lg bg-amber-600 text-white font-semibold hover:bg-amber-700 disabled:bg-gray-400"
+                          >
+                            {safeguards.maxRows > 0 ? `Fetch the next ${safeguards.maxRows.toLocaleString()} rows` : 'Fetch the remaining rows'}
+                          </button>
+                        </>
+                      ) : (
+                        <span>The row limit was reached. Only the last statement of a script can fetch more, run this one on its own to see the rest.</span>
+                      )}
+                    </div>
+                  )}
+                  <ResultsGrid
+                    key={`${activeResultIndex}:${queryResult.columns.join('\u0000')}`}
+                    result={queryResult}
+                    runQuery={runTrackedQuery}
+                    maxRows={safeguards.maxRows}
+                    tablesVersion={tablesVersion}
+                  />
                 </div>
               </>
             )}
@@ -695,7 +5814,7 @@ fig.show()
         )}
 
         <div className="mt-8 text-center text-gray-500 text-sm">
-          <p>Powered by DuckDB-WASM • Data from Our World in Data • Visualizations by Plotly</p>
+          <p>Powered by {SQL_ENGINES[sqlEngine].library} • Data from Our World in Data • Visualizations by Plotly</p>
           <p className="mt-1">Full SQL support: JOIN, GROUP BY, subqueries, window functions, and more!</p>
         </div>
       </div>
@@ -703,4 +5822,9 @@ fig.show()
   );
 }
 
+// Caches the page and its libraries so it can start offline, see sw.js
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('Offline start unavailable:', err));
+}
+
 ReactDOM.render(<OWIDAnalytics />, document.getElementById('root'));
@@ -0,0 +1,420 @@
+// The Ask assistant (loaded with a plain <script> tag in index.html): turns a question
+// into SQL over the loaded tables and explains queries that failed. A backend has
+//   ask({ question, schema, dialect })         -> { sql, explanation }
+//   explain({ sql, message, schema, dialect }) -> { explanation, sql: a fixed query or null }
+// `openai` talks to any OpenAI-compatible /chat/completions server, a local one such
+// as Ollama, llama.cpp or vLLM, or a hosted API with a key. `mock` needs no server: it
+// answers a few common question shapes from the schema alone, the same way every time.
+//
+// A schema is the loaded tables as the page knows them, with the profile of each
+// table that has one (see profileTable in worker.js):
+//   [{ tableName, rowCount, columns: [{ name, type, description }], profile }]
+
+const ASSISTANT_TIMEOUT_MS = 120000;
+const ASSISTANT_DESCRIPTION_LENGTH = 100;
+const ASSISTANT_MAX_CONTEXT_CHARS = 30000;
+const ASSISTANT_TOP_N = 10;
+const ASSISTANT_ROLLING_YEARS = 3;
+
+const DEFAULT_ASSISTANT_SETTINGS = {
+  backend: 'mock',
+  baseUrl: 'http://localhost:11434/v1',
+  model: 'llama3.1',
+  apiKey: ''
+};
+
+const ASSISTANT_BACKENDS = {
+  mock: { label: 'Built-in rules (offline)', ask: mockAsk, explain: mockExplain },
+  openai: { label: 'OpenAI-compatible server', ask: openAiAsk, explain: openAiExplain }
+};
+
+function assistantNumber(value) {
+  return typeof value === 'number' ? String(Number(value.toPrecision(4))) : String(value);
+}
+
+function assistantStats(stats, rowCount) {
+  const parts = [];
+  if (stats.min !== null && typeof stats.min === 'number') {
+    parts.push(`${assistantNumber(stats.min)} to ${assistantNumber(stats.max)}`);
+  } else if (stats.topValues && stats.topValues.length > 0) {
+    parts.push(`${stats.distinct} distinct, e.g. ${stats.topValues.map(({ value }) => `'${value}'`).join(', ')}`);
+  }
+  if (rowCount > 0 && stats.nullCount > 0) parts.push(`${Math.round(stats.nullCount / rowCount * 100)}% missing`);
+  return parts.join(', ');
+}
+
+// One line per column: name, type, value range or common values from the profile,
+// and the codebook description. Descriptions go first when it gets too long.
+function schemaContext(schema, withDescriptions = true) {
+  const text = schema.map(table => {
+    const profiled = table.profile ? new Map(table.profile.columns.map(col => [col.name, col])) : new Map();
+    const lines = table.columns.map(col => {
+      const parts = [`${col.name} ${col.type}`];
+      const stats = profiled.get(col.name);
+      if (stats) parts.push(assistantStats(stats, table.profile.rowCount));
+      if (withDescriptions && col.description) parts.push(col.description.slice(0, ASSISTANT_DESCRIPTION_LENGTH));
+      return `- ${parts.filter(Boolean).join(' | ')}`;
+    });
+    const coverage = table.profile && table.profile.coverage;
+    const entities = coverage && coverage.length > 0
+      ? `, ${coverage.length} countries and regions, years ${Math.min(...coverage.map(c => c.from))} to ${Math.max(...coverage.map(c => c.to))}`
+      : '';
+    return `Table ${table.tableName} (${Number(table.rowCount).toLocaleString('en')} rows${entities}):\n${lines.join('\n')}`;
+  }).join('\n\n');
+  return withDescriptions && text.length > ASSISTANT_MAX_CONTEXT_CHARS ? schemaContext(schema, false) : text;
+}
+
+function assistantSystemPrompt(task, schema, dialect) {
+  return [
+    `You help people query Our World in Data datasets in a browser SQL tool that runs ${dialect}.`,
+    task,
+    'Use only the tables and columns listed below.',
+    'Rows for regions and income groups (World, Africa, High-income countries) sit next to the countries. Their iso_code starts with OWID_ or is empty, and is_country(iso_code) = 1 keeps countries only.',
+    `Functions available besides the built-in ones:\n${OWID_FUNCTIONS.map(fn => `- ${fn.signature}: ${fn.description}`).join('\n')}`,
+    schemaContext(schema)
+  ].join('\n\n');
+}
+
+async function chatCompletion(settings, messages) {
+  const url = `${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ASSISTANT_TIMEOUT_MS);
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {})
+        },
+        body: JSON.stringify({ model: settings.model, messages, temperature: 0 }),
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`${url} did not answer within ${ASSISTANT_TIMEOUT_MS / 1000} s`);
+      throw new Error(`Could not reach ${url}. Check that the server is running and allows requests from this page (CORS).`);
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${url} answered ${response.status} ${response.statusText}${detail ? `: ${detail.slice(0, 300)}` : ''}`);
+    }
+    const body = await response.json();
+    const content = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+    if (typeof content !== 'string') throw new Error('The server reply has no message content');
+    return content;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The first code block is the query, the text around it the explanation
+function splitAssistantReply(text) {
+  const block = text.match(/```[a-z]*[ \t]*\n([\s\S]*?)```/i);
+  if (!block) {
+    return /^\s*(SELECT|WITH)\b/i.test(text) ? { sql: text.trim(), explanation: '' } : { sql: null, explanation: text.trim() };
+  }
+  const explanation = (text.slice(0, block.index) + text.slice(block.index + block[0].length)).trim();
+  return { sql: block[1].trim().replace(/;\s*$/, ''), explanation };
+}
+
+async function openAiAsk(settings, { question, schema, dialect }) {
+  const reply = await chatCompletion(settings, [
+    {
+      role: 'system',
+      content: assistantSystemPrompt(
+        'Write one SQL query that answers the question. Reply with the query in a ```sql code block, then one or two sentences on what it returns. For changes over time use window functions such as LAG(x) OVER (PARTITION BY country ORDER BY year).',
+        schema,
+        dialect
+      )
+    },
+    { role: 'user', content: question }
+  ]);
+  const { sql, explanation } = splitAssistantReply(reply);
+  if (!sql) throw new Error(`The model did not write a query: ${explanation.slice(0, 300)}`);
+  return { sql, explanation };
+}
+
+async function openAiExplain(settings, { sql, message, schema, dialect }) {
+  const reply = await chatCompletion(settings, [
+    {
+      role: 'system',
+      content: assistantSystemPrompt(
+        'A query failed. Explain in two or three plain sentences, for someone learning SQL, what the error means and what to change. If the query can be fixed, give the whole corrected query in a ```sql code block.',
+        schema,
+        dialect
+      )
+    },
+    { role: 'user', content: `Query:\n\`\`\`sql\n${sql}\n\`\`\`\n\nError: ${message}` }
+  ]);
+  return splitAssistantReply(reply);
+}
+
+// --- Mock backend ---
+
+const MOCK_ENTITY_COLUMN = /^(country|entity|location)$/i;
+const MOCK_YEAR_COLUMN = /^year$/i;
+const MOCK_ISO_COLUMN = /^iso_code$/i;
+
+// Result column names built from a column name stay plain identifiers
+function mockAlias(...parts) {
+  return parts.join('_').toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+}
+
+function mockString(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
+function mockWords(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).map(word =>
+    word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word
+  );
+}
+
+// The numeric column whose name shares the most words with the question, e.g.
+// coal_consumption for "coal consumption"; words the question lacks count against it
+function mockMeasure(question, schema) {
+  const asked = new Set(mockWords(question));
+  let best = null;
+  schema.forEach(table => table.columns.forEach(col => {
+    if ((col.type !== 'INTEGER' && col.type !== 'REAL') || MOCK_YEAR_COLUMN.test(col.name)) return;
+    const parts = mockWords(col.name.replace(/_/g, ' '));
+    const matched = parts.filter(part => asked.has(part)).length;
+    if (matched === 0) return;
+    const score = matched - (parts.length - matched) / 2;
+    if (!best || score > best.score) best = { table, column: col.name, score };
+  }));
+  return best;
+}
+
+// Country names from the table's profile that appear in the question, without
+// ones that are part of a longer match ("Guinea" in "Papua New Guinea")
+function mockCountries(question, table) {
+  if (!table.profile || !table.profile.coverage) return [];
+  const text = ` ${question.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+  const found = table.profile.coverage
+    .map(({ country }) => String(country))
+    .filter(name => text.includes(` ${name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `));
+  return found.filter(name => !found.some(other => other !== name && other.toLowerCase().includes(name.toLowerCase())));
+}
+
+function mockYears(question) {
+  let m = question.match(/\bbetween\s+(\d{4})\s+and\s+(\d{4})\b/i) || question.match(/\bfrom\s+(\d{4})\s*(?:to|until|-)\s*(\d{4})\b/i);
+  if (m) return { from: Number(m[1]), to: Number(m[2]), text: `from ${m[1]} to ${m[2]}` };
+  if ((m = question.match(/\b(since|after|from)\s+(\d{4})\b/i))) {
+    const from = Number(m[2]) + (m[1].toLowerCase() === 'after' ? 1 : 0);
+    return { from, text: `from ${from} on` };
+  }
+  if ((m = question.match(/\bbefore\s+(\d{4})\b/i))) return { to: Number(m[1]) - 1, text: `before ${m[1]}` };
+  if ((m = question.match(/\b(?:in|for|during)\s+(\d{4})\b/i))) return { year: Number(m[1]), text: `in ${m[1]}` };
+  return null;
+}
+
+function mockRanking(question) {
+  const m = question.match(/\b(top|bottom|largest|biggest|highest|smallest|lowest|least|most)\b(?:\s+(\d+))?/i) ||
+    question.match(/\b(\d+)\s+(largest|biggest|highest|smallest|lowest)\b/i);
+  if (!m) return null;
+  const word = (/^\d+$/.test(m[1]) ? m[2] : m[1]).toLowerCase();
+  const count = Number(/^\d+$/.test(m[1]) ? m[1] : m[2]) || ASSISTANT_TOP_N;
+  return { count, ascending: ['bottom', 'smallest', 'lowest', 'least'].includes(word) };
+}
+
+function mockAggregate(question, fallback) {
+  if (/\b(total|sum|cumulative)\b/i.test(question)) return 'SUM';
+  if (/\b(average|mean)\b/i.test(question)) return 'AVG';
+  if (/\b(maximum|peak|max)\b/i.test(question)) return 'MAX';
+  if (/\b(minimum|min)\b/i.test(question)) return 'MIN';
+  return fallback;
+}
+
+const MOCK_AGGREGATE_WORDS = { SUM: 'Adds up', AVG: 'Averages', MAX: 'Takes the maximum of', MIN: 'Takes the minimum of' };
+
+// Recognises rankings ("top 10 countries by coal consumption since 2010"), changes
+// and rolling averages over time, averages by continent and plain time series
+async function mockAsk(settings, { question, schema }) {
+  const match = mockMeasure(question, schema);
+  if (!match) {
+    throw new Error('The built-in assistant could not match the question to a numeric column. Name one, e.g. "top 10 countries by coal consumption since 2010", or connect a model server under ⚙.');
+  }
+  const { table, column } = match;
+  const find = (pattern) => {
+    const col = table.columns.find(c => pattern.test(c.name));
+    return col ? quoteIdentifier(col.name) : null;
+  };
+  const entity = find(MOCK_ENTITY_COLUMN);
+  const year = find(MOCK_YEAR_COLUMN);
+  const iso = find(MOCK_ISO_COLUMN);
+  const x = quoteIdentifier(column);
+  const from = quoteIdentifier(table.tableName);
+  const countries = entity ? mockCountries(question, table) : [];
+  const years = year ? mockYears(question) : null;
+  const ranking = mockRanking(question);
+
+  const where = [`${x} IS NOT NULL`];
+  const notes = [];
+  if (countries.length > 0) {
+    where.push(`${entity} IN (${countries.map(mockString).join(', ')})`);
+    notes.push(`for ${countries.join(', ')}`);
+  }
+  if (years && years.year !== undefined) where.push(`${year} = ${years.year}`);
+  if (years && years.from !== undefined) where.push(`${year} >= ${years.from}`);
+  if (years && years.to !== undefined) where.push(`${year} <= ${years.to}`);
+  if (years) notes.push(years.text);
+  const countriesOnly = () => {
+    if (!iso || countries.length > 0) return;
+    where.push(`is_country(${iso}) = 1`);
+    notes.push('countries only, is_country() leaves out World and the regions');
+  };
+  const whereSql = () => `WHERE ${where.join('\n  AND ')}`;
+  const noted = (sentence) => `${sentence}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}.`;
+
+  if (/\bby\s+(continent|region)s?\b/i.test(question) && iso) {
+    const fn = mockAggregate(question, 'AVG');
+    where.push(`owid_region(${iso}) IS NOT NULL`);
+    return {
+      sql: `SELECT owid_region(${iso}) AS region, ${fn}(${x}) AS ${mockAlias(fn, column)}\nFROM ${from}\n${whereSql()}\nGROUP BY region\nORDER BY 2 DESC`,
+      explanation: noted(`${MOCK_AGGREGATE_WORDS[fn]} ${column} over the countries of each continent, using owid_region() on the ISO code`)
+    };
+  }
+
+  if (entity && year && /\b(growth|change|yoy|year[ -]over[ -]year|increase|decrease)\b/i.test(question)) {
+    countriesOnly();
+    return {
+      sql: `SELECT ${entity}, ${year}, ${x},\n  yoy(${x}, LAG(${x}) OVER (PARTITION BY ${entity} ORDER BY ${year})) AS ${mockAlias(column, 'change_pct')}\nFROM ${from}\n${whereSql()}\nORDER BY ${entity}, ${year}`,
+      explanation: noted(`The change in ${column} from one year to the next in percent, per ${entity}: LAG() reads the previous year's value within each ${entity} and yoy() turns the pair into a percentage`)
+    };
+  }
+
+  const rolling = question.match(/\b(rolling|moving)\s+(average|mean)\b/i);
+  if (entity && year && rolling) {
+    const window = Number((question.match(/\b(\d+)[ -]?(?:year|yr)s?\b/i) || [])[1]) || ASSISTANT_ROLLING_YEARS;
+    countriesOnly();
+    return {
+      sql: `SELECT ${entity}, ${year}, ${x},\n  AVG(${x}) OVER (PARTITION BY ${entity} ORDER BY ${year} ROWS BETWEEN ${window - 1} PRECEDING AND CURRENT ROW) AS ${mockAlias(column, `avg_${window}y`)}\nFROM ${from}\n${whereSql()}\nORDER BY ${entity}, ${year}`,
+      explanation: noted(`${column} with its ${window}-year moving average per ${entity}, a window function over the current and previous ${window - 1} rows`)
+    };
+  }
+
+  if (entity && ranking) {
+    countriesOnly();
+    const order = ranking.ascending ? 'ASC' : 'DESC';
+    const which = `${ranking.ascending ? 'lowest' : 'highest'} ${ranking.count}`;
+    // A single year ranks the values themselves, a span of years their total or average
+    if (!year || (years && years.year !== undefined)) {
+      return {
+        sql: `SELECT ${entity}, ${x}\nFROM ${from}\n${whereSql()}\nORDER BY ${x} ${order}\nLIMIT ${ranking.count}`,
+        explanation: noted(`The ${which} values of ${column}`)
+      };
+    }
+    if (!years) {
+      where.push(`${year} = (SELECT MAX(${year}) FROM ${from} WHERE ${x} IS NOT NULL)`);
+      notes.push('in the latest year with data');
+      return {
+        sql: `SELECT ${entity}, ${year}, ${x}\nFROM ${from}\n${whereSql()}\nORDER BY ${x} ${order}\nLIMIT ${ranking.count}`,
+        explanation: noted(`The ${which} values of ${column}`)
+      };
+    }
+    const fn = mockAggregate(question, 'SUM');
+    const total = mockAlias(fn, column);
+    return {
+      sql: `SELECT ${entity}, ${fn}(${x}) AS ${total}\nFROM ${from}\n${whereSql()}\nGROUP BY ${entity}\nORDER BY ${total} ${order}\nLIMIT ${ranking.count}`,
+      explanation: noted(`${MOCK_AGGREGATE_WORDS[fn]} ${column} per ${entity} and keeps the ${which}`)
+    };
+  }
+
+  if (entity && year) {
+    countriesOnly();
+    return {
+      sql: `SELECT ${entity}, ${year}, ${x}\nFROM ${from}\n${whereSql()}\nORDER BY ${entity}, ${year}`,
+      explanation: noted(`${column} over time per ${entity}`)
+    };
+  }
+
+  return {
+    sql: `SELECT *\nFROM ${from}\n${whereSql()}\nORDER BY ${x} DESC\nLIMIT ${ranking ? ranking.count : 100}`,
+    explanation: noted(`Rows of ${table.tableName} with the largest ${column}`)
+  };
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Up to three names within a few edits of the unknown one, closest first
+function closestNames(name, candidates) {
+  const lower = name.toLowerCase();
+  return [...new Set(candidates)]
+    .map(candidate => ({ candidate, distance: editDistance(lower, candidate.toLowerCase()) }))
+    .filter(({ candidate, distance }) => distance <= Math.max(2, Math.floor(candidate.length / 3)))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ candidate }) => candidate);
+}
+
+// Swap one identifier for another outside of string literals
+function replaceIdentifier(sql, from, to) {
+  const pattern = new RegExp(`('(?:[^']|'')*')|"${from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"|\\b${from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
+  return sql.replace(pattern, (match, literal) => literal || to);
+}
+
+// Known error messages of both engines, explained from the schema
+async function mockExplain(settings, { sql, message, schema }) {
+  const columns = schema.flatMap(table => table.columns.map(col => col.name));
+  const tables = schema.map(table => table.tableName);
+  const suggest = (unknown, candidates, kind) => {
+    const close = closestNames(unknown, candidates);
+    if (close.length === 0) {
+      return { explanation: `There is no ${kind} named ${unknown}. The loaded ${kind === 'table' ? 'tables are' : 'tables have these columns:'} ${(kind === 'table' ? tables : columns).slice(0, 20).join(', ')}${candidates.length > 20 ? ', ...' : ''}.`, sql: null };
+    }
+    return {
+      explanation: `There is no ${kind} named ${unknown}. Did you mean ${close.join(' or ')}? The query below uses ${close[0]}.`,
+      sql: replaceIdentifier(sql, unknown, quoteIdentifier(close[0]))
+    };
+  };
+
+  let m;
+  if ((m = message.match(/no such column: (?:\w+\.)?(\w+)/i) || message.match(/Referenced column "([^"]+)" not found/i) ||
+      message.match(/column "([^"]+)" (?:does not exist|not found)/i))) {
+    return suggest(m[1], columns, 'column');
+  }
+  if ((m = message.match(/no such table: (\w+)/i) || message.match(/Table with name (\w+) does not exist/i))) {
+    return suggest(m[1], tables, 'table');
+  }
+  if ((m = message.match(/no such function: (\w+)/i) || message.match(/(?:Scalar|Aggregate) Function with name (\w+) does not exist/i))) {
+    return {
+      explanation: `The engine has no function called ${m[1]}. Besides the standard SQL functions the app adds ${OWID_FUNCTIONS.map(fn => fn.name).join(', ')}. The SQLite and DuckDB engines also differ: a function that exists in one may be missing in the other.`,
+      sql: null
+    };
+  }
+  if (/ambiguous/i.test(message)) {
+    return { explanation: 'Two of the joined tables have a column with this name, so the engine cannot tell which one you mean. Put the table name or its alias in front, as in co2_data.year.', sql: null };
+  }
+  if (/misuse of aggregate|GROUP BY clause|must appear in the GROUP BY|aggregate function/i.test(message)) {
+    return {
+      explanation: 'The query mixes aggregates like SUM() or AVG() with plain columns. Every selected column that is not inside an aggregate has to be listed in GROUP BY, and aggregates cannot be used in WHERE (filter them with HAVING instead).',
+      sql: null
+    };
+  }
+  if ((m = message.match(/near "([^"]*)": syntax error/i) || message.match(/syntax error at or near "?([^"\n]*)"?/i))) {
+    return {
+      explanation: `The engine could not read the query at "${m[1]}". Look just before it for a missing comma between columns, an unclosed parenthesis or quote, or a misspelled keyword.`,
+      sql: null
+    };
+  }
+  if (/syntax error|incomplete input|unexpected end/i.test(message)) {
+    return { explanation: 'The query ends too early or has a typo. Check that every parenthesis and quote is closed and that no clause is left unfinished.', sql: null };
+  }
+  return {
+    explanation: `The built-in assistant has no explanation for this message: ${message}. A model server under ⚙ can explain other errors.`,
+    sql: null
+  };
+}
@@ -0,0 +1,204 @@
+// Dataset helpers shared by the page and the SQL worker (loaded with a plain
+// <script> tag in index.html and with importScripts() in worker.js)
+
+const INTEGER_PATTERN = /^[-+]?(0|[1-9]\d*)$/;
+const REAL_PATTERN = /^[-+]?((0|[1-9]\d*)(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+// Pick the narrowest SQLite type that fits every non-empty value of each column
+function inferColumnTypes(headers, rows) {
+  return headers.map(name => {
+    let type = null;
+    for (const row of rows) {
+      const raw = row[name];
+      if (raw === undefined || raw === null) continue;
+      const val = String(raw).trim();
+      if (val === '') continue;
+      if (INTEGER_PATTERN.test(val) && Number.isSafeInteger(Number(val))) {
+        if (!type) type = 'INTEGER';
+      } else if (REAL_PATTERN.test(val)) {
+        type = 'REAL';
+      } else {
+        type = 'TEXT';
+        break;
+      }
+    }
+    // Columns with no values at all can't be typed, keep them as text
+    return { name, type: type || 'TEXT' };
+  });
+}
+
+// Convert a raw CSV cell to the value stored for its inferred type, gaps become NULL
+function coerceValue(raw, type) {
+  if (raw === undefined || raw === null) return null;
+  const val = String(raw).trim();
+  if (val === '') return null;
+  if (type === 'INTEGER' || type === 'REAL') return Number(val);
+  return String(raw);
+}
+
+// Guess the file format from a file name or URL path
+function detectFormat(name) {
+  const path = name.toLowerCase().split(/[?#]/)[0];
+  if (path.endsWith('.json')) return 'json';
+  if (path.endsWith('.tsv') || path.endsWith('.tab')) return 'tsv';
+  return 'csv';
+}
+
+// Accept an array of records, or OWID's country-keyed JSON export where each
+// country holds its metadata plus a `data` array of yearly records
+function flattenJsonRows(json) {
+  if (Array.isArray(json)) return json;
+  const rows = json && typeof json === 'object'
+    ? Object.entries(json).flatMap(([country, entry]) => {
+        if (!entry || !Array.isArray(entry.data)) return [];
+        const { data, ...meta } = entry;
+        return data.map(record => ({ country, ...meta, ...record }));
+      })
+    : [];
+  if (rows.length === 0) {
+    throw new Error('JSON must be an array of records or an OWID country-keyed export');
+  }
+  return rows;
+}
+
+// Parse CSV/TSV/JSON text into header names and row objects, optionally only the first rows
+function parseDatasetText(text, format, preview = 0) {
+  if (format === 'json') {
+    const records = flattenJsonRows(JSON.parse(text));
+    const rows = (preview ? records.slice(0, preview) : records).map(record => {
+      const row = {};
+      Object.entries(record).forEach(([key, val]) => {
+        row[key.trim()] = val !== null && typeof val === 'object' ? JSON.stringify(val) : val;
+      });
+      return row;
+    });
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { headers, rows, errors: [] };
+  }
+  
+  const parseResult = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false, // Keep everything as strings for SQL
+    delimiter: format === 'tsv' ? '\t' : '',
+    preview,
+    transformHeader: (header) => header.trim()
+  });
+  return { headers: parseResult.meta.fields, rows: parseResult.data, errors: parseResult.errors };
+}
+
+// Infer INTEGER/REAL/TEXT per column so numeric queries sort and aggregate as
+// numbers, then turn each parsed row into the value array inserted into SQLite
+function buildTypedRows(headers, rows) {
+  const schema = inferColumnTypes(headers, rows);
+  const values = rows.map(row => schema.map(col => coerceValue(row[col.name], col.type)));
+  return { schema, values };
+}
+
+// Column descriptions from a codebook CSV like OWID's owid-co2-codebook.csv
+// (column, description, unit, source), keyed by column name
+function parseCodebook(text) {
+  const { data } = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: h => h.trim().toLowerCase() });
+  const codebook = {};
+  data.forEach(row => {
+    const name = (row.column || row.name || row.variable || '').trim();
+    if (!name) return;
+    codebook[name] = {
+      description: (row.description || '').trim(),
+      unit: (row.unit || '').trim(),
+      source: (row.source || '').trim()
+    };
+  });
+  return codebook;
+}
+
+async function fetchCodebook(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+  return parseCodebook(await response.text());
+}
+
+// One line of hover text for a column, e.g. "Annual CO2 emissions (million tonnes)"
+function describeColumn(entry) {
+  if (!entry || !entry.description) return '';
+  return entry.unit ? `${entry.description} (${entry.unit})` : entry.description;
+}
+
+const CACHE_DB_NAME = 'owid-sqlmate-cache';
+const CACHE_DB_VERSION = 1;
+
+// Dataset cache lives in IndexedDB: 'meta' holds small per-URL records for the
+// card indicators, 'rows' holds the typed rows so a cache hit skips download and parsing
+function openTableCache() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('meta', { keyPath: 'url' });
+      request.result.createObjectStore('rows', { keyPath: 'url' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withTableCache(mode, fn) {
+  const idb = await openTableCache();
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(['meta', 'rows'], mode);
+    const request = fn(tx);
+    tx.oncomplete = () => {
+      idb.close();
+      resolve(request ? request.result : undefined);
+    };
+    tx.onerror = tx.onabort = () => {
+      idb.close();
+      reject(tx.error);
+    };
+  });
+}
+
+function listCachedTables() {
+  return withTableCache('readonly', tx => tx.objectStore('meta').getAll());
+}
+
+function getCachedTable(url) {
+  return withTableCache('readonly', tx => tx.objectStore('rows').get(url));
+}
+
+function putCachedTable({ url, version, columns, rows }) {
+  return withTableCache('readwrite', tx => {
+    tx.objectStore('meta').put({ url, version, columns, rowCount: rows.length, cachedAt: Date.now() });
+    tx.objectStore('rows').put({ url, columns, rows });
+  });
+}
+
+function deleteCachedTable(url) {
+  return withTableCache('readwrite', tx => {
+    tx.objectStore('meta').delete(url);
+    tx.objectStore('rows').delete(url);
+  });
+}
+
+function clearTableCache() {
+  return withTableCache('readwrite', tx => {
+    tx.objectStore('meta').clear();
+    tx.objectStore('rows').clear();
+  });
+}
+
+// ETag is not readable cross-origin on every host, so fall back to Last-Modified
+// and finally Content-Length as the version of a remote CSV
+function getRemoteVersion(response) {
+  const length = response.headers.get('Content-Length');
+  return response.headers.get('ETag') ||
+    response.headers.get('Last-Modified') ||
+    (length ? `length:${length}` : null);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
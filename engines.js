@@ -0,0 +1,557 @@
+// SQL engines for worker.js (loaded there with importScripts after sqltext.js, and
+// with a plain <script> tag so the page can offer them). Each factory returns an engine with
+//   open()                                       start the database and register the OWID helpers
+//   replaceTable(tableName, schema, values, checkpoint)
+//                                                (re)create a table from buildTypedRows output. checkpoint(rows)
+//                                                runs between batches and throws to cancel, leaving the old table
+//   dropTable(tableName)
+//   describeTable(tableName)                     { columns: [{ name, type }], rowCount }, types as INTEGER, REAL or TEXT
+//   query(sql, params, maxRows)                  one statement as { columns, values, truncated }
+//   exec(sql, params, maxRows, plans)            every statement of a script, see worker.js. With plans,
+//                                                each statement also gets its plan as from explain
+//   explain(sql)                                 the plan of every statement of a script, without running it
+//   fetch(cursor, maxRows)                       more rows of the result exec left open as a cursor
+//   closeCursors()
+//   integerPart(expr)                            SQL for expr truncated to an integer
+// Both run statements synchronously inside the worker, so a running statement can't
+// be interrupted: the page cancels one by restarting the worker.
+
+const LOAD_BATCH_ROWS = 1000;
+const SQLJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/';
+const DUCKDB_URL = 'https://cdn.jsdelivr.net/npm/@duckdb/duckdb-wasm@1.29.0/dist/';
+const DUCKDB_LOAD_BATCH_ROWS = 20000;
+const DUCKDB_LOAD_FILE = 'owid_load.csv';
+
+const DEFAULT_SQL_ENGINE = 'sqljs';
+
+// Where each engine's library comes from: the CDN inside the worker. The test suite
+// (test/engines.test.js) points these at the npm packages instead.
+const ENGINE_LIBRARIES = {
+  async sqljs() {
+    importScripts(`${SQLJS_URL}sql-wasm.js`);
+    return initSqlJs({ locateFile: file => `${SQLJS_URL}${file}` });
+  },
+
+  // The blocking (synchronous) build, not instantiated yet
+  async duckdb() {
+    const duckdb = await import(`${DUCKDB_URL}duckdb-browser-blocking.mjs/+esm`);
+    return duckdb.createDuckDB({
+      mvp: { mainModule: `${DUCKDB_URL}duckdb-mvp.wasm`, mainWorker: '' },
+      eh: { mainModule: `${DUCKDB_URL}duckdb-eh.wasm`, mainWorker: '' }
+    }, new duckdb.VoidLogger(), duckdb.BROWSER_RUNTIME);
+  }
+};
+
+const SQL_ENGINES = {
+  sqljs: {
+    label: 'SQLite',
+    library: 'sql.js',
+    formatterLanguage: 'sqlite',
+    indexes: true,
+    create: () => createSqlJsEngine()
+  },
+  duckdb: {
+    label: 'DuckDB',
+    library: 'DuckDB-WASM',
+    formatterLanguage: 'duckdb',
+    // Columnar scans don't get faster with an index, so none are suggested
+    indexes: false,
+    create: () => createDuckDBEngine()
+  }
+};
+
+// Skip whitespace and comments so offsets point at a statement's first keyword
+function skipToStatement(sql, position) {
+  const match = sql.slice(position).match(/^(\s+|--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/)*/);
+  return position + match[0].length;
+}
+
+// --- sql.js (SQLite) ---
+
+function createSqlJsEngine() {
+  let db = null;
+  let nextCursorId = 1;
+  const cursors = new Map();
+
+  const totalChanges = () => db.exec('SELECT total_changes()')[0].values[0][0];
+
+  // Step through up to maxRows rows. One extra step tells whether the statement has more,
+  // that row is handed back as `next` so a cursor can start from it.
+  const readRows = (stmt, maxRows, values = []) => {
+    while (values.length < maxRows && stmt.step()) values.push(stmt.get());
+    const more = values.length >= maxRows && stmt.step();
+    return { values, more, next: more ? stmt.get() : null };
+  };
+
+  // EXPLAIN QUERY PLAN rows as { id, parent, detail }, empty for statements sqlite
+  // doesn't plan (CREATE, DROP, BEGIN) and null when the statement can't be planned
+  const queryPlan = (sql) => {
+    try {
+      const result = db.exec(`EXPLAIN QUERY PLAN ${sql}`);
+      return result.length > 0 ? result[0].values.map(([id, parent, , detail]) => ({ id, parent, detail })) : [];
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // An open statement keeps its table locked against DROP, so free them before anything writes
+  const closeCursors = () => {
+    cursors.forEach(cursor => cursor.stmt.free());
+    cursors.clear();
+  };
+
+  return {
+    async open() {
+      const SQL = await ENGINE_LIBRARIES.sqljs();
+      db = new SQL.Database();
+      registerOwidFunctions(db);
+    },
+
+    closeCursors,
+
+    async replaceTable(tableName, schema, values, checkpoint) {
+      closeCursors();
+
+      // Replace the table inside one transaction so a cancelled load leaves the old one intact
+      const columnDefs = schema.map(col => `${quoteIdentifier(col.name)} ${col.type}`).join(', ');
+      const placeholders = schema.map(() => '?').join(',');
+      db.run('BEGIN');
+
+      try {
+        db.run(`DROP TABLE IF EXISTS ${tableName}`);
+        db.run(`CREATE TABLE ${tableName} (${columnDefs})`);
+        const insertStmt = db.prepare(`INSERT INTO ${tableName} VALUES (${placeholders})`);
+
+        try {
+          for (let i = 0; i < values.length; i += LOAD_BATCH_ROWS) {
+            const end = Math.min(i + LOAD_BATCH_ROWS, values.length);
+            for (let j = i; j < end; j++) {
+              try {
+                insertStmt.run(values[j]);
+              } catch (e) {
+                console.error('Error inserting row:', e, values[j]);
+              }
+            }
+            await checkpoint(end);
+          }
+        } finally {
+          insertStmt.free();
+        }
+
+        db.run('COMMIT');
+      } catch (err) {
+        db.run('ROLLBACK');
+        throw err;
+      }
+    },
+
+    dropTable(tableName) {
+      closeCursors();
+      db.run(`DROP TABLE IF EXISTS ${tableName}`);
+    },
+
+    describeTable(tableName) {
+      const columns = db.exec(`PRAGMA table_info(${tableName})`)[0].values.map(row => ({ name: row[1], type: row[2] }));
+      const rowCount = db.exec(`SELECT COUNT(*) FROM ${tableName}`)[0].values[0][0];
+      return { columns, rowCount };
+    },
+
+    query(sql, params = [], maxRows = Infinity) {
+      const stmt = db.prepare(sql);
+      try {
+        stmt.bind(params);
+        const { values, more } = readRows(stmt, maxRows);
+        return { columns: stmt.getColumnNames(), values, truncated: more };
+      } finally {
+        stmt.free();
+      }
+    },
+
+    exec(sql, params, maxRows, plans = false) {
+      closeCursors();
+      const statements = [];
+      const iterator = db.iterateStatements(sql);
+      let position = 0;
+      let current = null;
+
+      try {
+        for (const stmt of iterator) {
+          current = { index: statements.length + 1, offset: skipToStatement(sql, position) };
+          position = sql.length - iterator.getRemainingSQL().length;
+          const statementSql = sql.slice(current.offset, position).trim();
+          const plan = plans ? queryPlan(statementSql) : undefined;
+          const changesBefore = totalChanges();
+          const started = performance.now();
+          let cursor = null;
+
+          try {
+            if (params) stmt.bind(params);
+            const columns = stmt.getColumnNames();
+            const { values, more, next } = readRows(stmt, maxRows);
+            if (more && skipToStatement(sql, position) >= sql.length) {
+              cursor = nextCursorId++;
+              cursors.set(cursor, { stmt, next });
+            }
+            statements.push({
+              ...current,
+              sql: statementSql,
+              columns,
+              values,
+              truncated: more,
+              cursor,
+              plan,
+              changes: totalChanges() - changesBefore,
+              timeMs: performance.now() - started
+            });
+          } finally {
+            if (!cursor) stmt.free();
+          }
+          current = null;
+          // Advancing the iterator would free the statement the cursor reads from
+          if (cursor) break;
+        }
+      } catch (err) {
+        // Errors while preparing come from the statement after the last one that ran
+        const statement = current || { index: statements.length + 1, offset: skipToStatement(sql, position) };
+        err.details = { statement, results: statements };
+        throw err;
+      }
+
+      return statements;
+    },
+
+    explain(sql) {
+      const statements = [];
+      const iterator = db.iterateStatements(sql);
+      let position = 0;
+
+      try {
+        while (!iterator.next().done) {
+          const offset = skipToStatement(sql, position);
+          position = sql.length - iterator.getRemainingSQL().length;
+          const text = sql.slice(offset, position).trim();
+          statements.push({ index: statements.length + 1, offset, sql: text, plan: queryPlan(text) });
+        }
+      } catch (err) {
+        const offset = skipToStatement(sql, position);
+        statements.push({ index: statements.length + 1, offset, sql: sql.slice(offset).trim(), plan: null, error: err.message });
+      }
+
+      return statements;
+    },
+
+    fetch(cursor, maxRows) {
+      const open = cursors.get(cursor);
+      if (!open) throw new Error('These results are no longer available, run the query again');
+      const { values, more, next } = readRows(open.stmt, maxRows, [open.next]);
+      if (more) {
+        open.next = next;
+      } else {
+        open.stmt.free();
+        cursors.delete(cursor);
+      }
+      return { values, truncated: more, cursor: more ? cursor : null };
+    },
+
+    integerPart: (expr) => `CAST(${expr} AS INTEGER)`
+  };
+}
+
+// --- DuckDB-WASM ---
+
+// Loaded types, and what describeTable reports DuckDB's types as
+const DUCKDB_TYPES = { INTEGER: 'BIGINT', REAL: 'DOUBLE', TEXT: 'VARCHAR' };
+const DUCKDB_INTEGER_TYPE = /^U?(TINYINT|SMALLINT|INTEGER|BIGINT|HUGEINT)$/;
+const DUCKDB_REAL_TYPE = /^(FLOAT|DOUBLE|DECIMAL)/;
+
+// apache-arrow's Type.Date, DateUnit.DAY
+const ARROW_DATE = 8;
+const ARROW_DAY = 0;
+
+// Statements that return rows even when the only column is called Count
+const DUCKDB_QUERY_STATEMENT = /^\(*\s*(SELECT|WITH|FROM|VALUES|TABLE|PIVOT|UNPIVOT|SUMMARIZE|DESCRIBE|SHOW|EXPLAIN|PRAGMA|CALL)\b/i;
+
+// Split a script at the semicolons outside literals and comments, into
+// { offset, sql } with each statement's own semicolon kept
+function splitStatements(sql) {
+  const code = stripSqlLiterals(sql);
+  const statements = [];
+  let start = 0;
+  while (start < sql.length) {
+    const semicolon = code.indexOf(';', start);
+    const end = semicolon === -1 ? sql.length : semicolon + 1;
+    const offset = skipToStatement(sql, start);
+    if (offset < end && code.slice(offset, end).replace(/;$/, '').trim()) {
+      statements.push({ offset, sql: sql.slice(offset, end).trim() });
+    }
+    start = end;
+  }
+  return statements;
+}
+
+// DuckDB-WASM's prepared statements only take positional parameters, so `:name`
+// becomes `?` with its value in place. Unknown names bind NULL, as in sql.js.
+// An array of values is already positional.
+function positionalParameters(sql, params) {
+  if (!params || Array.isArray(params)) return { sql, values: params || [] };
+  const values = [];
+  const rewritten = replaceParameters(sql, name => {
+    values.push(name in params ? params[name] : null);
+    return '?';
+  });
+  return { sql: rewritten, values };
+}
+
+// EXPLAIN can't take parameters at all, so their values go in as literals
+function inlineParameters(sql, params) {
+  return replaceParameters(sql, name => {
+    const value = params && name in params ? params[name] : null;
+    if (value === null) return 'NULL';
+    return typeof value === 'number' ? String(value) : `'${String(value).replace(/'/g, "''")}'`;
+  });
+}
+
+// Plain values as the page gets them from sql.js: dates as ISO text, 64-bit integers
+// as numbers and lists, structs and maps as JSON
+function arrowValue(type, value) {
+  if (value === null || value === undefined) return null;
+  if (type.typeId === ARROW_DATE) {
+    const iso = new Date(value).toISOString();
+    return type.unit === ARROW_DAY ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+  }
+  if (typeof value === 'bigint') return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+  if (typeof value === 'object' && !(value instanceof Uint8Array)) {
+    return JSON.stringify(value, (key, v) => typeof v === 'bigint' ? Number(v) : v);
+  }
+  return value;
+}
+
+function batchValues(batch) {
+  const columns = batch.schema.fields.map((field, i) => ({ type: field.type, vector: batch.getChildAt(i) }));
+  const rows = [];
+  for (let r = 0; r < batch.numRows; r++) {
+    rows.push(columns.map(({ type, vector }) => arrowValue(type, vector.get(r))));
+  }
+  return rows;
+}
+
+// Record batches hold a couple of thousand rows. Reading until there is one row
+// past maxRows tells whether there are more, the rows past it wait in `rest`.
+function readBatches(reader, maxRows, rows = []) {
+  let done = false;
+  while (rows.length <= maxRows && !done) {
+    const next = reader.next();
+    if (next.done) done = true;
+    else rows.push(...batchValues(next.value));
+  }
+  return { values: rows.slice(0, maxRows), more: rows.length > maxRows, rest: rows.slice(maxRows) };
+}
+
+// Loaded values as CSV for read_csv: every string quoted so an empty one stays
+// distinguishable from NULL, which is written as nothing
+function csvText(values) {
+  return values.map(row => row.map(value => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    return `"${String(value).replace(/"/g, '""')}"`;
+  }).join(',')).join('\n') + '\n';
+}
+
+// EXPLAIN (FORMAT JSON) gives a tree of operators, flattened here into the same
+// { id, parent, detail } rows as sqlite's EXPLAIN QUERY PLAN. Scans name their table.
+function flattenPlan(nodes, plan = [], parent = 0) {
+  nodes.forEach(node => {
+    const id = plan.length + 1;
+    const table = node.extra_info && node.extra_info.Text;
+    plan.push({ id, parent, detail: [node.name.trim(), /SCAN$/.test(node.name.trim()) && table].filter(Boolean).join(' ') });
+    flattenPlan(node.children || [], plan, id);
+  });
+  return plan;
+}
+
+function createDuckDBEngine() {
+  let db = null;
+  // Scripts and loads run on `connection`. A new query there ends the result a cursor is
+  // streaming, so one-off reads (grid pages, dashboard tiles, profiles) get their own,
+  // which only sees committed tables.
+  let connection = null;
+  let reads = null;
+  let nextCursorId = 1;
+  const cursors = new Map();
+
+  const closeCursors = () => {
+    cursors.forEach(cursor => cursor.prepared.close());
+    cursors.clear();
+  };
+
+  const queryPlan = (sql, params) => {
+    try {
+      const row = connection.query(`EXPLAIN (FORMAT JSON) ${inlineParameters(sql, params)}`).get(0);
+      return row ? flattenPlan(JSON.parse(row.explain_value)) : [];
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // Runs one statement and reads up to maxRows of its result. `prepared` and `reader`
+  // come back open when there are more rows, for a cursor.
+  const runStatement = (target, sql, params, maxRows) => {
+    const bound = positionalParameters(sql, params);
+    const prepared = target.prepare(bound.sql);
+    let keepOpen = false;
+    try {
+      // Opening reads the schema, which the reader forgets once it runs out
+      const reader = prepared.send(...bound.values).open();
+      const fields = reader.schema.fields;
+      const { values, more, rest } = readBatches(reader, maxRows);
+      const code = stripSqlLiterals(sql).trim();
+
+      // DDL and writes answer with a Count of changed rows, BEGIN and SET with a Success flag
+      if (fields.length === 1 && ['Count', 'Success'].includes(fields[0].name) && !DUCKDB_QUERY_STATEMENT.test(code)) {
+        return { columns: [], values: [], more: false, changes: fields[0].name === 'Count' && values.length > 0 ? values[0][0] : 0 };
+      }
+      keepOpen = more;
+      return { columns: fields.map(field => field.name), values, more, rest, changes: 0, prepared, reader };
+    } finally {
+      if (!keepOpen) prepared.close();
+    }
+  };
+
+  return {
+    async open() {
+      db = await ENGINE_LIBRARIES.duckdb();
+      await db.instantiate();
+      // Plain numbers and dates instead of BigInt, Decimal and Timestamp objects
+      db.open({ query: { castBigIntToDouble: true, castDecimalToDouble: true, castTimestampToDate: true } });
+      connection = db.connect();
+      reads = db.connect();
+      owidMacroStatements().forEach(sql => connection.query(sql));
+    },
+
+    closeCursors,
+
+    // Rows go in as CSV through DuckDB's reader with the columns typed up front,
+    // a batch at a time inside one transaction
+    async replaceTable(tableName, schema, values, checkpoint) {
+      closeCursors();
+      const columnDefs = schema.map(col => `${quoteIdentifier(col.name)} ${DUCKDB_TYPES[col.type]}`).join(', ');
+      const csvColumns = schema.map(col => `'${col.name.replace(/'/g, "''")}': '${DUCKDB_TYPES[col.type]}'`).join(', ');
+      const readCsv = `read_csv('${DUCKDB_LOAD_FILE}', columns = {${csvColumns}}, header = false, auto_detect = false,
+        delim = ',', quote = '"', escape = '"', nullstr = '', allow_quoted_nulls = false)`;
+      connection.query('BEGIN');
+
+      try {
+        connection.query(`DROP TABLE IF EXISTS ${tableName}`);
+        connection.query(`CREATE TABLE ${tableName} (${columnDefs})`);
+        for (let i = 0; i < values.length; i += DUCKDB_LOAD_BATCH_ROWS) {
+          const end = Math.min(i + DUCKDB_LOAD_BATCH_ROWS, values.length);
+          db.registerFileText(DUCKDB_LOAD_FILE, csvText(values.slice(i, end)));
+          connection.query(`INSERT INTO ${tableName} SELECT * FROM ${readCsv}`);
+          await checkpoint(end);
+        }
+        connection.query('COMMIT');
+      } catch (err) {
+        connection.query('ROLLBACK');
+        throw err;
+      } finally {
+        db.dropFile(DUCKDB_LOAD_FILE);
+      }
+    },
+
+    dropTable(tableName) {
+      closeCursors();
+      connection.query(`DROP TABLE IF EXISTS ${tableName}`);
+    },
+
+    describeTable(tableName) {
+      const { values } = runStatement(reads, `SELECT column_name, data_type FROM information_schema.columns
+        WHERE table_schema = 'main' AND table_name = ? ORDER BY ordinal_position`, [tableName], Infinity);
+      const columns = values.map(([name, type]) => ({
+        name,
+        type: DUCKDB_INTEGER_TYPE.test(type) ? 'INTEGER' : DUCKDB_REAL_TYPE.test(type) ? 'REAL' : 'TEXT'
+      }));
+      const rowCount = runStatement(reads, `SELECT COUNT(*) FROM ${tableName}`, [], 1).values[0][0];
+      return { columns, rowCount };
+    },
+
+    query(sql, params = [], maxRows = Infinity) {
+      const { columns, values, more } = runStatement(reads, sql, params, maxRows);
+      return { columns, values, truncated: more };
+    },
+
+    exec(sql, params, maxRows, plans = false) {
+      closeCursors();
+      const statements = [];
+      const parts = splitStatements(sql);
+      let current = null;
+
+      try {
+        parts.forEach((part, i) => {
+          current = { index: statements.length + 1, offset: part.offset };
+          const plan = plans ? queryPlan(part.sql, params) : undefined;
+          const started = performance.now();
+          const result = runStatement(connection, part.sql, params, maxRows);
+          let cursor = null;
+          if (result.more) {
+            // Only the last statement's result can stay open, the next one would end it
+            if (i === parts.length - 1) {
+              cursor = nextCursorId++;
+              cursors.set(cursor, { prepared: result.prepared, reader: result.reader, rest: result.rest });
+            } else {
+              result.prepared.close();
+            }
+          }
+          statements.push({
+            ...current,
+            sql: part.sql,
+            columns: result.columns,
+            values: result.values,
+            truncated: result.more,
+            cursor,
+            plan,
+            changes: result.changes,
+            timeMs: performance.now() - started
+          });
+          current = null;
+        });
+      } catch (err) {
+        err.details = { statement: current, results: statements };
+        throw err;
+      }
+
+      return statements;
+    },
+
+    // Planning stops at the first statement that can't be planned, which may need
+    // something an earlier one would create
+    explain(sql) {
+      const statements = [];
+      for (const part of splitStatements(sql)) {
+        const statement = { index: statements.length + 1, offset: part.offset, sql: part.sql };
+        try {
+          const row = connection.query(`EXPLAIN (FORMAT JSON) ${inlineParameters(part.sql, null)}`).get(0);
+          statements.push({ ...statement, plan: row ? flattenPlan(JSON.parse(row.explain_value)) : [] });
+        } catch (err) {
+          statements.push({ ...statement, plan: null, error: err.message });
+          break;
+        }
+      }
+      return statements;
+    },
+
+    fetch(cursor, maxRows) {
+      const open = cursors.get(cursor);
+      if (!open) throw new Error('These results are no longer available, run the query again');
+      const { values, more, rest } = readBatches(open.reader, maxRows, open.rest);
+      if (more) {
+        open.rest = rest;
+      } else {
+        open.prepared.close();
+        cursors.delete(cursor);
+      }
+      return { values, truncated: more, cursor: more ? cursor : null };
+    },
+
+    integerPart: (expr) => `CAST(TRUNC(${expr}) AS INTEGER)`
+  };
+}
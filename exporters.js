@@ -0,0 +1,185 @@
+// Result set exports (loaded with a plain <script> tag in index.html). Every
+// format is produced from the full { columns, values } of a result, a chunk of
+// rows at a time, so a large export never becomes one giant string.
+
+const EXPORT_CHUNK_ROWS = 5000;
+const XLSX_MAX_ROWS = 1048576;
+const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js';
+const PARQUET_WRITER_URL = 'https://cdn.jsdelivr.net/npm/hyparquet-writer@0.16.10/+esm';
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  ndjson: { label: 'JSON (newline-delimited)', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  xlsx: { label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  parquet: { label: 'Parquet', extension: 'parquet', mimeType: 'application/vnd.apache.parquet' }
+};
+
+// SELECT a.year, b.year gives two columns with the same name, which would
+// collide as JSON keys, sheet headers or parquet fields
+function uniqueColumnNames(columns) {
+  const seen = new Set();
+  return columns.map(col => {
+    let name = col;
+    for (let i = 2; seen.has(name); i++) name = `${col}_${i}`;
+    seen.add(name);
+    return name;
+  });
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function textValue(value, nullValue) {
+  if (value === null || value === undefined) return nullValue;
+  if (value instanceof Uint8Array) return toHex(value);
+  return String(value);
+}
+
+// RFC 4180: quote fields holding the delimiter, quotes or line breaks and double embedded quotes
+function delimitedField(text, delimiter) {
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+function* delimitedParts({ columns, values }, { delimiter = ',', header = true, nullValue = '' }) {
+  const lineOf = (fields) => fields.join(delimiter) + '\r\n';
+  if (header) yield lineOf(columns.map(col => delimitedField(col, delimiter)));
+
+  for (let i = 0; i < values.length; i += EXPORT_CHUNK_ROWS) {
+    let chunk = '';
+    for (const row of values.slice(i, i + EXPORT_CHUNK_ROWS)) {
+      chunk += lineOf(row.map(value => {
+        // Keep an empty string distinguishable from NULL when NULL is written as nothing
+        if (value === '' && nullValue === '') return '""';
+        if (value === null || value === undefined) return nullValue;
+        return delimitedField(textValue(value, nullValue), delimiter);
+      }));
+    }
+    yield chunk;
+  }
+}
+
+function* ndjsonParts({ columns, values }) {
+  const names = uniqueColumnNames(columns);
+  for (let i = 0; i < values.length; i += EXPORT_CHUNK_ROWS) {
+    let chunk = '';
+    for (const row of values.slice(i, i + EXPORT_CHUNK_ROWS)) {
+      const record = {};
+      names.forEach((name, idx) => {
+        const value = row[idx];
+        record[name] = value instanceof Uint8Array ? toHex(value) : value;
+      });
+      chunk += JSON.stringify(record) + '\n';
+    }
+    yield chunk;
+  }
+}
+
+function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Could not load ${url}`));
+    document.head.appendChild(script);
+  });
+}
+
+// SheetJS builds the workbook in memory, xlsx has no streaming form
+async function xlsxPart({ columns, values }, { header = true }) {
+  if (values.length + (header ? 1 : 0) > XLSX_MAX_ROWS) {
+    throw new Error(`Excel sheets hold at most ${XLSX_MAX_ROWS.toLocaleString()} rows, export as CSV or Parquet instead`);
+  }
+  if (!window.XLSX) await loadScript(SHEETJS_URL);
+
+  const rows = values.map(row => row.map(value => value instanceof Uint8Array ? toHex(value) : value));
+  const sheet = XLSX.utils.aoa_to_sheet(header ? [uniqueColumnNames(columns), ...rows] : rows);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Results');
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+}
+
+// Pick a parquet type per column from its non-null values
+function parquetColumn(name, data) {
+  const present = data.filter(v => v !== null && v !== undefined);
+  if (present.every(v => typeof v === 'number')) {
+    if (!present.every(Number.isInteger)) return { name, data, type: 'DOUBLE' };
+    if (present.every(v => v >= -2147483648 && v <= 2147483647)) return { name, data, type: 'INT32' };
+    return { name, data: data.map(v => v === null || v === undefined ? null : BigInt(v)), type: 'INT64' };
+  }
+  if (present.every(v => v instanceof Uint8Array)) return { name, data, type: 'BYTE_ARRAY' };
+  return { name, data: data.map(v => v === null || v === undefined ? null : String(v)), type: 'STRING' };
+}
+
+async function parquetPart({ columns, values }) {
+  const { parquetWriteBuffer } = await import(PARQUET_WRITER_URL);
+  const columnData = uniqueColumnNames(columns).map((name, idx) => parquetColumn(name, values.map(row => row[idx])));
+  return parquetWriteBuffer({ columnData });
+}
+
+async function* exportParts(result, format, options = {}) {
+  switch (format) {
+    case 'csv':
+      yield* delimitedParts(result, options);
+      break;
+    case 'tsv':
+      yield* delimitedParts(result, { ...options, delimiter: '\t' });
+      break;
+    case 'ndjson':
+      yield* ndjsonParts(result);
+      break;
+    case 'xlsx':
+      yield await xlsxPart(result, options);
+      break;
+    case 'parquet':
+      yield await parquetPart(result);
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Write straight to disk where the File System Access API exists, otherwise
+// collect the chunks as Blob parts and download them. The save dialog has to
+// open first, while the click that started the export still counts as a user gesture,
+// so the rows come from readResult() after it (a result cut off at the row limit has
+// to fetch the rest). Resolves to the result that was written.
+async function saveExport(readResult, format, options, filename) {
+  const { label, extension, mimeType } = EXPORT_FORMATS[format];
+  let writable = null;
+  if (window.showSaveFilePicker) {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: filename,
+      types: [{ description: label, accept: { [mimeType]: [`.${extension}`] } }]
+    });
+    writable = await handle.createWritable();
+  }
+
+  try {
+    const result = await readResult();
+    const blobs = [];
+    for await (const part of exportParts(result, format, options)) {
+      if (writable) await writable.write(part);
+      else blobs.push(new Blob([part]));
+      // Let the page repaint between chunks of a long export
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    if (writable) await writable.close();
+    else downloadBlob(new Blob(blobs, { type: mimeType }), filename);
+    return result;
+  } catch (err) {
+    if (writable) await writable.abort();
+    throw err;
+  }
+}
@@ -0,0 +1,243 @@
+// OWID helper functions for SQL. engines.js registers them in the worker (through
+// importScripts), as JavaScript functions on sql.js and as macros on DuckDB, the
+// page lists them in autocomplete (plain <script> tag). `sqlite` writes a scalar one
+// out as a plain SQLite expression, for exports that can't register functions.
+// Needs sqltext.js.
+
+// Countries by continent as in OWID's own grouping, by ISO 3166-1 alpha-3 code.
+// OWID_KOS is OWID's code for Kosovo, which has no ISO code.
+const OWID_CONTINENTS = {
+  'Africa': 'DZA AGO BEN BWA BFA BDI CPV CMR CAF TCD COM COG COD CIV DJI EGY GNQ ERI SWZ ETH GAB GMB GHA GIN GNB KEN LSO LBR LBY MDG MWI MLI MRT MUS MYT MAR MOZ NAM NER NGA REU RWA SHN STP SEN SYC SLE SOM ZAF SSD SDN TZA TGO TUN UGA ESH ZMB ZWE',
+  'Asia': 'AFG ARM AZE BHR BGD BTN BRN KHM CHN GEO HKG IND IDN IRN IRQ ISR JPN JOR KAZ KWT KGZ LAO LBN MAC MYS MDV MNG MMR NPL PRK OMN PAK PSE PHL QAT SAU SGP KOR LKA SYR TWN TJK THA TLS TUR TKM ARE UZB VNM YEM',
+  'Europe': 'ALA ALB AND AUT BLR BEL BIH BGR HRV CYP CZE DNK EST FRO FIN FRA DEU GIB GRC GGY HUN ISL IRL IMN ITA JEY OWID_KOS LVA LIE LTU LUX MLT MDA MCO MNE NLD MKD NOR POL PRT ROU RUS SMR SRB SVK SVN ESP SJM SWE CHE UKR GBR VAT',
+  'North America': 'AIA ATG ABW BHS BRB BLZ BMU BES VGB CAN CYM CRI CUB CUW DMA DOM SLV GRL GRD GLP GTM HTI HND JAM MTQ MEX MSR NIC PAN PRI BLM KNA LCA MAF SPM VCT SXM TTO TCA USA VIR',
+  'South America': 'ARG BOL BRA CHL COL ECU FLK GUF GUY PRY PER SUR URY VEN',
+  'Oceania': 'ASM AUS COK FJI PYF GUM KIR MHL FSM NRU NCL NZL NIU NFK MNP PLW PNG PCN WSM SLB TKL TON TUV VUT WLF'
+};
+
+const CONTINENT_BY_CODE = new Map(Object.entries(OWID_CONTINENTS).flatMap(([continent, codes]) =>
+  codes.split(' ').map(code => [code, continent])
+));
+
+const OWID_FUNCTIONS = [
+  {
+    name: 'is_country',
+    signature: 'is_country(iso_code)',
+    description: '1 for a country, 0 for OWID aggregates like OWID_WRL (World) or a missing code',
+    apply: (code) => typeof code === 'string' && (/^[A-Z]{3}$/.test(code) || code === 'OWID_KOS') ? 1 : 0,
+    macro: "CASE WHEN regexp_full_match(iso_code, '[A-Z]{3}') OR iso_code = 'OWID_KOS' THEN 1 ELSE 0 END",
+    sqlite: (code) => `CASE WHEN (${code}) GLOB '[A-Z][A-Z][A-Z]' OR (${code}) = 'OWID_KOS' THEN 1 ELSE 0 END`
+  },
+  {
+    name: 'owid_region',
+    signature: 'owid_region(iso_code)',
+    description: "The country's continent (Africa, Asia, Europe, North America, South America, Oceania)",
+    apply: (code) => CONTINENT_BY_CODE.get(code) || null,
+    macro: `CASE ${Object.entries(OWID_CONTINENTS).map(([continent, codes]) =>
+      `WHEN iso_code IN (${codes.split(' ').map(code => `'${code}'`).join(', ')}) THEN '${continent}'`
+    ).join(' ')} END`,
+    sqlite: (code) => `CASE ${Object.entries(OWID_CONTINENTS).map(([continent, codes]) =>
+      `WHEN (${code}) IN (${codes.split(' ').map(c => `'${c}'`).join(', ')}) THEN '${continent}'`
+    ).join(' ')} END`
+  },
+  {
+    name: 'per_capita',
+    signature: 'per_capita(x, population)',
+    description: 'x divided by population, NULL when the population is missing or 0',
+    apply: (x, population) => x === null || !population ? null : x / population,
+    macro: 'CASE WHEN population <> 0 THEN x / population END',
+    sqlite: (x, population) => `CASE WHEN (${population}) <> 0 THEN (${x}) * 1.0 / (${population}) END`
+  },
+  {
+    name: 'yoy',
+    signature: 'yoy(x[, previous])',
+    description: "Change from the same country's value in the year before, in percent, NULL when that year has no row. Tables without country and year columns pass previous: yoy(x, LAG(x) OVER (PARTITION BY Entity ORDER BY Year))",
+    apply: (x, previous) => x === null || !previous ? null : (x - previous) / Math.abs(previous) * 100,
+    parameters: 'x, previous',
+    macro: 'CASE WHEN previous <> 0 THEN (x - previous) / abs(previous) * 100 END',
+    sqlite: (x, previous) => `CASE WHEN (${previous}) <> 0 THEN ((${x}) - (${previous})) * 1.0 / abs(${previous}) * 100 END`
+  },
+  {
+    name: 'cagr',
+    signature: 'cagr(first, last, years)',
+    description: 'Compound annual growth rate in percent between two values some years apart',
+    apply: (first, last, years) => first > 0 && last >= 0 && years > 0 ? (Math.pow(last / first, 1 / years) - 1) * 100 : null,
+    macro: 'CASE WHEN first > 0 AND last >= 0 AND years > 0 THEN (pow(last / first, 1 / years) - 1) * 100 END',
+    // power() comes from SQLite's math functions
+    sqlite: (first, last, years) => `CASE WHEN (${first}) > 0 AND (${last}) >= 0 AND (${years}) > 0 THEN (power((${last}) * 1.0 / (${first}), 1.0 / (${years})) - 1) * 100 END`
+  },
+  {
+    name: 'median',
+    signature: 'median(X)',
+    description: 'Aggregate: the middle value of X, ignoring NULLs',
+    // DuckDB has its own median, so there is no macro
+    aggregate: {
+      init: () => [],
+      step: (values, x) => {
+        if (typeof x === 'number') values.push(x);
+        return values;
+      },
+      // sql.js calls finalize without a state when there were no rows
+      finalize: (values = []) => percentile(values, 50)
+    }
+  },
+  {
+    name: 'percentile',
+    signature: 'percentile(X, P)',
+    description: 'Aggregate: the P-th percentile (0-100) of X, interpolating between values',
+    aggregate: {
+      init: () => ({ values: [], p: null }),
+      step: (state, x, p) => {
+        if (typeof x === 'number') state.values.push(x);
+        state.p = p;
+        return state;
+      },
+      finalize: (state = { values: [] }) => percentile(state.values, state.p)
+    },
+    // DuckDB's quantile_cont only takes a constant fraction, so interpolate over the sorted list
+    macro: `CASE WHEN count(x) = 0 OR p < 0 OR p > 100 THEN NULL ELSE ${percentileMacro()} END`
+  }
+];
+
+// Linear interpolation between the closest ranks, as numpy and Excel's PERCENTILE do
+function percentile(values, p) {
+  if (values.length === 0 || typeof p !== 'number' || p < 0 || p > 100) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+}
+
+function percentileMacro() {
+  const sorted = 'list_sort(list(x) FILTER (WHERE x IS NOT NULL))';
+  const rank = '(p / 100 * (count(x) - 1))';
+  const at = (round) => `${sorted}[${round}(${rank})::BIGINT + 1]`;
+  return `${at('floor')} + (${at('ceil')} - ${at('floor')}) * (${rank} - floor(${rank}))`;
+}
+
+// sql.js takes each function's number of arguments from its declared parameters
+function registerOwidFunctions(db) {
+  OWID_FUNCTIONS.forEach(fn => {
+    if (fn.aggregate) db.create_aggregate(fn.name, fn.aggregate);
+    else db.create_function(fn.name, fn.apply);
+  });
+}
+
+// The signatures double as the macros' parameter lists, unless they show optional ones
+function owidMacroStatements() {
+  return OWID_FUNCTIONS.filter(fn => fn.macro).map(fn => {
+    const signature = fn.parameters ? `${fn.name}(${fn.parameters})` : fn.signature;
+    return `CREATE OR REPLACE MACRO ${signature.toLowerCase()} AS ${fn.macro}`;
+  });
+}
+
+const SELECT_CLAUSE_WORDS = new Set(['from', 'where', 'by', 'having', 'on', 'using', 'values', 'set', 'returning', 'limit', 'window', 'qualify']);
+
+// Calls of the function `name` outside literals and comments, in order, as
+// { start, open, close, args } with each argument's text as written. Arguments are
+// split on commas outside nested parentheses; calls inside another's arguments are
+// not listed separately. An unclosed call ends the list.
+function findFunctionCalls(sql, name) {
+  const code = stripSqlLiterals(sql);
+  const pattern = new RegExp(`(^|[^\\w.])${name}\\s*\\(`, 'gi');
+  const calls = [];
+  let match;
+  while ((match = pattern.exec(code))) {
+    const start = match.index + match[1].length;
+    const open = match.index + match[0].length - 1;
+    const args = [];
+    let depth = 0;
+    let argStart = open + 1;
+    let close = -1;
+    for (let i = open; i < code.length && close < 0; i++) {
+      if (code[i] === '(') {
+        depth++;
+      } else if (code[i] === ')' && --depth === 0) {
+        close = i;
+      } else if (code[i] === ',' && depth === 1) {
+        args.push(sql.slice(argStart, i).trim());
+        argStart = i + 1;
+      }
+    }
+    if (close < 0) break;
+    const last = sql.slice(argStart, close).trim();
+    if (last || args.length > 0) args.push(last);
+    calls.push({ start, open, close, args });
+    pattern.lastIndex = close + 1;
+  }
+  return calls;
+}
+
+// Whether code[start, end) is a whole item of a SELECT list, so its text names the column
+function isSelectItem(code, start, end) {
+  if (!/(\bselect|\bdistinct|\ball|,)\s*$/i.test(code.slice(0, start)) || !/^\s*(,|\bfrom\b|;|$)/i.test(code.slice(end))) {
+    return false;
+  }
+  const tokens = code.slice(0, start).match(/\w+|[()]/g) || [];
+  let depth = 0;
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const token = tokens[i].toLowerCase();
+    if (token === ')') {
+      depth++;
+    } else if (token === '(') {
+      if (depth === 0) return false;
+      depth--;
+    } else if (depth === 0 && token === 'select') {
+      return true;
+    } else if (depth === 0 && SELECT_CLAUSE_WORDS.has(token)) {
+      return false;
+    }
+  }
+  return false;
+}
+
+// A function only sees its own row, so yoy(x) can't find last year's value itself: the
+// worker rewrites it to yoy(x, previous) with previous the value of the same country in
+// the year before (LAG over country and year, NULL when the row before is another year,
+// as with gaps in the data or a WHERE that skips years). Needs OWID's country and year
+// columns. A whole SELECT item keeps yoy(x) as its column name. toOriginal maps offsets
+// in the rewritten script back, as in bindParameters.
+function expandOwidShorthands(sql) {
+  const code = stripSqlLiterals(sql);
+  const replacements = [];
+  let rewritten = '';
+  let last = 0;
+  // Calls that already pass `previous` stay as they are
+  findFunctionCalls(sql, 'yoy').filter(call => call.args.length === 1).forEach(({ start, open, close, args: [x] }) => {
+    const window = 'OVER (PARTITION BY country ORDER BY year)';
+    const previous = `CASE WHEN LAG(year) ${window} = year - 1 THEN LAG(${x}) ${window} END`;
+    const name = isSelectItem(code, start, close + 1) ? ` AS ${quoteIdentifier(sql.slice(start, close + 1))}` : '';
+    rewritten += sql.slice(last, start);
+    const newStart = rewritten.length;
+    rewritten += `${sql.slice(start, open + 1)}${x}, ${previous})${name}`;
+    replacements.push({ newStart, newEnd: rewritten.length, origStart: start, origEnd: close + 1 });
+    last = close + 1;
+  });
+  rewritten += sql.slice(last);
+  return { sql: rewritten, toOriginal: originalOffsets(replacements) };
+}
+
+// Calls of the scalar helpers replaced by their plain SQLite expressions, inner calls too.
+// A whole SELECT item keeps the call as its column name, as in expandOwidShorthands.
+function inlineOwidFunctions(sql) {
+  const inlined = OWID_FUNCTIONS.filter(fn => fn.sqlite);
+  let rewritten = sql;
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const fn of inlined) {
+      const calls = findFunctionCalls(rewritten, fn.name).filter(call => call.args.length === fn.sqlite.length);
+      if (calls.length === 0) continue;
+      const code = stripSqlLiterals(rewritten);
+      let next = '';
+      let last = 0;
+      calls.forEach(({ start, close, args }) => {
+        const name = isSelectItem(code, start, close + 1) ? ` AS ${quoteIdentifier(rewritten.slice(start, close + 1))}` : '';
+        next += `${rewritten.slice(last, start)}(${fn.sqlite(...args)})${name}`;
+        last = close + 1;
+      });
+      rewritten = next + rewritten.slice(last);
+      changed = true;
+    }
+  }
+  return rewritten;
+}
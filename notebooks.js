@@ -0,0 +1,573 @@
+// Notebook exports (loaded with a plain <script> tag in index.html). They
+// reproduce the current result outside the browser: every loaded dataset is
+// registered under its table name in SQLite, one of the app's engines, then the
+// same SQL runs and the chart is rebuilt from the config the app rendered.
+//
+// A notebook spec looks like
+//   { datasets, setup: [statements run before the query], query,
+//     chart: { config, title, series: the column splitting it into series, locationMode } or null }
+// where each statement is { sql, parameters: the values of its `:name` parameters }.
+// Needs sqltext.js.
+
+const NOTEBOOK_AGGREGATIONS = {
+  python: { sum: "'sum'", avg: "'mean'", min: "'min'", max: "'max'", count: "'count'" },
+  r: { sum: 'sum(.x, na.rm = TRUE)', avg: 'mean(.x, na.rm = TRUE)', min: 'min(.x, na.rm = TRUE)', max: 'max(.x, na.rm = TRUE)', count: 'sum(!is.na(.x))' }
+};
+
+// JSON string literals are valid in both Python and R
+function codeString(text) {
+  return JSON.stringify(String(text));
+}
+
+function codeList(values, open = '[', close = ']') {
+  return `${open}${values.map(codeString).join(', ')}${close}`;
+}
+
+// A statement as the notebook runs it: yoy(x) expanded as the worker does, the OWID
+// helpers written out as SQL with `inline` (see inlineOwidFunctions), lists expanded to
+// one parameter per item as in bindParameters, and params as [name without the colon,
+// value] for every parameter left in the SQL. The app binds a parameter without a value
+// as NULL, so does the notebook.
+function notebookStatement({ sql, parameters }, inline = false) {
+  const expanded = expandOwidShorthands(sql.replace(/;\s*$/, '')).sql;
+  const bound = bindParameters(inline ? inlineOwidFunctions(expanded) : expanded, parameters || {});
+  const params = findParameters(bound.sql).map(name => [name, `:${name}` in bound.params ? bound.params[`:${name}`] : null]);
+  return { sql: bound.sql, params };
+}
+
+// The OWID helpers (functions.js) the statements call
+function owidFunctionsUsed(statements) {
+  return OWID_FUNCTIONS.filter(fn => statements.some(stmt => findFunctionCalls(stmt.sql, fn.name).length > 0));
+}
+
+function notebookLocalPath(dataset) {
+  return `${dataset.tableName}.${dataset.format || 'csv'}`;
+}
+
+function groupingColumns(config) {
+  return [...new Set([config.x, config.color, config.facet, config.frame].filter(Boolean))];
+}
+
+// Numbers stay numbers, anything else becomes a string literal
+function codeValue(value) {
+  return typeof value === 'number' ? String(value) : codeString(value);
+}
+
+// Top N, rolling averages and indexing only apply to series charts, as in the app
+function hasSeriesTransforms(config) {
+  return ['scatter', 'line', 'bar'].includes(config.type) && !!(config.topN || config.rolling || config.indexBase !== null);
+}
+
+// Animated scatter plots have no trendline in the app
+function hasTrendline(config) {
+  return config.trendline !== 'none' && ['line', 'scatter'].includes(config.type) && !(config.type === 'scatter' && config.frame);
+}
+
+function datasetListMarkdown(datasets) {
+  return datasets.map(d => d.source === 'file'
+    ? `- \`${d.tableName}\`: ${d.name} (uploaded from a local file, save it as \`${notebookLocalPath(d)}\` next to this notebook)`
+    : `- \`${d.tableName}\`: [${d.name}](${d.url})`
+  ).join('\n');
+}
+
+// --- Python (Jupyter) ---
+
+// Triple quotes keep the SQL readable unless it contains quotes or escapes of its own
+function pythonSql(sql) {
+  return /"""|\\/.test(sql) ? codeString(sql) : `"""\n${sql}\n"""`;
+}
+
+// The OWID helpers in Python for sqlite3, same results as their `apply` and `aggregate`
+// in functions.js
+const PYTHON_OWID_FUNCTIONS = {
+  is_country: {
+    code: `def is_country(code):
+    return 1 if isinstance(code, str) and (re.fullmatch(r"[A-Z]{3}", code) or code == "OWID_KOS") else 0`,
+    register: 'con.create_function("is_country", 1, is_country)'
+  },
+  owid_region: {
+    code: `OWID_CONTINENTS = ${JSON.stringify(OWID_CONTINENTS, null, 4)}
+CONTINENT_BY_CODE = {code: continent for continent, codes in OWID_CONTINENTS.items() for code in codes.split()}
+
+def owid_region(code):
+    return CONTINENT_BY_CODE.get(code)`,
+    register: 'con.create_function("owid_region", 1, owid_region)'
+  },
+  per_capita: {
+    code: `def per_capita(x, population):
+    return None if x is None or not population else x / population`,
+    register: 'con.create_function("per_capita", 2, per_capita)'
+  },
+  yoy: {
+    code: `def yoy(x, previous):
+    return None if x is None or not previous else (x - previous) / abs(previous) * 100`,
+    register: 'con.create_function("yoy", 2, yoy)'
+  },
+  cagr: {
+    code: `def cagr(first, last, years):
+    if first is None or last is None or years is None or not (first > 0 and last >= 0 and years > 0):
+        return None
+    return ((last / first) ** (1 / years) - 1) * 100`,
+    register: 'con.create_function("cagr", 3, cagr)'
+  },
+  median: {
+    code: `class Median:
+    def __init__(self):
+        self.values = []
+
+    def step(self, x):
+        if isinstance(x, (int, float)):
+            self.values.append(x)
+
+    def finalize(self):
+        return percentile(self.values, 50)`,
+    register: 'con.create_aggregate("median", 1, Median)'
+  },
+  percentile: {
+    code: `class Percentile:
+    def __init__(self):
+        self.values = []
+        self.p = None
+
+    def step(self, x, p):
+        if isinstance(x, (int, float)):
+            self.values.append(x)
+        self.p = p
+
+    def finalize(self):
+        return percentile(self.values, self.p)`,
+    register: 'con.create_aggregate("percentile", 2, Percentile)'
+  }
+};
+
+// Linear interpolation between the closest ranks, as percentile() in functions.js
+const PYTHON_PERCENTILE = `def percentile(values, p):
+    if not values or not isinstance(p, (int, float)) or p < 0 or p > 100:
+        return None
+    values = sorted(values)
+    rank = p / 100 * (len(values) - 1)
+    lower = math.floor(rank)
+    return values[lower] + (values[math.ceil(rank)] - values[lower]) * (rank - lower)`;
+
+// Defines and registers the helpers a notebook's SQL calls
+function pythonOwidFunctionsCode(used) {
+  const names = used.map(fn => fn.name);
+  const aggregates = names.includes('median') || names.includes('percentile');
+  const imports = [names.includes('is_country') && 'import re', aggregates && 'import math'].filter(Boolean);
+  const definitions = used.map(fn => PYTHON_OWID_FUNCTIONS[fn.name].code);
+  if (aggregates) definitions.unshift(PYTHON_PERCENTILE);
+  return [
+    ["# The app's OWID helper functions, which SQLite doesn't have", ...imports].join('\n'),
+    ...definitions,
+    used.map(fn => PYTHON_OWID_FUNCTIONS[fn.name].register).join('\n')
+  ].join('\n\n');
+}
+
+function pythonParams(params) {
+  return `{${params.map(([name, value]) => `${codeString(name)}: ${value === null ? 'None' : codeValue(value)}`).join(', ')}}`;
+}
+
+// params= for pd.read_sql_query and con.execute, nothing when the statement has no parameters
+function pythonParamsArg({ params }) {
+  return params.length > 0 ? `, params=${pythonParams(params)}` : '';
+}
+
+function pythonArgs(args) {
+  return args
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([key, value]) => `    ${key}=${value === true ? 'True' : value},`)
+    .join('\n');
+}
+
+const PYTHON_OWID_JSON_READER = `def read_owid_json(url):
+    """Records as a table, or OWID's country-keyed JSON flattened to one row per data point."""
+    with urllib.request.urlopen(url) as response:
+        data = json.load(response)
+    if isinstance(data, list):
+        return pd.DataFrame(data)
+    return pd.DataFrame([
+        {'country': country, **{k: v for k, v in entry.items() if k != 'data'}, **record}
+        for country, entry in data.items()
+        for record in entry.get('data', [])
+    ])`;
+
+function pythonLoadCode(dataset) {
+  const source = codeString(dataset.source === 'file' ? notebookLocalPath(dataset) : dataset.url);
+  const reader = {
+    csv: `pd.read_csv(${source})`,
+    tsv: `pd.read_csv(${source}, sep='\\t')`,
+    json: `read_owid_json(${source})`
+  }[dataset.format || 'csv'];
+  return `${dataset.tableName} = ${reader}\n${dataset.tableName}.to_sql(${codeString(dataset.tableName)}, con, index=False)\nprint(f"${dataset.tableName}: {len(${dataset.tableName}):,} rows")`;
+}
+
+// Each series is ranked by its latest value, averaged over trailing windows of
+// points and divided by its own value at the base
+function pythonSeriesCode(config, series) {
+  const col = codeString;
+  const [x, y] = [col(config.x), col(config.y)];
+  const lines = [`df = df.sort_values(${x})`];
+  if (config.topN && series) {
+    lines.push(`latest = df.dropna(subset=[${y}]).groupby(${col(series)})[${y}].last()`);
+    lines.push(`df = df[df[${col(series)}].isin(latest.nlargest(${config.topN}).index)].copy()`);
+  }
+  if (config.rolling) {
+    lines.push(series
+      ? `df[${y}] = df.groupby(${col(series)})[${y}].transform(lambda s: s.rolling(${config.rolling}).mean())`
+      : `df[${y}] = df[${y}].rolling(${config.rolling}).mean()`);
+  }
+  if (config.indexBase !== null) {
+    const atBase = `df[${x}] == ${codeValue(config.indexBase)}`;
+    lines.push(series
+      ? `base = df[${atBase}].groupby(${col(series)})[${y}].first()\ndf[${y}] = df[${y}] / df[${col(series)}].map(base) * 100`
+      : `df[${y}] = df[${y}] / df.loc[${atBase}, ${y}].iloc[0] * 100`);
+  }
+  return lines;
+}
+
+function pythonChartCode({ config, title, series, locationMode }) {
+  const col = codeString;
+  const lines = ['df = result'];
+
+  if (config.aggregate !== 'none') {
+    const measures = [config.y, config.size].filter(Boolean);
+    lines.push(`df = df.groupby(${codeList(groupingColumns(config))}, as_index=False, dropna=False)[${codeList(measures)}].agg(${NOTEBOOK_AGGREGATIONS.python[config.aggregate]})`);
+  }
+
+  if (config.type === 'race') {
+    const top = config.topN || 10;
+    lines.push(`df = df.dropna(subset=[${col(config.y)}]).sort_values(${col(config.y)}, ascending=False)`);
+    lines.push(config.frame
+      ? `df = df.groupby(${col(config.frame)}).head(${top}).sort_values([${col(config.frame)}, ${col(config.y)}])`
+      : `df = df.head(${top}).sort_values(${col(config.y)})`);
+    lines.push(`fig = px.bar(\n    df,\n${pythonArgs([
+      ['x', col(config.y)],
+      ['y', col(config.x)],
+      ['orientation', "'h'"],
+      ['animation_frame', config.frame && col(config.frame)],
+      ['range_x', `(min(0, df[${col(config.y)}].min() * 1.1), max(0, df[${col(config.y)}].max() * 1.1))`],
+      ['title', col(title)]
+    ])}\n)`);
+    return lines.join('\n') + "\nfig.update_yaxes(categoryorder='total ascending')\nfig.show()";
+  }
+
+  if (config.type === 'map') {
+    let value = config.y;
+    lines.push(`df = df[df[${col(config.x)}].notna() & ~df[${col(config.x)}].astype(str).str.startswith('OWID_')]`);
+    if (config.yLog) {
+      value = `log10(${config.y})`;
+      lines.push(`df = df[df[${col(config.y)}] > 0].assign(**{${col(value)}: lambda d: np.log10(d[${col(config.y)}])})`);
+    }
+    if (config.frame) lines.push(`df = df.sort_values(${col(config.frame)})`);
+    lines.push(`fig = px.choropleth(\n    df,\n${pythonArgs([
+      ['locations', col(config.x)],
+      ['locationmode', col(locationMode)],
+      ['color', col(value)],
+      ['animation_frame', config.frame && col(config.frame)],
+      ['range_color', `(df[${col(value)}].min(), df[${col(value)}].max())`],
+      ['color_continuous_scale', "'YlOrRd'"],
+      ['projection', "'natural earth'"],
+      ['title', col(title)]
+    ])}\n)`);
+    return lines.join('\n') + '\nfig.show()';
+  }
+
+  const animated = config.type === 'scatter' && !!config.frame;
+  if (hasSeriesTransforms(config)) lines.push(...pythonSeriesCode(config, series));
+  else if (config.type === 'line') lines.push(`df = df.sort_values(${col(config.x)})`);
+  // Frames play in the order they first appear
+  if (animated) lines.push(`df = df.sort_values(${col(config.frame)}, kind='stable')`);
+
+  if (config.type === 'pie') {
+    lines.push(`fig = px.pie(\n    df,\n${pythonArgs([
+      ['names', col(config.x)],
+      ['values', col(config.y)],
+      ['facet_col', config.facet && col(config.facet)],
+      ['facet_col_wrap', config.facet && 3],
+      ['title', col(title)]
+    ])}\n)`);
+    return lines.join('\n') + "\nfig.update_traces(textinfo='label+percent')\nfig.show()";
+  }
+
+  // Plotly Express only fits trendlines on scatter plots, lines are drawn onto their markers afterwards
+  const trendline = hasTrendline(config);
+  const fn = trendline ? 'scatter' : { line: 'line', scatter: 'scatter', bar: 'bar' }[config.type];
+  const facet = config.facet && !animated;
+  lines.push(`fig = px.${fn}(\n    df,\n${pythonArgs([
+    ['x', col(config.x)],
+    ['y', col(config.y)],
+    ['color', config.color && col(config.color)],
+    // Same scaling as the app: marker area follows the absolute value
+    ['size', config.size && config.type !== 'bar' && `df[${col(config.size)}].abs().fillna(0)`],
+    ['facet_col', facet && col(config.facet)],
+    ['facet_col_wrap', facet && 3],
+    ['animation_frame', animated && col(config.frame)],
+    ['animation_group', animated && config.color && col(config.color)],
+    ['range_x', animated && !config.xLog && `(df[${col(config.x)}].min(), df[${col(config.x)}].max())`],
+    ['range_y', animated && !config.yLog && `(df[${col(config.y)}].min(), df[${col(config.y)}].max())`],
+    ['trendline', trendline && (config.trendline === 'loess' ? "'lowess'" : "'ols'")],
+    ['trendline_options', config.trendline === 'loess' && trendline && 'dict(frac=0.75)'],
+    ['log_x', config.xLog],
+    ['log_y', config.yLog],
+    ['markers', fn === 'line'],
+    ['barmode', config.type === 'bar' && "'group'"],
+    ['title', col(title)]
+  ])}\n)`);
+  if (trendline && config.type === 'line') lines.push("fig.update_traces(mode='lines+markers', selector=dict(mode='markers'))");
+  if (trendline) lines.push("fig.update_traces(line_dash='dash', selector=dict(mode='lines'))");
+  if (facet) lines.push("fig.update_xaxes(matches=None)\nfig.update_yaxes(matches=None)");
+  return lines.join('\n') + '\nfig.show()';
+}
+
+function notebookCell(cellType, source, index) {
+  const lines = source.split('\n');
+  const cell = {
+    cell_type: cellType,
+    id: `cell-${index}`,
+    metadata: {},
+    source: lines.map((line, i) => i < lines.length - 1 ? `${line}\n` : line)
+  };
+  return cellType === 'code' ? { ...cell, execution_count: null, outputs: [] } : cell;
+}
+
+function buildJupyterNotebook({ datasets, setup, query, chart }) {
+  const setupStatements = setup.map(stmt => notebookStatement(stmt));
+  const statement = notebookStatement(query);
+  const helpers = owidFunctionsUsed([...setupStatements, statement]);
+  const usesJson = datasets.some(d => d.format === 'json');
+  const usesNumpy = chart && chart.config.type === 'map' && chart.config.yLog;
+  const usesStatsmodels = chart && hasTrendline(chart.config);
+  const cells = [
+    ['markdown', `# ${chart ? chart.title : 'Our World in Data analysis'}\n\nExported from OWID SQLMate on ${new Date().toISOString().slice(0, 10)}. The datasets are loaded into SQLite under the same table names as in the app${helpers.length > 0 ? ' and the helper functions the query uses are added to it' : ''}, so the query runs as it did in the app.\n\n${datasetListMarkdown(datasets)}\n\nRequires \`pip install pandas plotly${usesStatsmodels ? ' statsmodels' : ''}\`.`],
+    ['code', [
+      usesJson && 'import json\nimport urllib.request',
+      'import sqlite3',
+      usesNumpy && 'import numpy as np',
+      'import pandas as pd\nimport plotly.express as px',
+      '\ncon = sqlite3.connect(":memory:")',
+      usesJson && `\n${PYTHON_OWID_JSON_READER}`
+    ].filter(Boolean).join('\n')],
+    ...(helpers.length > 0 ? [['code', pythonOwidFunctionsCode(helpers)]] : []),
+    ['markdown', '## Load the datasets'],
+    ...datasets.map(d => ['code', pythonLoadCode(d)]),
+    ['markdown', '## Run the query']
+  ];
+
+  // executescript can't bind parameters, statements that have some run one by one
+  if (setupStatements.some(stmt => stmt.params.length > 0)) {
+    cells.push(['code', `# Statements that ran before the query in the app\n${setupStatements.map(stmt =>
+      `con.execute(${pythonSql(stmt.sql)}${stmt.params.length > 0 ? `, ${pythonParams(stmt.params)}` : ''})`
+    ).join('\n')}`]);
+  } else if (setupStatements.length > 0) {
+    cells.push(['code', `# Statements that ran before the query in the app\ncon.executescript(${pythonSql(setupStatements.map(stmt => `${stmt.sql};`).join('\n'))})`]);
+  }
+  cells.push(['code', `result = pd.read_sql_query(${pythonSql(statement.sql)}, con${pythonParamsArg(statement)})\nprint(f"Query returned {len(result):,} rows")\nresult.head()`]);
+
+  if (chart) {
+    cells.push(['markdown', '## Chart']);
+    cells.push(['code', pythonChartCode(chart)]);
+  }
+
+  return {
+    cells: cells.map(([type, source], i) => notebookCell(type, source, i + 1)),
+    metadata: {
+      kernelspec: { display_name: 'Python 3', language: 'python', name: 'python3' },
+      language_info: { name: 'python' }
+    },
+    nbformat: 4,
+    nbformat_minor: 5
+  };
+}
+
+// --- R (Quarto) ---
+
+// Raw strings keep the SQL readable unless it contains their closing sequence
+function rSql(sql) {
+  return sql.includes(')"') ? codeString(sql) : `r"(\n${sql}\n)"`;
+}
+
+const R_OWID_JSON_READER = `# Records as a table, or OWID's country-keyed JSON flattened to one row per data point
+read_owid_json <- function(url) {
+  data <- jsonlite::fromJSON(url, simplifyVector = FALSE)
+  if (is.null(names(data))) return(bind_rows(data))
+  bind_rows(lapply(names(data), function(country) {
+    entry <- data[[country]]
+    meta <- entry[setdiff(names(entry), "data")]
+    bind_rows(lapply(entry$data, function(record) c(list(country = country), meta, record)))
+  }))
+}`;
+
+// params = for dbExecute and dbGetQuery, nothing when the statement has no parameters
+function rParamsArg({ params }) {
+  if (params.length === 0) return '';
+  const name = (text) => /^[A-Za-z][A-Za-z0-9_.]*$/.test(text) ? text : `\`${text}\``;
+  return `, params = list(${params.map(([key, value]) => `${name(key)} = ${value === null ? 'NA' : codeValue(value)}`).join(', ')})`;
+}
+
+function rLoadCode(dataset) {
+  const source = codeString(dataset.source === 'file' ? notebookLocalPath(dataset) : dataset.url);
+  const reader = {
+    csv: `read_csv(${source}, show_col_types = FALSE)`,
+    tsv: `read_tsv(${source}, show_col_types = FALSE)`,
+    json: `read_owid_json(${source})`
+  }[dataset.format || 'csv'];
+  return `${dataset.tableName} <- ${reader}\ndbWriteTable(con, ${codeString(dataset.tableName)}, ${dataset.tableName})`;
+}
+
+// Same steps as pythonSeriesCode, stats::filter gives the trailing means
+function rSeriesCode(config, series) {
+  const col = (name) => `.data[[${codeString(name)}]]`;
+  const y = codeString(config.y);
+  const perSeries = (steps) => series
+    ? `df <- df |>\n  group_by(across(all_of(${codeString(series)}))) |>\n  ${steps.join(' |>\n  ')} |>\n  ungroup()`
+    : `df <- df |>\n  ${steps.join(' |>\n  ')}`;
+  const lines = [`df <- df |> arrange(${col(config.x)})`];
+  if (config.topN && series) {
+    lines.push(`latest <- df |>\n  filter(!is.na(${col(config.y)})) |>\n  group_by(across(all_of(${codeString(series)}))) |>\n  summarise(latest = last(${col(config.y)}), .groups = "drop") |>\n  slice_max(latest, n = ${config.topN}, with_ties = FALSE)`);
+    lines.push(`df <- df |> filter(${col(series)} %in% latest[[${codeString(series)}]])`);
+  }
+  if (config.rolling) {
+    lines.push(perSeries([`mutate(across(all_of(${y}), ~ as.numeric(stats::filter(.x, rep(1 / ${config.rolling}, ${config.rolling}), sides = 1))))`]));
+  }
+  if (config.indexBase !== null) {
+    lines.push(perSeries([
+      `mutate(.base = first(${col(config.y)}[${col(config.x)} == ${codeValue(config.indexBase)}]))`,
+      `mutate(across(all_of(${y}), ~ .x / .base * 100))`,
+      'select(-.base)'
+    ]));
+  }
+  return lines;
+}
+
+function rChartCode({ config, title, series, locationMode }) {
+  const col = (name) => `.data[[${codeString(name)}]]`;
+  const lines = ['df <- result'];
+
+  if (config.aggregate !== 'none') {
+    const measures = [config.y, config.size].filter(Boolean);
+    lines.push(`df <- df |>\n  group_by(across(all_of(${codeList(groupingColumns(config), 'c(', ')')}))) |>\n  summarise(across(all_of(${codeList(measures, 'c(', ')')}), ~ ${NOTEBOOK_AGGREGATIONS.r[config.aggregate]}), .groups = "drop")`);
+  }
+
+  // ggplot draws a single frame of the app's animations
+  if (config.frame && ['race', 'scatter'].includes(config.type)) {
+    lines.push(`# The app animates over ${config.frame}, this shows the last one\ndf <- df |> filter(${col(config.frame)} == max(${col(config.frame)}, na.rm = TRUE))`);
+  }
+
+  if (config.type === 'race') {
+    lines.push(`df <- df |> filter(!is.na(${col(config.y)})) |> slice_max(${col(config.y)}, n = ${config.topN || 10}, with_ties = FALSE)`);
+    lines.push(`ggplot(df, aes(x = ${col(config.y)}, y = reorder(factor(${col(config.x)}), ${col(config.y)}))) +
+  geom_col(fill = "#3b82f6") +
+  labs(title = ${codeString(title)}, x = ${codeString(config.y)}, y = ${codeString(config.x)}) +
+  theme_minimal()`);
+    return lines.join('\n');
+  }
+
+  if (config.type === 'map') {
+    lines.push(`df <- df |> filter(!is.na(${col(config.x)}), !startsWith(as.character(${col(config.x)}), "OWID_"))`);
+    if (config.yLog) lines.push(`df <- df |> filter(${col(config.y)} > 0)`);
+    const z = config.yLog ? `log10(df[[${codeString(config.y)}]])` : `df[[${codeString(config.y)}]]`;
+    lines.push(`z <- ${z}`);
+    lines.push(`plot_geo(df${config.frame ? `, frame = df[[${codeString(config.frame)}]]` : ''}) |>
+  add_trace(
+    type = "choropleth",
+    locations = df[[${codeString(config.x)}]],
+    locationmode = ${codeString(locationMode)},
+    z = z,
+    zmin = min(z, na.rm = TRUE),
+    zmax = max(z, na.rm = TRUE),
+    colorscale = "YlOrRd",
+    colorbar = list(title = ${codeString(config.yLog ? `log10(${config.y})` : config.y)})
+  ) |>
+  layout(title = ${codeString(title)}, geo = list(showframe = FALSE, projection = list(type = "natural earth")))`);
+    return lines.join('\n');
+  }
+
+  if (config.type === 'pie') {
+    lines.push(`ggplot(df, aes(x = "", y = ${col(config.y)}, fill = factor(${col(config.x)}))) +
+  geom_col(width = 1) +
+  coord_polar(theta = "y") +${config.facet ? `\n  facet_wrap(vars(${col(config.facet)}), ncol = 3) +` : ''}
+  labs(title = ${codeString(title)}, fill = ${codeString(config.x)}) +
+  theme_void()`);
+    return lines.join('\n');
+  }
+
+  if (hasSeriesTransforms(config)) lines.push(...rSeriesCode(config, series));
+  else if (config.type === 'line') lines.push(`df <- df |> arrange(${col(config.x)})`);
+
+  const aes = [`x = ${col(config.x)}`, `y = ${col(config.y)}`];
+  if (config.color) {
+    // A numeric color column on a scatter plot is a continuous scale, like in the app
+    const colorValue = config.type === 'scatter' ? col(config.color) : `factor(${col(config.color)})`;
+    aes.push(`${config.type === 'bar' ? 'fill' : 'colour'} = ${colorValue}`);
+    if (config.type === 'line') aes.push(`group = ${col(config.color)}`);
+  }
+  const layers = {
+    line: ['geom_line()', 'geom_point()'],
+    scatter: [config.size ? `geom_point(aes(size = abs(${col(config.size)})))` : 'geom_point()'],
+    bar: ['geom_col(position = "dodge")']
+  }[config.type];
+  if (hasTrendline(config)) {
+    // Degree 1 is the local linear fit the app draws
+    layers.push(config.trendline === 'loess'
+      ? 'geom_smooth(method = "loess", formula = y ~ x, span = 0.75, method.args = list(degree = 1), se = FALSE, linetype = "dashed")'
+      : 'geom_smooth(method = "lm", formula = y ~ x, se = FALSE, linetype = "dashed")');
+  }
+  if (config.facet && !(config.type === 'scatter' && config.frame)) layers.push(`facet_wrap(vars(${col(config.facet)}), ncol = 3, scales = "free")`);
+  if (config.xLog) layers.push('scale_x_log10()');
+  if (config.yLog) layers.push('scale_y_log10()');
+  const labels = [`title = ${codeString(title)}`, `x = ${codeString(config.x)}`, `y = ${codeString(config.y)}`];
+  if (config.color) labels.push(`${config.type === 'bar' ? 'fill' : 'colour'} = ${codeString(config.color)}`);
+  if (config.size && config.type === 'scatter') labels.push(`size = ${codeString(config.size)}`);
+  layers.push(`labs(${labels.join(', ')})`, 'theme_minimal()');
+
+  lines.push(`ggplot(df, aes(${aes.join(', ')})) +\n  ${layers.join(' +\n  ')}`);
+  return lines.join('\n');
+}
+
+// RSQLite can't add functions written in R: the scalar helpers are written out as SQL,
+// median() and power() (for cagr) come from RSQLite's math extension, and a query that
+// uses percentile() can't be exported
+function buildQuartoDocument({ datasets, setup, query, chart }) {
+  const helpers = owidFunctionsUsed([...setup, query].map(stmt => notebookStatement(stmt))).map(fn => fn.name);
+  if (helpers.includes('percentile')) {
+    throw new Error('R has no way to add percentile() to SQLite, so the Quarto document could not run this query. Export a Jupyter notebook instead, or compute the percentile in R from the query result.');
+  }
+  const usesMath = helpers.includes('median') || helpers.includes('cagr');
+  const setupStatements = setup.map(stmt => notebookStatement(stmt, true));
+  const statement = notebookStatement(query, true);
+  const usesJson = datasets.some(d => d.format === 'json');
+  const isMap = chart && chart.config.type === 'map';
+  const chunk = (label, code) => `\`\`\`{r ${label}}\n${code}\n\`\`\``;
+  const setupCode = [
+    'library(DBI)',
+    'library(RSQLite)',
+    'library(readr)',
+    'library(dplyr)',
+    isMap ? 'library(plotly)' : 'library(ggplot2)',
+    '',
+    'con <- dbConnect(SQLite(), ":memory:")',
+    usesMath ? '# median() and power() for the OWID helper functions\nRSQLite::initExtension(con)' : null,
+    usesJson ? `\n${R_OWID_JSON_READER}` : null
+  ].filter(line => line !== null).join('\n');
+
+  const parts = [
+    `---\ntitle: ${codeString(chart ? chart.title : 'Our World in Data analysis')}\nformat: html\n---`,
+    `Exported from OWID SQLMate on ${new Date().toISOString().slice(0, 10)}. The datasets are loaded into SQLite under the same table names as in the app${helpers.length > 0 ? " and the app's helper functions are written out as SQL" : ''}, so the query runs as it did in the app.\n\n${datasetListMarkdown(datasets)}\n\nRequires the DBI, RSQLite, readr, dplyr${usesJson ? ', jsonlite' : ''} and ${isMap ? 'plotly' : 'ggplot2'} packages.`,
+    chunk('setup', setupCode),
+    '## Load the datasets',
+    chunk('load', datasets.map(rLoadCode).join('\n\n')),
+    '## Run the query'
+  ];
+
+  if (setupStatements.length > 0) {
+    parts.push(chunk('setup-sql', `# Statements that ran before the query in the app\n${setupStatements.map(stmt => `dbExecute(con, ${rSql(stmt.sql)}${rParamsArg(stmt)})`).join('\n')}`));
+  }
+  parts.push(chunk('query', `result <- dbGetQuery(con, ${rSql(statement.sql)}${rParamsArg(statement)})\nhead(result)`));
+
+  if (chart) {
+    parts.push('## Chart');
+    parts.push(chunk('chart', rChartCode(chart)));
+  }
+
+  return parts.join('\n\n') + '\n';
+}
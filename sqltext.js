@@ -0,0 +1,123 @@
+// SQL text helpers shared by the page and the SQL worker (loaded with a plain
+// <script> tag in index.html and with importScripts() in worker.js): identifier
+// quoting, blanking out literals, finding and binding `:name` parameters, and
+// finding the tables a script writes to
+
+const SQL_RESERVED_WORDS = new Set([
+  'select', 'from', 'where', 'group', 'order', 'by', 'limit', 'offset', 'join', 'on',
+  'and', 'or', 'not', 'in', 'between', 'like', 'is', 'null', 'as', 'having', 'case',
+  'when', 'then', 'else', 'end', 'table', 'index', 'values', 'union', 'all', 'distinct',
+  'create', 'drop', 'insert', 'update', 'delete', 'into', 'set', 'default', 'check',
+  'primary', 'references', 'unique', 'constraint', 'foreign', 'collate', 'cast', 'exists',
+  'with', 'except', 'intersect', 'to', 'do', 'natural', 'using', 'window', 'over', 'asc', 'desc'
+]);
+
+// Quote identifiers that are not plain words or that clash with SQL keywords
+function quoteIdentifier(name) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !SQL_RESERVED_WORDS.has(name.toLowerCase())) return name;
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function unquoteIdentifier(token) {
+  return token.startsWith('"') ? token.slice(1, -1).replace(/""/g, '"') : token;
+}
+
+// Blank out string literals, quoted identifiers and comments (keeping offsets and
+// line breaks) so keyword checks only look at SQL code
+function stripSqlLiterals(sql) {
+  return sql.replace(
+    /'(?:[^']|'')*(?:'|$)|"(?:[^"]|"")*(?:"|$)|`[^`]*(?:`|$)|\[[^\]]*(?:\]|$)|--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/g,
+    match => match.replace(/[^\n]/g, ' ')
+  );
+}
+
+const PARAMETER_PATTERN = /(^|[^\w:]):([A-Za-z_]\w*)/g;
+
+// `:name` parameters outside literals and comments, as { start, end, name } in order,
+// with the name without its colon
+function parameterMatches(sql) {
+  return [...stripSqlLiterals(sql).matchAll(PARAMETER_PATTERN)].map(match => {
+    const start = match.index + match[1].length;
+    return { start, end: start + match[2].length + 1, name: match[2] };
+  });
+}
+
+// Every parameter replaced by replacement(':name')
+function replaceParameters(sql, replacement) {
+  let rewritten = '';
+  let last = 0;
+  parameterMatches(sql).forEach(({ start, end, name }) => {
+    rewritten += sql.slice(last, start) + replacement(`:${name}`);
+    last = end;
+  });
+  return rewritten + sql.slice(last);
+}
+
+// Named parameters like :country or :start_year in a script, in order of first use
+function findParameters(sql) {
+  return [...new Set(parameterMatches(sql).map(({ name }) => name))];
+}
+
+// sql.js bindings for named parameters: { ':country': 'India' }. A list can't be bound
+// to a single parameter, so for `country IN (:countries)` each use becomes
+// `:countries_1, :countries_2, ...` (NULL for an empty list). toOriginal maps offsets in
+// the rewritten script back to the text that was written, for error positions.
+function bindParameters(sql, values) {
+  const params = {};
+  const replacements = [];
+  let rewritten = '';
+  let last = 0;
+  for (const { start, end, name } of parameterMatches(sql)) {
+    if (!(name in values)) continue;
+    const value = values[name];
+    if (!Array.isArray(value)) {
+      params[`:${name}`] = value;
+      continue;
+    }
+    const names = value.map((_, i) => `:${name}_${i + 1}`);
+    names.forEach((item, i) => { params[item] = value[i]; });
+    rewritten += sql.slice(last, start);
+    const newStart = rewritten.length;
+    rewritten += names.length > 0 ? names.join(', ') : 'NULL';
+    replacements.push({ newStart, newEnd: rewritten.length, origStart: start, origEnd: end });
+    last = end;
+  }
+  rewritten += sql.slice(last);
+  return { sql: rewritten, params, toOriginal: originalOffsets(replacements) };
+}
+
+// Offset mapping for a rewritten script, from the rewritten ranges in order as
+// { newStart, newEnd, origStart, origEnd }. Offsets inside a rewritten range map to
+// the start of the text it replaced.
+function originalOffsets(replacements) {
+  return (offset) => {
+    let mapped = offset;
+    for (const r of replacements) {
+      if (offset >= r.newEnd) mapped = r.origEnd + (offset - r.newEnd);
+      else if (offset >= r.newStart) return r.origStart;
+    }
+    return mapped;
+  };
+}
+
+// `CREATE TABLE IF NOT EXISTS` leaves an existing table alone, so it stops before the name
+const TABLE_WRITE_PATTERN = /\b(INSERT\s+(?:OR\s+\w+\s+)?INTO|REPLACE\s+INTO|UPDATE(?:\s+OR\s+\w+)?|DELETE\s+FROM|DROP\s+TABLE(?:\s+IF\s+EXISTS)?|ALTER\s+TABLE|CREATE\s+(?:OR\s+REPLACE\s+)?(?:TEMP(?:ORARY)?\s+)?TABLE|TRUNCATE(?:\s+TABLE)?|COPY)\b/gi;
+
+// Loaded dataset tables a script would change, e.g. [{ keyword: 'DROP', table: 'co2_data' }]
+// for `DROP TABLE co2_data`. Names are read from the original text since quoted
+// identifiers are blanked out in the stripped copy. `COPY t TO` only reads t.
+function findDatasetWrites(sql, tableNames) {
+  const code = stripSqlLiterals(sql);
+  const writes = [];
+  for (const match of code.matchAll(TABLE_WRITE_PATTERN)) {
+    const nameStart = match.index + match[0].length;
+    const name = sql.slice(nameStart).match(/^\s+(?:\w+\.)?("(?:[^"]|"")+"|\w+)/);
+    if (!name) continue;
+    const table = tableNames.find(t => t.toLowerCase() === unquoteIdentifier(name[1]).toLowerCase());
+    const words = match[1].toUpperCase().split(/\s+/);
+    const keyword = words[0] === 'CREATE' && words[1] === 'OR' ? 'REPLACE' : words[0];
+    if (keyword === 'COPY' && !/^\s*(?:\([^)]*\)\s*)?FROM\b/i.test(code.slice(nameStart + name[0].length))) continue;
+    if (table && !writes.some(w => w.keyword === keyword && w.table === table)) writes.push({ keyword, table });
+  }
+  return writes;
+}
@@ -0,0 +1,112 @@
+// Service worker that lets the app start without a network (registered by app.js).
+// Datasets already live in the IndexedDB cache of datasets.js; this caches everything
+// else a start needs: the page, its scripts and the libraries it takes from CDNs.
+//   - local files: network first, so a new deploy shows up on the next load, and the
+//     cached copy when the network fails
+//   - CDN files: the cached copy, refreshed in the background
+// Requests from worker.js go through here too, so its importScripts() libraries and
+// the engines' wasm files are cached the same way. Dataset downloads and model
+// servers are left alone.
+
+importScripts('engines.js');
+
+const APP_CACHE_PREFIX = 'owid-sqlmate-app-';
+const APP_CACHE = `${APP_CACHE_PREFIX}v1`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'datasets.js',
+  'sqltext.js',
+  'functions.js',
+  'engines.js',
+  'exporters.js',
+  'notebooks.js',
+  'assistant.js',
+  'worker.js'
+];
+
+// Only the default engine is stored up front, DuckDB's much larger files once it is used
+const ENGINE_ASSETS = [`${SQLJS_URL}sql-wasm.js`, `${SQLJS_URL}sql-wasm.wasm`];
+
+const CDN_HOSTS = [
+  'cdn.tailwindcss.com',
+  'unpkg.com',
+  'cdn.plot.ly',
+  'cdnjs.cloudflare.com',
+  'cdn.jsdelivr.net',
+  'cdn.sheetjs.com'
+];
+
+// The libraries index.html loads, read from the page itself so the two never disagree
+async function pageLibraries(cache) {
+  const page = await cache.match('index.html');
+  const html = await page.text();
+  return [...html.matchAll(/(?:src|href)="(https:\/\/[^"]+)"/g)].map(match => match[1]);
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(APP_SHELL);
+    // A library that can't be stored now is cached when the page first asks for it
+    const libraries = [...await pageLibraries(cache), ...ENGINE_ASSETS];
+    await Promise.allSettled(libraries.map(url => cache.add(new Request(url, { mode: 'cors' }))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Opaque responses (no-cors CDN scripts) can't be checked, but work for the tag that asked
+async function store(request, response) {
+  if (!response.ok && response.type !== 'opaque') return;
+  const cache = await caches.open(APP_CACHE);
+  await cache.put(request, response);
+}
+
+async function networkFirst(event) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    event.waitUntil(store(request, response.clone()));
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' }) ||
+      (request.mode === 'navigate' ? await caches.match('index.html') : undefined);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(event) {
+  const { request } = event;
+  const refresh = fetch(request).then(response => {
+    event.waitUntil(store(request, response.clone()));
+    return response;
+  });
+  const cached = await caches.match(request);
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(event));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(event));
+  }
+});
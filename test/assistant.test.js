@@ -0,0 +1,124 @@
+// The Ask box's built-in rules (the `mock` backend in assistant.js) over a fixed
+// schema, with the SQL they write run on every engine
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, loadFixture } = require('./setup');
+
+const mock = ASSISTANT_BACKENDS.mock;
+
+// owid_sample.csv as the page describes it, with the countries from its profile
+function sampleSchema() {
+  const { schema, values } = readFixture('owid_sample.csv');
+  const countries = [...new Set(values.map(row => row[0]))];
+  return [{
+    tableName: 'owid',
+    rowCount: values.length,
+    columns: schema.map(col => ({ ...col, description: '' })),
+    profile: {
+      rowCount: values.length,
+      columns: [],
+      coverage: countries.map(country => ({ country, from: 2018, to: 2020, rows: 3 }))
+    }
+  }];
+}
+
+describe('mock assistant', () => {
+  const schema = sampleSchema();
+  const engines = {};
+
+  before(async () => {
+    for (const [name, { create }] of Object.entries(SQL_ENGINES)) {
+      engines[name] = create();
+      await engines[name].open();
+      await loadFixture(engines[name], 'owid_sample.csv', 'owid');
+    }
+  });
+
+  it('ranks countries by their total since a year', async () => {
+    const answer = await mock.ask({}, { question: 'top 10 countries by coal consumption since 2010', schema, dialect: 'SQLite' });
+    assert.equal(answer.sql, [
+      'SELECT country, SUM(coal_consumption) AS sum_coal_consumption',
+      'FROM owid',
+      'WHERE coal_consumption IS NOT NULL',
+      '  AND year >= 2010',
+      '  AND is_country(iso_code) = 1',
+      'GROUP BY country',
+      'ORDER BY sum_coal_consumption DESC',
+      'LIMIT 10'
+    ].join('\n'));
+    assert.equal(answer.explanation, 'Adds up coal_consumption per country and keeps the highest 10 ' +
+      '(from 2010 on; countries only, is_country() leaves out World and the regions).');
+
+    for (const engine of Object.values(engines)) {
+      const { values } = engine.query(answer.sql);
+      assert.deepEqual(values.map(([country]) => country), ['India', 'Germany', 'Afghanistan']);
+      assert.ok(Math.abs(values[0][1] - (5144.6 + 5110.3 + 4872.4)) < 1e-9);
+    }
+  });
+
+  it('answers the same way every time', async () => {
+    const question = { question: 'top 10 countries by coal consumption since 2010', schema, dialect: 'DuckDB' };
+    assert.deepEqual(await mock.ask({}, question), await mock.ask({}, question));
+  });
+
+  it('filters by the countries named in the question', async () => {
+    const answer = await mock.ask({}, { question: 'co2 growth in India and Germany', schema, dialect: 'SQLite' });
+    assert.match(answer.sql, /country IN \('Germany', 'India'\)/);
+    assert.match(answer.sql, /yoy\(co2, LAG\(co2\) OVER \(PARTITION BY country ORDER BY year\)\)/);
+  });
+
+  it('quotes columns named like SQL keywords', async () => {
+    const { schema: columns, values } = readFixture('owid_sample.csv');
+    const renamed = columns.map(col => col.name === 'co2' ? { ...col, name: 'order' } : col);
+    const keywordSchema = [{ ...schema[0], tableName: 'ranked', columns: renamed.map(col => ({ ...col, description: '' })) }];
+    const answer = await mock.ask({}, { question: 'top 3 countries by order in 2020', schema: keywordSchema, dialect: 'SQLite' });
+    assert.match(answer.sql, /SELECT country, "order"\nFROM ranked/);
+
+    for (const engine of Object.values(engines)) {
+      await engine.replaceTable('ranked', renamed, values, async () => {});
+      assert.deepEqual(engine.query(answer.sql).values.map(([country]) => country), ['India', 'Germany', 'Afghanistan']);
+      engine.dropTable('ranked');
+    }
+  });
+
+  it('rejects questions that name no numeric column', async () => {
+    await assert.rejects(mock.ask({}, { question: 'what is the weather like', schema, dialect: 'SQLite' }), /could not match/);
+  });
+
+  it('explains an unknown column from each engine\'s error, with a query that runs', async () => {
+    const sql = "SELECT country, coal_consumtion FROM owid WHERE country = 'India'";
+    for (const engine of Object.values(engines)) {
+      const message = captureError(() => engine.query(sql));
+      assert.match(message, /coal_consumtion/);
+      const help = await mock.explain({}, { sql, message, schema, dialect: 'SQLite' });
+      assert.equal(help.explanation, 'There is no column named coal_consumtion. Did you mean coal_consumption? The query below uses coal_consumption.');
+      assert.equal(help.sql, "SELECT country, coal_consumption FROM owid WHERE country = 'India'");
+      assert.equal(engine.query(help.sql).values.length, 3);
+    }
+  });
+
+  it('explains syntax and GROUP BY errors without a fix', async () => {
+    const syntax = await mock.explain({}, { sql: 'SELEC 1', message: 'near "SELEC": syntax error', schema, dialect: 'SQLite' });
+    assert.match(syntax.explanation, /could not read the query at "SELEC"/);
+    assert.equal(syntax.sql, null);
+
+    const grouping = await mock.explain({}, {
+      sql: 'SELECT country, SUM(co2) FROM owid',
+      message: 'Binder Error: column "country" must appear in the GROUP BY clause or must be part of an aggregate function.',
+      schema,
+      dialect: 'DuckDB'
+    });
+    assert.match(grouping.explanation, /listed in GROUP BY/);
+    assert.equal(grouping.sql, null);
+  });
+});
+
+function captureError(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
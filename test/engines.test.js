@@ -0,0 +1,249 @@
+// One query suite for every engine in SQL_ENGINES, over the CSVs in test/fixtures
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, loadFixture } = require('./setup');
+
+const SAMPLE_ROWS = readFixture('owid_sample.csv').values.length;
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9 * Math.max(1, Math.abs(expected)), `${actual} is not ${expected}`);
+}
+
+// Runs one statement and returns its rows
+function rows(engine, sql, params) {
+  return engine.query(sql, params).values;
+}
+
+for (const [name, { label }] of Object.entries(SQL_ENGINES)) {
+  describe(label, () => {
+    let engine;
+    let sample;
+
+    before(async () => {
+      engine = SQL_ENGINES[name].create();
+      await engine.open();
+      sample = await loadFixture(engine, 'owid_sample.csv', 'owid');
+      await loadFixture(engine, 'literacy.csv', 'literacy');
+    });
+
+    describe('replaceTable and describeTable', () => {
+      it('creates the table with the inferred column types', () => {
+        const { columns, rowCount } = engine.describeTable('owid');
+        assert.deepEqual(columns, [
+          { name: 'country', type: 'TEXT' },
+          { name: 'year', type: 'INTEGER' },
+          { name: 'iso_code', type: 'TEXT' },
+          { name: 'population', type: 'INTEGER' },
+          { name: 'co2', type: 'REAL' },
+          { name: 'coal_consumption', type: 'REAL' },
+          { name: 'note', type: 'TEXT' }
+        ]);
+        assert.equal(rowCount, SAMPLE_ROWS);
+      });
+
+      it('keeps column names that need quoting', () => {
+        const { columns, rowCount } = engine.describeTable('literacy');
+        assert.deepEqual(columns.map(col => col.name), ['Entity', 'Code', 'Year', 'Literacy rate (%)']);
+        assert.equal(rowCount, 5);
+        assert.deepEqual(rows(engine, 'SELECT Entity, "Literacy rate (%)" FROM literacy WHERE Year = 2022'), [['India', 76.3]]);
+      });
+
+      it('stores every value as loaded, missing ones as NULL', () => {
+        assert.deepEqual(rows(engine, 'SELECT * FROM owid ORDER BY country, year'), [...sample.values].sort((a, b) =>
+          a[0].localeCompare(b[0]) || a[1] - b[1]
+        ));
+        assert.deepEqual(rows(engine, "SELECT note FROM owid WHERE country = 'World' AND year = 2020"), [
+          ['Includes "international" transport, estimated']
+        ]);
+      });
+
+      it('replaces a table, and leaves it intact when the load is cancelled', async () => {
+        const { schema, values } = readFixture('literacy.csv');
+        await engine.replaceTable('scratch', schema, values, async () => {});
+        await engine.replaceTable('scratch', schema, values.slice(0, 2), async () => {});
+        assert.equal(engine.describeTable('scratch').rowCount, 2);
+
+        await assert.rejects(engine.replaceTable('scratch', schema, values, async () => {
+          throw new Error('Cancelled');
+        }), /Cancelled/);
+        assert.equal(engine.describeTable('scratch').rowCount, 2);
+
+        engine.dropTable('scratch');
+        assert.deepEqual(rows(engine, "SELECT COUNT(*) FROM literacy WHERE Entity = 'India'"), [[2]]);
+      });
+    });
+
+    describe('exec', () => {
+      it('runs every statement of a script with its offset and result', () => {
+        const script = 'CREATE TABLE recent AS SELECT * FROM owid WHERE year = 2020;\n\n-- countries only\nSELECT COUNT(*) AS n FROM recent WHERE is_country(iso_code) = 1;';
+        const statements = engine.exec(script, null, Infinity);
+        assert.deepEqual(statements.map(stmt => [stmt.index, stmt.offset]), [[1, 0], [2, script.indexOf('SELECT COUNT')]]);
+        assert.deepEqual(statements[0].columns, []);
+        assert.deepEqual(statements[1].columns, ['n']);
+        assert.deepEqual(statements[1].values, [[4]]);
+        assert.equal(statements[1].plan, undefined);
+        engine.exec('DROP TABLE recent', null, Infinity);
+      });
+
+      it('reports the failing statement with the results before it', () => {
+        const script = 'SELECT 1 AS one;\nSELECT missing_column FROM owid;';
+        assert.throws(() => engine.exec(script, null, Infinity), err => {
+          assert.equal(err.details.statement.index, 2);
+          assert.equal(err.details.statement.offset, script.indexOf('SELECT missing'));
+          assert.deepEqual(err.details.results.map(stmt => stmt.values), [[[1]]]);
+          return true;
+        });
+      });
+
+      it('stops at the row cap and reads the rest through the cursor', () => {
+        const sql = 'SELECT country, year FROM owid ORDER BY country, year';
+        const all = rows(engine, sql);
+        const [first] = engine.exec(sql, null, 5);
+        assert.equal(first.truncated, true);
+        assert.deepEqual(first.values, all.slice(0, 5));
+
+        const read = [...first.values];
+        let cursor = first.cursor;
+        while (cursor) {
+          const next = engine.fetch(cursor, 5);
+          read.push(...next.values);
+          cursor = next.cursor;
+        }
+        assert.deepEqual(read, all);
+        assert.throws(() => engine.fetch(first.cursor, 5), /no longer available/);
+      });
+
+      it('adds plans only when asked', () => {
+        const [planned] = engine.exec('SELECT * FROM owid WHERE year = 2020', null, Infinity, true);
+        assert.ok(planned.plan.length > 0);
+        assert.ok(planned.plan.every(step => typeof step.detail === 'string' && step.id > step.parent));
+      });
+    });
+
+    describe('parameters', () => {
+      it('binds named parameters in every statement that uses them', () => {
+        const script = 'SELECT year FROM owid WHERE country = :country AND year >= :from ORDER BY year;\nSELECT :from AS since';
+        const bound = bindParameters(script, { country: 'India', from: 2019 });
+        const statements = engine.exec(bound.sql, bound.params, Infinity);
+        assert.deepEqual(statements[0].values, [[2019], [2020]]);
+        assert.deepEqual(statements[1].values, [[2019]]);
+      });
+
+      it('expands lists into one parameter per item', () => {
+        const sql = 'SELECT DISTINCT country FROM owid WHERE country IN (:countries) ORDER BY country';
+        const bound = bindParameters(sql, { countries: ['World', 'Kosovo'] });
+        assert.deepEqual(engine.exec(bound.sql, bound.params, Infinity)[0].values, [['Kosovo'], ['World']]);
+
+        const empty = bindParameters(sql, { countries: [] });
+        assert.deepEqual(engine.exec(empty.sql, empty.params, Infinity)[0].values, []);
+      });
+
+      it('leaves text that only looks like a parameter alone', () => {
+        const bound = bindParameters("SELECT ':country' AS label, :country AS value", { country: 'India' });
+        assert.deepEqual(engine.exec(bound.sql, bound.params, Infinity)[0].values, [[':country', 'India']]);
+      });
+
+      it('takes positional parameters in query', () => {
+        const { values, truncated } = engine.query('SELECT country FROM owid WHERE year = ? ORDER BY country', [2019], 2);
+        assert.deepEqual(values, [['Afghanistan'], ['Africa']]);
+        assert.equal(truncated, true);
+      });
+    });
+
+    describe('explain', () => {
+      it('plans each statement without running it', () => {
+        const [plan] = engine.explain('DELETE FROM owid WHERE year = 2018');
+        assert.ok(plan.plan !== null && !plan.error);
+        assert.equal(engine.describeTable('owid').rowCount, SAMPLE_ROWS);
+      });
+
+      it('stops at a statement that needs an earlier one to run first', () => {
+        const statements = engine.explain('CREATE TABLE later AS SELECT 1 AS a;\nSELECT a FROM later');
+        const last = statements[statements.length - 1];
+        assert.equal(last.index, 2);
+        assert.equal(last.plan, null);
+        assert.match(last.error, /later/);
+      });
+    });
+
+    describe('OWID helper functions', () => {
+      it('is_country drops OWID aggregates and rows without a code', () => {
+        assert.deepEqual(rows(engine, 'SELECT country FROM owid WHERE year = 2020 AND is_country(iso_code) = 1 ORDER BY country'), [
+          ['Afghanistan'], ['Germany'], ['India'], ['Kosovo']
+        ]);
+      });
+
+      it('owid_region gives the continent', () => {
+        assert.deepEqual(rows(engine, "SELECT DISTINCT iso_code, owid_region(iso_code) FROM owid WHERE year = 2020 ORDER BY COALESCE(iso_code, '')"), [
+          [null, null], ['AFG', 'Asia'], ['DEU', 'Europe'], ['IND', 'Asia'], ['OWID_KOS', 'Europe'], ['OWID_WRL', null]
+        ]);
+      });
+
+      it('per_capita, yoy and cagr return NULL instead of dividing by zero', () => {
+        const [[perCapita, zero]] = rows(engine, "SELECT per_capita(co2, population), per_capita(co2, 0) FROM owid WHERE country = 'India' AND year = 2020");
+        assertClose(perCapita, 2445 / 1396387127);
+        assert.equal(zero, null);
+
+        const changes = rows(engine, `SELECT year, yoy(co2, LAG(co2) OVER (PARTITION BY country ORDER BY year))
+          FROM owid WHERE country = 'Germany' ORDER BY year`);
+        assert.equal(changes[0][1], null);
+        assertClose(changes[1][1], (707.2 - 754.4) / 754.4 * 100);
+        assertClose(changes[2][1], (639.4 - 707.2) / 707.2 * 100);
+
+        const [[growth, invalid]] = rows(engine, 'SELECT cagr(754.4, 639.4, 2), cagr(0, 639.4, 2)');
+        assertClose(growth, (Math.pow(639.4 / 754.4, 1 / 2) - 1) * 100);
+        assert.equal(invalid, null);
+      });
+
+      it('yoy(x) compares with the previous year of the same country', () => {
+        const { sql } = expandOwidShorthands('SELECT country, year, yoy(co2) FROM owid WHERE is_country(iso_code) = 1 ORDER BY country, year');
+        const { columns, values } = engine.query(sql);
+        assert.deepEqual(columns, ['country', 'year', 'yoy(co2)']);
+        const germany = values.filter(([country]) => country === 'Germany');
+        assert.equal(germany[0][2], null);
+        assertClose(germany[1][2], (707.2 - 754.4) / 754.4 * 100);
+        assertClose(germany[2][2], (639.4 - 707.2) / 707.2 * 100);
+        assert.equal(values.find(([country]) => country === 'Kosovo')[2], null);
+      });
+
+      it('yoy(x) is NULL when the year before has no row', () => {
+        const { sql } = expandOwidShorthands("SELECT year, yoy(co2) FROM owid WHERE country = 'Germany' AND year IN (2018, 2020) ORDER BY year");
+        assert.deepEqual(rows(engine, sql), [[2018, null], [2020, null]]);
+      });
+
+      it('yoy(x) takes a quoted column', () => {
+        const { sql } = expandOwidShorthands(`WITH t AS (SELECT country, year, co2 AS "CO2 (Mt)" FROM owid)
+          SELECT yoy("CO2 (Mt)") FROM t WHERE country = 'Germany' ORDER BY year`);
+        const { columns, values } = engine.query(sql);
+        assert.deepEqual(columns, ['yoy("CO2 (Mt)")']);
+        assert.equal(values[0][0], null);
+        assertClose(values[2][0], (639.4 - 707.2) / 707.2 * 100);
+      });
+
+      it('keeps offsets of the script as written when yoy(x) is expanded', () => {
+        const script = "SELECT yoy(co2) AS change FROM owid WHERE country = 'India';\nSELECT ROUND(yoy(co2), 1) FROM owid;\nSELECT 'yoy(co2)'";
+        const expanded = expandOwidShorthands(script);
+        const statements = engine.exec(expanded.sql, null, Infinity);
+        assert.deepEqual(statements.map(stmt => expanded.toOriginal(stmt.offset)), [0, script.indexOf('SELECT ROUND'), script.lastIndexOf('SELECT')]);
+        assert.deepEqual(statements[0].columns, ['change']);
+        assert.deepEqual(statements[2].values, [['yoy(co2)']]);
+      });
+
+      it('median and percentile aggregate like numpy', () => {
+        const [[median, p25, p100, empty]] = rows(engine, `SELECT median(co2), percentile(co2, 25), percentile(co2, 100),
+          (SELECT percentile(co2, 50) FROM owid WHERE year = 1900)
+          FROM owid WHERE year = 2020 AND is_country(iso_code) = 1`);
+        // co2 in 2020: 9.5, 11.6, 639.4, 2445
+        assertClose(median, (11.6 + 639.4) / 2);
+        assertClose(p25, 9.5 + (11.6 - 9.5) * 0.75);
+        assertClose(p100, 2445);
+        assert.equal(empty, null);
+      });
+
+      it('integerPart truncates towards zero', () => {
+        assert.deepEqual(rows(engine, `SELECT ${engine.integerPart('7.9')}, ${engine.integerPart('-7.9')}`), [[7, -7]]);
+      });
+    });
+  });
+}
@@ -0,0 +1,78 @@
+// Text exports (exporters.js): CSV/TSV quoting, NULL against the empty string, and
+// newline-delimited JSON
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./setup');
+
+const RESULT = {
+  columns: ['country', 'note', 'co2'],
+  values: [
+    ['Germany', 'says "hi"', 1],
+    ['Korea, South', 'two\nlines', 2.5],
+    ['India', '', null],
+    ['World', null, 0]
+  ]
+};
+
+async function exportText(result, format, options) {
+  let text = '';
+  for await (const part of exportParts(result, format, options)) text += part;
+  return text;
+}
+
+describe('exports', () => {
+  it('quotes CSV fields as RFC 4180 says', async () => {
+    const csv = await exportText(RESULT, 'csv');
+    assert.equal(csv, [
+      'country,note,co2',
+      'Germany,"says ""hi""",1',
+      '"Korea, South","two\nlines",2.5',
+      'India,"",',
+      'World,,0',
+      ''
+    ].join('\r\n'));
+
+    // A CSV reader gets the fields back
+    const { data } = Papa.parse(csv, { skipEmptyLines: true });
+    assert.deepEqual(data.slice(1, 3), [['Germany', 'says "hi"', '1'], ['Korea, South', 'two\nlines', '2.5']]);
+  });
+
+  it('tells NULL from the empty string', async () => {
+    const csv = await exportText(RESULT, 'csv', { header: false });
+    assert.ok(csv.endsWith('India,"",\r\nWorld,,0\r\n'));
+
+    const marked = await exportText(RESULT, 'csv', { header: false, nullValue: 'NA' });
+    assert.ok(marked.endsWith('India,,NA\r\nWorld,NA,0\r\n'));
+  });
+
+  it('quotes TSV fields only for tabs, quotes and line breaks', async () => {
+    const tsv = await exportText({ columns: ['a', 'b'], values: [['x,y', 'tab\there'], ['"q"', null]] }, 'tsv');
+    assert.equal(tsv, 'a\tb\r\nx,y\t"tab\there"\r\n"""q"""\t\r\n');
+  });
+
+  it('writes one JSON object per line, keeping types and NULL', async () => {
+    const ndjson = await exportText(RESULT, 'ndjson');
+    const lines = ndjson.split('\n');
+    assert.equal(lines.pop(), '');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), [
+      { country: 'Germany', note: 'says "hi"', co2: 1 },
+      { country: 'Korea, South', note: 'two\nlines', co2: 2.5 },
+      { country: 'India', note: '', co2: null },
+      { country: 'World', note: null, co2: 0 }
+    ]);
+  });
+
+  it('names repeated columns apart in JSON and writes blobs as hex', async () => {
+    const ndjson = await exportText({ columns: ['year', 'year', 'data'], values: [[2019, 2020, new Uint8Array([0, 171, 255])]] }, 'ndjson');
+    assert.equal(ndjson, '{"year":2019,"year_2":2020,"data":"00abff"}\n');
+  });
+
+  it('writes every row when they span several chunks', async () => {
+    const values = Array.from({ length: EXPORT_CHUNK_ROWS * 2 + 1 }, (_, i) => [i]);
+    const csv = await exportText({ columns: ['n'], values }, 'csv');
+    const lines = csv.split('\r\n');
+    assert.equal(lines.length, values.length + 2);
+    assert.equal(lines[values.length], String(values.length - 1));
+  });
+});
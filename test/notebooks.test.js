@@ -0,0 +1,119 @@
+// Jupyter and Quarto exports (notebooks.js): the SQL and parameters they replay
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./setup');
+
+const DATASETS = [{ name: 'OWID sample', url: 'https://example.org/owid_sample.csv', tableName: 'owid', format: 'csv' }];
+
+const PARAMETERISED = {
+  sql: 'SELECT country, year, co2 FROM owid WHERE country IN (:countries) AND year >= :start_year AND note = :note ORDER BY country, year;',
+  parameters: { countries: ['Germany', 'India'], start_year: 2019 }
+};
+
+const HELPERS = {
+  setup: [{ sql: 'CREATE TABLE medians AS SELECT country, median(co2) AS co2 FROM owid GROUP BY country' }],
+  query: { sql: 'SELECT country, year, yoy(co2) FROM owid WHERE is_country(iso_code) = 1' }
+};
+
+// The text of every code cell of a notebook, in order
+function codeCells(notebook) {
+  return notebook.cells.filter(cell => cell.cell_type === 'code').map(cell => cell.source.join(''));
+}
+
+describe('notebook exports', () => {
+  let engine;
+
+  before(async () => {
+    engine = SQL_ENGINES.sqljs.create();
+    await engine.open();
+    await loadFixture(engine, 'owid_sample.csv', 'owid');
+  });
+
+  it('binds parameters, one per list item and NULL for those without a value', () => {
+    const statement = notebookStatement(PARAMETERISED);
+    assert.equal(statement.sql, 'SELECT country, year, co2 FROM owid WHERE country IN (:countries_1, :countries_2) AND year >= :start_year AND note = :note ORDER BY country, year');
+    assert.deepEqual(statement.params, [['countries_1', 'Germany'], ['countries_2', 'India'], ['start_year', 2019], ['note', null]]);
+
+    // What the notebook runs gives what the app gives
+    const params = Object.fromEntries(statement.params.map(([name, value]) => [`:${name}`, value]));
+    const bound = bindParameters(PARAMETERISED.sql, PARAMETERISED.parameters);
+    assert.deepEqual(engine.query(statement.sql, params).values, engine.exec(bound.sql, bound.params, Infinity)[0].values);
+  });
+
+  it('passes the values to pandas', () => {
+    const cells = codeCells(buildJupyterNotebook({
+      datasets: DATASETS,
+      setup: [{ sql: 'CREATE TABLE recent AS SELECT * FROM owid WHERE year >= :start_year', parameters: { start_year: 2019 } }],
+      query: PARAMETERISED,
+      chart: null
+    }));
+    assert.ok(cells.includes('# Statements that ran before the query in the app\ncon.execute("""\nCREATE TABLE recent AS SELECT * FROM owid WHERE year >= :start_year\n""", {"start_year": 2019})'));
+    const query = cells.find(cell => cell.startsWith('result = '));
+    assert.match(query, /:countries_1, :countries_2\) AND year >= :start_year AND note = :note ORDER BY country, year\n""", con, params=\{"countries_1": "Germany", "countries_2": "India", "start_year": 2019, "note": None\}\)/);
+  });
+
+  it('keeps executescript for setup statements without parameters', () => {
+    const cells = codeCells(buildJupyterNotebook({
+      datasets: DATASETS,
+      setup: [{ sql: 'CREATE TABLE a AS SELECT 1' }, { sql: 'CREATE TABLE b AS SELECT 2;' }],
+      query: { sql: 'SELECT * FROM owid' },
+      chart: null
+    }));
+    assert.ok(cells.includes('# Statements that ran before the query in the app\ncon.executescript("""\nCREATE TABLE a AS SELECT 1;\nCREATE TABLE b AS SELECT 2;\n""")'));
+    assert.ok(cells.some(cell => cell.startsWith('result = pd.read_sql_query("""\nSELECT * FROM owid\n""", con)\n')));
+  });
+
+  it('passes the values to DBI', () => {
+    const document = buildQuartoDocument({
+      datasets: DATASETS,
+      setup: [{ sql: 'DELETE FROM owid WHERE year < :start_year', parameters: { start_year: 2019 } }],
+      query: PARAMETERISED,
+      chart: null
+    });
+    assert.match(document, /dbExecute\(con, r"\(\nDELETE FROM owid WHERE year < :start_year\n\)", params = list\(start_year = 2019\)\)/);
+    assert.match(document, /ORDER BY country, year\n\)", params = list\(countries_1 = "Germany", countries_2 = "India", start_year = 2019, note = NA\)\)\nhead\(result\)/);
+  });
+
+  it('adds the OWID helpers to Python\'s SQLite and expands yoy(x)', () => {
+    const cells = codeCells(buildJupyterNotebook({ datasets: DATASETS, ...HELPERS, chart: null }));
+    const helpers = cells.find(cell => cell.startsWith("# The app's OWID helper functions"));
+    assert.match(helpers, /^con\.create_function\("is_country", 1, is_country\)$/m);
+    assert.match(helpers, /^con\.create_function\("yoy", 2, yoy\)$/m);
+    assert.match(helpers, /^con\.create_aggregate\("median", 1, Median\)$/m);
+    assert.doesNotMatch(helpers, /per_capita|cagr|"percentile"/);
+    const query = cells.find(cell => cell.startsWith('result = '));
+    assert.match(query, /yoy\(co2, CASE WHEN LAG\(year\) OVER \(PARTITION BY country ORDER BY year\) = year - 1 /);
+  });
+
+  it('leaves the helper cell out when the query uses none', () => {
+    const cells = codeCells(buildJupyterNotebook({ datasets: DATASETS, setup: [], query: { sql: 'SELECT * FROM owid' }, chart: null }));
+    assert.ok(!cells.some(cell => cell.startsWith("# The app's OWID helper functions")));
+  });
+
+  it('writes the scalar helpers out as SQL for R, with the same results', () => {
+    const sql = [
+      'SELECT country, year, is_country(iso_code) AS is_country, owid_region(iso_code) AS region,',
+      '  per_capita(co2, population) AS per_capita, yoy(co2) AS yoy, cagr(co2, co2 * 2, 3) AS cagr',
+      'FROM owid ORDER BY country, year'
+    ].join('\n');
+    const document = buildQuartoDocument({ datasets: DATASETS, setup: [], query: { sql }, chart: null });
+    const inlined = document.match(/result <- dbGetQuery\(con, r"\(\n([^]*?)\n\)"\)/)[1];
+    assert.ok(!OWID_FUNCTIONS.some(fn => findFunctionCalls(inlined, fn.name).length > 0));
+    assert.match(document, /RSQLite::initExtension\(con\)/);
+
+    const expected = engine.query(expandOwidShorthands(sql).sql);
+    const actual = engine.query(inlined);
+    assert.deepEqual(actual.columns, expected.columns);
+    assert.deepEqual(actual.values, expected.values);
+  });
+
+  it('refuses to write a Quarto document for percentile()', () => {
+    assert.throws(() => buildQuartoDocument({
+      datasets: DATASETS,
+      setup: [],
+      query: { sql: 'SELECT percentile(co2, 90) FROM owid' },
+      chart: null
+    }), /R has no way to add percentile\(\) to SQLite/);
+  });
+});
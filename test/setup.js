@@ -0,0 +1,41 @@
+// Loads the app's plain scripts into Node the way worker.js does with importScripts,
+// so their functions and constants become globals here too, and points the engines
+// at the npm packages instead of the CDN.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+globalThis.Papa = require('papaparse');
+
+['datasets.js', 'sqltext.js', 'functions.js', 'engines.js', 'exporters.js', 'notebooks.js', 'assistant.js'].forEach(file => {
+  vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+ENGINE_LIBRARIES.sqljs = () => require('sql.js')();
+
+ENGINE_LIBRARIES.duckdb = async () => {
+  const duckdb = require('@duckdb/duckdb-wasm/dist/duckdb-node-blocking.cjs');
+  const dist = path.dirname(require.resolve('@duckdb/duckdb-wasm/dist/duckdb-node-blocking.cjs'));
+  return duckdb.createDuckDB({
+    mvp: { mainModule: path.join(dist, 'duckdb-mvp.wasm'), mainWorker: '' },
+    eh: { mainModule: path.join(dist, 'duckdb-eh.wasm'), mainWorker: '' }
+  }, new duckdb.VoidLogger(), duckdb.NODE_RUNTIME);
+};
+
+// A fixture parsed and typed like a downloaded dataset, { schema, values }
+function readFixture(file) {
+  const { headers, rows } = parseDatasetText(fs.readFileSync(path.join(FIXTURES, file), 'utf8'), detectFormat(file));
+  return buildTypedRows(headers, rows);
+}
+
+async function loadFixture(engine, file, tableName) {
+  const { schema, values } = readFixture(file);
+  await engine.replaceTable(tableName, schema, values, async () => {});
+  return { schema, values };
+}
+
+module.exports = { readFixture, loadFixture };
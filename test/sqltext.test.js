@@ -0,0 +1,45 @@
+// SQL text helpers (sqltext.js) that don't need an engine
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./setup');
+
+const TABLES = ['co2_data', 'Energy Mix'];
+
+describe('findDatasetWrites', () => {
+  it('finds the statements that change a dataset', () => {
+    assert.deepEqual(findDatasetWrites([
+      "INSERT INTO co2_data VALUES ('World', 2024)",
+      'UPDATE co2_data SET co2 = 0',
+      'DELETE FROM main.co2_data',
+      'DROP TABLE IF EXISTS co2_data',
+      'ALTER TABLE co2_data ADD COLUMN note TEXT'
+    ].join(';\n'), TABLES).map(w => w.keyword), ['INSERT', 'UPDATE', 'DELETE', 'DROP', 'ALTER']);
+  });
+
+  it('finds CREATE OR REPLACE TABLE over a dataset', () => {
+    assert.deepEqual(findDatasetWrites('CREATE OR REPLACE TABLE co2_data AS SELECT 1', TABLES), [{ keyword: 'REPLACE', table: 'co2_data' }]);
+  });
+
+  it('finds CREATE TABLE under a dataset\'s name, temporary ones too', () => {
+    assert.deepEqual(findDatasetWrites('CREATE TABLE CO2_DATA AS SELECT 1', TABLES), [{ keyword: 'CREATE', table: 'co2_data' }]);
+    assert.deepEqual(findDatasetWrites('CREATE TEMP TABLE "Energy Mix" (x)', TABLES), [{ keyword: 'CREATE', table: 'Energy Mix' }]);
+    assert.deepEqual(findDatasetWrites('CREATE TABLE IF NOT EXISTS co2_data (x)', TABLES), []);
+    assert.deepEqual(findDatasetWrites('CREATE TABLE co2_recent AS SELECT * FROM co2_data', TABLES), []);
+  });
+
+  it('finds TRUNCATE', () => {
+    assert.deepEqual(findDatasetWrites('TRUNCATE co2_data', TABLES), [{ keyword: 'TRUNCATE', table: 'co2_data' }]);
+    assert.deepEqual(findDatasetWrites('truncate table "Energy Mix"', TABLES), [{ keyword: 'TRUNCATE', table: 'Energy Mix' }]);
+  });
+
+  it('finds COPY into a dataset but not out of it', () => {
+    assert.deepEqual(findDatasetWrites("COPY co2_data FROM 'more.csv'", TABLES), [{ keyword: 'COPY', table: 'co2_data' }]);
+    assert.deepEqual(findDatasetWrites("COPY co2_data (country, year) FROM 'more.csv'", TABLES), [{ keyword: 'COPY', table: 'co2_data' }]);
+    assert.deepEqual(findDatasetWrites("COPY co2_data TO 'co2.csv'", TABLES), []);
+  });
+
+  it('ignores keywords in literals and comments', () => {
+    assert.deepEqual(findDatasetWrites("SELECT 'DROP TABLE co2_data' -- TRUNCATE co2_data\nFROM co2_data", TABLES), []);
+  });
+});
@@ -0,0 +1,305 @@
+// SQL worker: owns the database engine (see engines.js) and does all downloading,
+// parsing and inserting off the main thread. The page talks to it through postMessage:
+//   request  { id, type, ...payload }
+//   progress { id, type: 'progress', message }
+//   reply    { id, type: 'result', result } or { id, type: 'error', message, cancelled, details }
+// A result set that hits the row cap of an exec keeps its statement open as a
+// cursor, which `fetch` reads further until it runs out or the next write closes it.
+
+importScripts(
+  'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+  'datasets.js',
+  'sqltext.js',
+  'functions.js',
+  'engines.js'
+);
+
+const PROGRESS_INTERVAL_MS = 200;
+const HISTOGRAM_BINS = 12;
+const TOP_VALUES = 3;
+
+let engine = null;
+let queue = Promise.resolve();
+const cancelledRequests = new Set();
+const downloads = new Map();
+
+class CancelledError extends Error {
+  constructor() {
+    super('Cancelled');
+    this.name = 'CancelledError';
+  }
+}
+
+function checkCancelled(id) {
+  if (cancelledRequests.has(id)) throw new CancelledError();
+}
+
+// Let queued messages (cancel requests) run between batches of work
+function yieldToMessages() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function downloadText(id, url, refresh, progress) {
+  const controller = new AbortController();
+  downloads.set(id, controller);
+
+  const response = await fetch(url, { cache: refresh ? 'reload' : 'default', signal: controller.signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+
+  // Read the body in chunks so the page can show how far along the download is
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    const ofTotal = total >= received ? ` of ${formatBytes(total)}` : '';
+    progress(`Downloading data... ${formatBytes(received)}${ofTotal}`, true);
+  }
+
+  return { text: await new Blob(chunks).text(), version: getRemoteVersion(response) };
+}
+
+async function loadTable(id, { dataset, refresh = false, text = null }, progress) {
+  let cached = null;
+  if (!refresh && text === null) {
+    try {
+      cached = await getCachedTable(dataset.url);
+    } catch (e) {
+      console.warn('Dataset cache unavailable:', e);
+    }
+  }
+
+  let schema;
+  let values;
+  let isCached = !!cached;
+
+  if (cached) {
+    progress('Opening cached copy...');
+    schema = cached.columns;
+    values = cached.rows;
+  } else {
+    if (text === null && dataset.source === 'file') {
+      throw new Error(`${dataset.name} was uploaded from a local file that is no longer cached, add it again`);
+    }
+
+    let version = null;
+    if (text === null) {
+      progress('Downloading data...');
+      ({ text, version } = await downloadText(id, dataset.url, refresh, progress));
+    }
+    checkCancelled(id);
+
+    // Parse CSV/TSV with PapaParse, JSON natively
+    progress('Parsing data...');
+    await yieldToMessages();
+    const { headers, rows, errors } = parseDatasetText(text, dataset.format || detectFormat(dataset.url));
+
+    if (errors.length > 0) {
+      console.warn('CSV parsing warnings:', errors);
+    }
+
+    if (!headers || headers.length === 0) {
+      throw new Error('No columns found in data');
+    }
+    checkCancelled(id);
+
+    progress('Detecting column types...');
+    await yieldToMessages();
+    ({ schema, values } = buildTypedRows(headers, rows));
+    checkCancelled(id);
+
+    // A failed cache write (quota, private mode) should not fail the load
+    progress('Saving local copy...');
+    try {
+      await putCachedTable({ url: dataset.url, version, columns: schema, rows: values });
+      isCached = true;
+    } catch (e) {
+      console.warn('Could not cache dataset:', e);
+    }
+  }
+
+  await engine.replaceTable(dataset.tableName, schema, values, async (done) => {
+    progress(`Loading data... ${done.toLocaleString()} / ${values.length.toLocaleString()} rows`, true);
+    await yieldToMessages();
+    checkCancelled(id);
+  });
+
+  const { columns, rowCount } = engine.describeTable(dataset.tableName);
+  return { columns, rowCount, fromCache: !!cached, cached: isCached };
+}
+
+// Per-column statistics for the data dictionary: one scan for counts, min, max and
+// mean of every column, then a small query per column for its histogram or most
+// common values, and the year range covered by each country when there is one
+async function profileTable(id, { tableName }, progress) {
+  const { columns, rowCount } = engine.describeTable(tableName);
+  const isNumeric = (col) => col.type === 'INTEGER' || col.type === 'REAL';
+
+  progress(`Profiling ${tableName}...`);
+  await yieldToMessages();
+  const aggregates = columns.map(col => {
+    const q = quoteIdentifier(col.name);
+    return `COUNT(${q}), COUNT(DISTINCT ${q}), MIN(${q}), MAX(${q}), ${isNumeric(col) ? `AVG(${q})` : 'NULL'}`;
+  });
+  const stats = engine.query(`SELECT ${aggregates.join(', ')} FROM ${tableName}`).values[0];
+  checkCancelled(id);
+
+  const profiles = [];
+  for (let i = 0; i < columns.length; i++) {
+    const col = columns[i];
+    const q = quoteIdentifier(col.name);
+    const [count, distinct, min, max, mean] = stats.slice(i * 5, i * 5 + 5);
+    const profile = { name: col.name, type: col.type, nullCount: rowCount - count, distinct, min, max, mean, histogram: null, topValues: null };
+
+    if (isNumeric(col) && count > 0 && max > min) {
+      const bins = engine.query(
+        `SELECT ${engine.integerPart(`(${q} - ?) * ${HISTOGRAM_BINS} / ?`)} AS bin, COUNT(*)
+         FROM ${tableName} WHERE ${q} IS NOT NULL GROUP BY bin`,
+        [min, max - min]
+      );
+      // The maximum lands one past the last bin
+      profile.histogram = new Array(HISTOGRAM_BINS).fill(0);
+      bins.values.forEach(([bin, n]) => { profile.histogram[Math.min(bin, HISTOGRAM_BINS - 1)] += n; });
+    } else if (!isNumeric(col) && count > 0) {
+      const top = engine.query(
+        `SELECT ${q}, COUNT(*) AS n FROM ${tableName} WHERE ${q} IS NOT NULL GROUP BY 1 ORDER BY n DESC LIMIT ${TOP_VALUES}`
+      );
+      profile.topValues = top.values.map(([value, n]) => ({ value, count: n }));
+    }
+    profiles.push(profile);
+
+    progress(`Profiling ${tableName}... ${i + 1} / ${columns.length} columns`, true);
+    if (i % 10 === 9) {
+      await yieldToMessages();
+      checkCancelled(id);
+    }
+  }
+
+  const countryColumn = columns.find(col => /^(country|entity|location)$/i.test(col.name));
+  const yearColumn = columns.find(col => /^year$/i.test(col.name));
+  let coverage = null;
+  if (countryColumn && yearColumn) {
+    const c = quoteIdentifier(countryColumn.name);
+    const y = quoteIdentifier(yearColumn.name);
+    const result = engine.query(
+      `SELECT ${c}, MIN(${y}), MAX(${y}), COUNT(*) FROM ${tableName} WHERE ${c} IS NOT NULL AND ${y} IS NOT NULL GROUP BY 1 ORDER BY 1`
+    );
+    coverage = result.values.map(([country, from, to, rows]) => ({ country, from, to, rows }));
+  }
+
+  return { tableName, rowCount, columns: profiles, coverage };
+}
+
+// A statement of a script that went through expandOwidShorthands, with its offset and
+// text as they were written
+function statementAsWritten(sql, expanded, stmt) {
+  const offset = expanded.toOriginal(stmt.offset);
+  return stmt.sql === undefined ? { ...stmt, offset } : {
+    ...stmt,
+    offset,
+    sql: sql.slice(offset, expanded.toOriginal(stmt.offset + stmt.sql.length))
+  };
+}
+
+const handlers = {
+  // The engine is picked once per worker, switching engines starts a new worker
+  async init(id, { engine: name = DEFAULT_SQL_ENGINE }) {
+    if (!SQL_ENGINES[name]) throw new Error(`Unknown SQL engine: ${name}`);
+    const created = SQL_ENGINES[name].create();
+    await created.open();
+    engine = created;
+    return true;
+  },
+
+  load: loadTable,
+
+  async drop(id, { tableName }) {
+    engine.dropTable(tableName);
+    return true;
+  },
+
+  profile: profileTable,
+
+  // A single statement with bound parameters, used by the results grid to fetch
+  // one sorted and filtered page at a time and by dashboard tiles
+  async query(id, { sql, params = [], maxRows = Infinity }) {
+    return engine.query(expandOwidShorthands(sql).sql, params, maxRows);
+  },
+
+  // Runs every statement of a script and returns one entry per statement with its
+  // result set, timing and character offset. Result sets stop at maxRows and are
+  // flagged `truncated`; the last statement's stays open as a cursor for `fetch`.
+  // Named parameters (`{ ':country': 'India' }`) are bound to every statement that uses them.
+  // `plans` adds each statement's query plan, at the cost of planning it twice.
+  // Offsets and statement text are those of the script as sent, before yoy(x) is expanded.
+  // Runs synchronously, the page cancels a long query by restarting the worker.
+  async exec(id, { sql, maxRows = Infinity, params = null, plans = false }) {
+    const expanded = expandOwidShorthands(sql);
+    try {
+      return engine.exec(expanded.sql, params, maxRows, plans).map(stmt => statementAsWritten(sql, expanded, stmt));
+    } catch (err) {
+      if (err.details) {
+        err.details = {
+          statement: statementAsWritten(sql, expanded, err.details.statement),
+          results: err.details.results.map(stmt => statementAsWritten(sql, expanded, stmt))
+        };
+      }
+      throw err;
+    }
+  },
+
+  // The plan of every statement in a script without running any of them. Planning
+  // stops at a statement that needs something an earlier one would create.
+  async explain(id, { sql }) {
+    const expanded = expandOwidShorthands(sql);
+    return engine.explain(expanded.sql).map(stmt => statementAsWritten(sql, expanded, stmt));
+  },
+
+  async fetch(id, { cursor, maxRows = Infinity }) {
+    return engine.fetch(cursor, maxRows);
+  }
+};
+
+async function handleRequest(id, type, payload) {
+  // Step messages always go out, per-chunk updates are throttled
+  let lastProgress = 0;
+  const progress = (message, frequent = false) => {
+    const now = Date.now();
+    if (frequent && now - lastProgress < PROGRESS_INTERVAL_MS) return;
+    lastProgress = now;
+    self.postMessage({ id, type: 'progress', message });
+  };
+
+  try {
+    if (!handlers[type]) throw new Error(`Unknown request: ${type}`);
+    if (type !== 'init' && !engine) throw new Error('SQL engine not initialized');
+    const result = await handlers[type](id, payload, progress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    const cancelled = err.name === 'CancelledError' || err.name === 'AbortError';
+    self.postMessage({ id, type: 'error', message: err.message, cancelled, details: err.details || null });
+  } finally {
+    cancelledRequests.delete(id);
+    downloads.delete(id);
+  }
+}
+
+self.onmessage = (e) => {
+  const { id, type, ...payload } = e.data;
+
+  if (type === 'cancel') {
+    cancelledRequests.add(payload.targetId);
+    downloads.get(payload.targetId)?.abort();
+    return;
+  }
+
+  // Loads yield between batches, so queue requests to keep them from interleaving
+  queue = queue.then(() => handleRequest(id, type, payload));
+};